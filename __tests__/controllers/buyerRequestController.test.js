@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const BuyerRequest = require('../../models/BuyerRequest');
+const Proposal = require('../../models/Proposal');
+const LedgerEntry = require('../../models/LedgerEntry');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const {
+  getRequests,
+  createProposal,
+  acceptProposal
+} = require('../../controllers/buyerRequestController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// A query chain that resolves to the given value however it is narrowed
+const chain = (value) => {
+  const query = Promise.resolve(value);
+  ['populate', 'sort', 'skip', 'limit', 'select'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+const buyer = { _id: id(), role: 'client' };
+const seller = { _id: id(), role: 'freelancer' };
+
+let request;
+let gig;
+
+beforeEach(() => {
+  jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+  request = BuyerRequest.hydrate({
+    _id: id(),
+    buyer: buyer._id,
+    title: 'Need a logo',
+    description: 'A logo for a bakery',
+    category: 'Graphics & Design',
+    budget: { min: 50, max: 150 },
+    status: 'open',
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    proposalCount: 0
+  });
+  gig = Gig.hydrate({ _id: id(), seller: seller._id, title: 'Logo design', price: 50, deliveryTime: 3, status: 'active' });
+  jest.spyOn(BuyerRequest, 'findById').mockResolvedValue(request);
+  jest.spyOn(Gig, 'findById').mockResolvedValue(gig);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getRequests', () => {
+  it('searches for the text as typed and caps the page size', async () => {
+    const find = jest.spyOn(BuyerRequest, 'find').mockReturnValue(chain([]));
+    jest.spyOn(BuyerRequest, 'countDocuments').mockResolvedValue(0);
+    const res = mockResponse();
+
+    await getRequests({ query: { search: 'logo (v2)+', limit: '1000' }, user: seller }, res);
+
+    const filter = find.mock.calls[0][0];
+    expect(filter.$or[0].title.$regex).toBe('logo \\(v2\\)\\+');
+    expect(res.json.mock.calls[0][0].pagination.limit).toBe(50);
+  });
+});
+
+describe('createProposal', () => {
+  const propose = async () => {
+    const res = mockResponse();
+    await createProposal({
+      params: { id: request._id.toString() },
+      body: { gigId: gig._id.toString(), coverLetter: 'I design logos', price: 90, deliveryDays: 4 },
+      user: seller
+    }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Proposal, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Proposal, 'countDocuments').mockResolvedValue(0);
+  });
+
+  it('holds freelancers to the daily proposal limit', async () => {
+    Proposal.countDocuments.mockResolvedValue(10);
+    jest.spyOn(BuyerRequest, 'findOneAndUpdate');
+
+    const res = await propose();
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(BuyerRequest.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('stops taking proposals once the request is full', async () => {
+    jest.spyOn(BuyerRequest, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Proposal, 'create');
+
+    const res = await propose();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(BuyerRequest.findOneAndUpdate.mock.calls[0][0].proposalCount).toEqual({ $lt: 50 });
+    expect(Proposal.create).not.toHaveBeenCalled();
+  });
+
+  it('gives the slot back when the proposal cannot be saved', async () => {
+    jest.spyOn(BuyerRequest, 'findOneAndUpdate').mockResolvedValue(request);
+    jest.spyOn(BuyerRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Proposal, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    const res = await propose();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(BuyerRequest.updateOne).toHaveBeenCalledWith({ _id: request._id }, { $inc: { proposalCount: -1 } });
+  });
+});
+
+describe('acceptProposal', () => {
+  let provider;
+  let proposal;
+
+  const accept = async () => {
+    const res = mockResponse();
+    await acceptProposal({ params: { id: request._id.toString(), proposalId: proposal._id.toString() }, body: {}, user: buyer }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    provider = new FakePaymentProvider();
+    setPaymentProvider(provider);
+    proposal = Proposal.hydrate({
+      _id: id(),
+      request: request._id,
+      seller: seller._id,
+      gig: gig._id,
+      coverLetter: 'I design logos',
+      price: 90,
+      deliveryDays: 4,
+      revisions: 2,
+      status: 'submitted'
+    });
+    jest.spyOn(Proposal, 'findOne').mockResolvedValue(proposal);
+    jest.spyOn(Proposal, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(Proposal.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(BuyerRequest, 'findOneAndUpdate').mockImplementation(async () => {
+      if (request.status !== 'open') return null;
+      request.status = 'fulfilled';
+      request.acceptedProposal = proposal._id;
+      return request;
+    });
+    jest.spyOn(BuyerRequest, 'updateOne').mockImplementation(async () => {
+      request.status = 'open';
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(BuyerRequest.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Order, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => entries);
+  });
+
+  it('hires the proposal at its price and turns the others down', async () => {
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const { order } = res.json.mock.calls[0][0].data;
+    expect(order).toMatchObject({ amount: 90, deliveryDays: 4, revisionsAllowed: 2, source: 'buyer_request' });
+    expect(order.requirements).toEqual(['A logo for a bakery']);
+    expect(proposal.status).toBe('accepted');
+    expect(request.order).toEqual(order._id);
+    expect(Proposal.updateMany.mock.calls[0][0]).toMatchObject({ request: request._id, _id: { $ne: proposal._id } });
+  });
+
+  it('does not hire through a paused gig', async () => {
+    gig.status = 'paused';
+
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(BuyerRequest.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('does not hire through a subscription gig', async () => {
+    gig.billingInterval = 'week';
+
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(BuyerRequest.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('reopens the request when the charge is declined', async () => {
+    jest.spyOn(provider, 'charge').mockResolvedValue({ id: 'ch_1', status: 'failed', failureReason: 'Card declined' });
+
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(request.status).toBe('open');
+    expect(proposal.status).toBe('submitted');
+    expect(Proposal.updateMany).not.toHaveBeenCalled();
+  });
+});
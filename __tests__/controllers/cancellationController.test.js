@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const Dispute = require('../../models/Dispute');
+const LedgerEntry = require('../../models/LedgerEntry');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { holdOrderFunds } = require('../../utils/escrow');
+const {
+  requestCancellation,
+  acceptCancellation,
+  declineCancellation
+} = require('../../controllers/cancellationController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const buyer = { _id: id(), role: 'client' };
+const seller = { _id: id(), role: 'freelancer' };
+
+let ledger;
+let order;
+let stored;
+
+const call = async (handler, user, body = {}, requestId) => {
+  const res = mockResponse();
+  const params = { id: order._id.toString() };
+  if (requestId) params.requestId = requestId.toString();
+  await handler({ params, body, user }, res);
+  return res;
+};
+
+// A pending request from the seller to cancel with a partial refund
+const requestFromSeller = (refundAmount) => {
+  order.cancellationRequests.push({
+    requestedBy: seller._id,
+    requestedByRole: 'seller',
+    reason: 'Cannot finish in time',
+    refundAmount,
+    respondBy: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  return order.cancellationRequests[0];
+};
+
+beforeEach(async () => {
+  ledger = [];
+  setPaymentProvider(new FakePaymentProvider());
+  jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => {
+    ledger.push(...entries);
+    return entries;
+  });
+  jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+  jest.spyOn(Conversation, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Conversation.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Message, 'create').mockImplementation(async (fields) => ({ _id: id(), ...fields }));
+  jest.spyOn(Dispute.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Dispute, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+  order = new Order({ gig: id(), buyer: buyer._id, seller: seller._id, amount: 100, requirements: 'Logo', status: 'in_progress' });
+  await holdOrderFunds(order);
+  ledger.length = 0;
+  stored = { status: order.status };
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  jest.spyOn(Order, 'findById').mockImplementation(() => Object.assign(Promise.resolve(order), {
+    select: async () => ({ status: stored.status })
+  }));
+  jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (stored.status !== filter.status) return null;
+    stored.status = update.$set.status;
+    return { _id: filter._id };
+  });
+  jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.CANCELLATION_RESPONSE_HOURS;
+});
+
+describe('requestCancellation', () => {
+  it('asks for everything held back by default', async () => {
+    process.env.CANCELLATION_RESPONSE_HOURS = '24';
+
+    const res = await call(requestCancellation, buyer, { reason: 'Changed plans' });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const [request] = order.cancellationRequests;
+    expect(request).toMatchObject({ requestedByRole: 'buyer', refundAmount: 100, status: 'pending' });
+    expect(request.respondBy.getTime() - Date.now()).toBeGreaterThan(23 * 60 * 60 * 1000);
+    expect(stored.status).toBe('in_progress');
+  });
+
+  it('turns down a refund larger than what is held', async () => {
+    const res = await call(requestCancellation, buyer, { reason: 'Changed plans', refundAmount: 150 });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(order.cancellationRequests).toHaveLength(0);
+  });
+
+  it('allows one pending request at a time', async () => {
+    requestFromSeller(50);
+
+    const res = await call(requestCancellation, buyer, { reason: 'Changed plans' });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(order.cancellationRequests).toHaveLength(1);
+  });
+});
+
+describe('acceptCancellation', () => {
+  it('refunds the agreed amount and pays the seller the rest', async () => {
+    const request = requestFromSeller(40);
+
+    await call(acceptCancellation, buyer, {}, request._id);
+
+    expect(stored.status).toBe('cancelled');
+    expect(request.status).toBe('accepted');
+    expect(ledger.filter(entry => entry.type === 'refund').map(entry => entry.amount)).toEqual([40]);
+    expect(ledger.filter(entry => entry.type === 'seller_payout').map(entry => entry.amount)).toEqual([54]);
+  });
+
+  it('does not let the requester accept their own request', async () => {
+    const request = requestFromSeller(40);
+
+    const res = await call(acceptCancellation, seller, {}, request._id);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(stored.status).toBe('in_progress');
+    expect(ledger).toHaveLength(0);
+  });
+});
+
+describe('declineCancellation', () => {
+  it('sends the request to an admin as a dispute', async () => {
+    const request = requestFromSeller(40);
+
+    const res = await call(declineCancellation, buyer, {}, request._id);
+
+    const { dispute } = res.json.mock.calls[0][0].data;
+    expect(stored.status).toBe('disputed');
+    expect(request.status).toBe('escalated');
+    expect(dispute).toMatchObject({ openedByRole: 'seller', previousStatus: 'in_progress', cancellationRequest: request._id });
+    expect(order.dispute).toEqual(dispute._id);
+    expect(ledger).toHaveLength(0);
+  });
+
+  it('removes the dispute again when the order has moved on', async () => {
+    const request = requestFromSeller(40);
+    stored.status = 'delivered';
+
+    const res = await call(declineCancellation, buyer, {}, request._id);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(Dispute.deleteOne).toHaveBeenCalledTimes(1);
+    expect(stored.status).toBe('delivered');
+  });
+});
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Contract = require('../../models/Contract');
+const Timesheet = require('../../models/Timesheet');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const { logTime, submitTimesheet, disputeTimesheet } = require('../../controllers/contractController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('logging time', () => {
+  let contract;
+  let timesheet;
+
+  const freelancer = () => ({ _id: contract.freelancer, role: 'freelancer' });
+
+  const log = async (body) => {
+    const res = mockResponse();
+    await logTime({ params: { id: contract._id.toString() }, body, user: freelancer() }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    contract = new Contract({
+      client: id(),
+      freelancer: id(),
+      title: 'Support',
+      hourlyRate: 40,
+      weeklyHourCap: 20,
+      status: 'active',
+      acceptedAt: new Date(Date.now() - 30 * DAY_MS)
+    });
+    timesheet = new Timesheet({
+      contract: contract._id,
+      client: contract.client,
+      freelancer: contract.freelancer,
+      weekStart: new Date(Date.now() - 2 * DAY_MS),
+      weekEnd: new Date(Date.now() + 5 * DAY_MS),
+      totalHours: 18,
+      status: 'open'
+    });
+
+    jest.spyOn(Contract, 'findById').mockResolvedValue(contract);
+    jest.spyOn(Timesheet, 'findOne').mockResolvedValue(timesheet);
+    jest.spyOn(Timesheet, 'findOneAndUpdate').mockImplementation(async (filter, update) => (
+      Timesheet.hydrate({ ...timesheet.toObject(), totalHours: timesheet.totalHours + update.$inc.totalHours })
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds the hours only while the week stays under the cap', async () => {
+    const res = await log({ date: new Date(Date.now() - DAY_MS).toISOString(), hours: '2', description: 'Inbox' });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const [filter, update] = Timesheet.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: timesheet._id, status: { $in: ['open', 'disputed'] }, totalHours: { $lte: 18 } });
+    expect(update.$inc).toEqual({ totalHours: 2 });
+  });
+
+  it('turns down hours over the weekly cap', async () => {
+    const res = await log({ date: new Date(Date.now() - DAY_MS).toISOString(), hours: '3' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Timesheet.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('does not log time in the future', async () => {
+    const res = await log({ date: new Date(Date.now() + DAY_MS).toISOString(), hours: '1' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Timesheet.findOne).not.toHaveBeenCalled();
+  });
+
+  it('waits for the week to end before it is submitted', async () => {
+    jest.spyOn(Timesheet.prototype, 'save');
+    const res = mockResponse();
+
+    await submitTimesheet({ params: { id: contract._id.toString(), timesheetId: timesheet._id.toString() }, user: freelancer() }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(Timesheet.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('disputeTimesheet', () => {
+  let contract;
+  let timesheet;
+  let stored;
+
+  beforeEach(() => {
+    contract = new Contract({ client: id(), freelancer: id(), title: 'Support', hourlyRate: 40, weeklyHourCap: 20, status: 'active', conversation: id() });
+    timesheet = new Timesheet({
+      contract: contract._id,
+      client: contract.client,
+      freelancer: contract.freelancer,
+      weekStart: new Date('2026-10-12T00:00:00Z'),
+      weekEnd: new Date('2026-10-19T00:00:00Z'),
+      entries: [{ date: new Date('2026-10-12T00:00:00Z'), hours: 4, description: 'Inbox' }],
+      totalHours: 4,
+      status: 'submitted'
+    });
+    stored = { status: 'submitted' };
+
+    jest.spyOn(Contract, 'findById').mockResolvedValue(contract);
+    // Every request loads the week while it is still submitted
+    jest.spyOn(Timesheet, 'findOne').mockImplementation(async () => Timesheet.hydrate(timesheet.toObject()));
+    jest.spyOn(Timesheet, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.status !== filter.status) return null;
+      stored.status = update.$set.status;
+      return Timesheet.hydrate({ ...timesheet.toObject(), ...update.$set });
+    });
+    jest.spyOn(Timesheet.prototype, 'save').mockImplementation(async function() {
+      stored.status = this.status;
+      return this;
+    });
+    jest.spyOn(Conversation, 'findById').mockResolvedValue(new Conversation({ participants: [contract.client, contract.freelancer] }));
+    jest.spyOn(Conversation.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Message, 'create').mockImplementation(async (fields) => ({ _id: id(), ...fields }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const dispute = async () => {
+    const res = mockResponse();
+    await disputeTimesheet({
+      params: { id: contract._id.toString(), timesheetId: timesheet._id.toString() },
+      body: { reason: 'Calls were not made' },
+      user: { _id: contract.client, role: 'client' }
+    }, res);
+    return res;
+  };
+
+  it('sends a submitted week back with the reason', async () => {
+    const res = await dispute();
+
+    expect(stored.status).toBe('disputed');
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: true,
+      data: expect.objectContaining({ status: 'disputed', disputeReason: 'Calls were not made' })
+    }));
+  });
+
+  it('does not dispute a week that was approved in the meantime', async () => {
+    const request = dispute();
+    // The approval claims the week between the dispute loading and writing it
+    stored.status = 'approved';
+    const res = await request;
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(stored.status).toBe('approved');
+  });
+});
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const User = require('../../models/User');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const Dispute = require('../../models/Dispute');
+const LedgerEntry = require('../../models/LedgerEntry');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { holdOrderFunds } = require('../../utils/escrow');
+const { disputesDir } = require('../../utils/disputes');
+const {
+  openDispute,
+  addStatement,
+  downloadDisputeFile,
+  resolveDispute
+} = require('../../controllers/disputeController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.download = jest.fn();
+  return res;
+};
+
+// A query that can be awaited directly or narrowed with select()
+const query = (value) => Object.assign(Promise.resolve(value), { select: () => Promise.resolve(value) });
+
+const buyer = { _id: id(), role: 'client' };
+const seller = { _id: id(), role: 'freelancer' };
+const admin = { _id: id(), role: 'admin' };
+
+let ledger;
+let order;
+let stored;
+
+const buildOrder = async (status) => {
+  order = new Order({ gig: id(), buyer: buyer._id, seller: seller._id, amount: 100, requirements: 'Logo', status });
+  await holdOrderFunds(order);
+  ledger.length = 0;
+  stored = { status };
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  return order;
+};
+
+const uploadedFile = (name) => ({
+  originalname: name,
+  filename: `1-${name}`,
+  path: path.join(disputesDir, 'test', `1-${name}`),
+  mimetype: 'image/png',
+  size: 1200
+});
+
+beforeEach(() => {
+  jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+  ledger = [];
+  setPaymentProvider(new FakePaymentProvider());
+  jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => {
+    ledger.push(...entries);
+    return entries;
+  });
+  jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(User, 'findById').mockResolvedValue(null);
+  jest.spyOn(Gig, 'findById').mockResolvedValue(null);
+  jest.spyOn(Order, 'findById').mockImplementation(() => query(order));
+  jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (stored.status !== filter.status) return null;
+    stored.status = update.$set.status;
+    return { _id: filter._id };
+  });
+  jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Dispute.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Dispute, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  jest.spyOn(fs, 'unlink').mockImplementation((file, callback) => callback(null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('openDispute', () => {
+  const open = async (user, files = []) => {
+    const res = mockResponse();
+    await openDispute({ params: { id: order._id.toString() }, body: { reason: 'Not delivered' }, files, user }, res);
+    return res;
+  };
+
+  it('opens a dispute and moves the order to disputed', async () => {
+    await buildOrder('in_progress');
+
+    const res = await open(buyer, [uploadedFile('chat.png')]);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const dispute = res.json.mock.calls[0][0].data;
+    expect(dispute).toMatchObject({ openedByRole: 'buyer', previousStatus: 'in_progress' });
+    expect(dispute.evidence[0].url).toBe(`/api/orders/${order._id}/dispute/files/${dispute.evidence[0]._id}`);
+    expect(dispute.evidence[0].storedName).toBe('1-chat.png');
+    expect(stored.status).toBe('disputed');
+    expect(order.dispute).toEqual(dispute._id);
+    expect(fs.unlink).not.toHaveBeenCalled();
+  });
+
+  it('removes the dispute and its evidence when the order cannot be disputed', async () => {
+    await buildOrder('pending');
+
+    const res = await open(seller, [uploadedFile('chat.png')]);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(Dispute.deleteOne).toHaveBeenCalledTimes(1);
+    expect(fs.unlink).toHaveBeenCalledWith(expect.stringContaining('1-chat.png'), expect.any(Function));
+    expect(stored.status).toBe('pending');
+  });
+
+  it('keeps outsiders out and drops what they uploaded', async () => {
+    await buildOrder('in_progress');
+
+    const res = await open({ _id: id(), role: 'client' }, [uploadedFile('chat.png')]);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(Dispute.prototype.save).not.toHaveBeenCalled();
+    expect(fs.unlink).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('dispute files', () => {
+  let dispute;
+
+  beforeEach(async () => {
+    await buildOrder('disputed');
+    dispute = new Dispute({
+      order: order._id,
+      openedBy: buyer._id,
+      openedByRole: 'buyer',
+      reason: 'Not delivered',
+      previousStatus: 'in_progress',
+      evidence: [{ filename: 'chat.png', storedName: '1-chat.png', fileType: 'image/png', fileSize: 1200 }]
+    });
+    dispute.evidence[0].url = `/api/orders/${order._id}/dispute/files/${dispute.evidence[0]._id}`;
+    jest.spyOn(dispute, 'populate').mockResolvedValue(dispute);
+    jest.spyOn(Dispute, 'findOne').mockResolvedValue(dispute);
+    jest.spyOn(Dispute, 'find').mockImplementation(() => query([dispute]));
+  });
+
+  it('only attaches files that are already on the dispute', async () => {
+    const res = mockResponse();
+    await addStatement({
+      params: { id: order._id.toString() },
+      body: {
+        content: ' See the chat again ',
+        attachments: [
+          { url: dispute.evidence[0].url, storedName: '../../.env' },
+          { url: '/uploads/someone-elses-file.png' },
+          { url: 'https://example.com/file.png' }
+        ]
+      },
+      user: seller
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const [statement] = dispute.statements;
+    expect(statement.content).toBe('See the chat again');
+    expect(statement.attachments).toHaveLength(1);
+    expect(statement.attachments[0]).toMatchObject({ url: dispute.evidence[0].url, storedName: '1-chat.png' });
+  });
+
+  it('serves a file to the parties of the order', async () => {
+    const res = mockResponse();
+    await downloadDisputeFile({ params: { id: order._id.toString(), fileId: dispute.evidence[0]._id.toString() }, user: seller }, res);
+
+    expect(res.download).toHaveBeenCalledWith(
+      path.join(disputesDir, order._id.toString(), '1-chat.png'),
+      'chat.png',
+      expect.any(Function)
+    );
+  });
+
+  it('does not serve files to anyone else', async () => {
+    const res = mockResponse();
+    await downloadDisputeFile({ params: { id: order._id.toString(), fileId: dispute.evidence[0]._id.toString() }, user: { _id: id(), role: 'freelancer' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.download).not.toHaveBeenCalled();
+  });
+});
+
+describe('resolveDispute', () => {
+  let dispute;
+
+  const resolve = async (body) => {
+    const res = mockResponse();
+    await resolveDispute({ params: { id: dispute._id.toString() }, body, user: admin }, res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    await buildOrder('disputed');
+    dispute = new Dispute({ order: order._id, openedBy: buyer._id, openedByRole: 'buyer', reason: 'Late', previousStatus: 'in_progress' });
+    jest.spyOn(Dispute, 'findById').mockResolvedValue(dispute);
+  });
+
+  it('refunds part of the money and pays the seller the rest', async () => {
+    const res = await resolve({ outcome: 'partial_refund', refundAmount: 30, note: 'Half the pages were missing' });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(stored.status).toBe('completed');
+    expect(ledger.filter(entry => entry.type === 'refund').map(entry => entry.amount)).toEqual([30]);
+    expect(ledger.filter(entry => entry.type === 'seller_payout').map(entry => entry.amount)).toEqual([63]);
+    expect(dispute.status).toBe('resolved');
+    expect(dispute.resolution).toMatchObject({ outcome: 'partial_refund', refundAmount: 30 });
+  });
+
+  it('refunds everything on a full refund', async () => {
+    await resolve({ outcome: 'full_refund' });
+
+    expect(stored.status).toBe('cancelled');
+    expect(order.payment.refundedAmount).toBe(100);
+    expect(dispute.resolution.refundAmount).toBe(100);
+  });
+
+  it('turns down a partial refund of everything held', async () => {
+    const res = await resolve({ outcome: 'partial_refund', refundAmount: 100 });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(ledger).toHaveLength(0);
+    expect(dispute.status).toBe('open');
+  });
+});
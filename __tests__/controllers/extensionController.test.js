@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const LedgerEntry = require('../../models/LedgerEntry');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { holdOrderFunds } = require('../../utils/escrow');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const { acceptExtension, declineExtension } = require('../../controllers/extensionController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('acceptExtension', () => {
+  let ledger;
+  let provider;
+  let stored;
+  let base;
+  let request;
+  const buyer = { _id: id(), role: 'client' };
+  const seller = { _id: id(), role: 'freelancer' };
+
+  // A copy of the order as one request loaded it
+  const load = () => {
+    const order = Order.hydrate(JSON.parse(JSON.stringify(base.toObject())));
+    jest.spyOn(order, 'save').mockImplementation(async () => {
+      stored.saves.push(order.toObject());
+      return order;
+    });
+    return order;
+  };
+
+  const accept = async (user = buyer) => {
+    const res = mockResponse();
+    await acceptExtension({ params: { id: base._id.toString(), requestId: request._id.toString() }, user }, res);
+    return res;
+  };
+
+  const proposeChange = async (priceChange) => {
+    base = new Order({ gig: id(), buyer: buyer._id, seller: seller._id, amount: 100, requirements: 'Logo', status: 'in_progress', dueDate: new Date('2026-11-01') });
+    await holdOrderFunds(base);
+    base.extensionRequests.push({ requestedBy: seller._id, requestedByRole: 'seller', newDueDate: new Date('2026-11-08'), priceChange, reason: 'More pages' });
+    request = base.extensionRequests[0];
+    ledger.length = 0;
+  };
+
+  beforeEach(async () => {
+    ledger = [];
+    stored = { requestStatus: 'pending', saves: [], updates: [] };
+    provider = new FakePaymentProvider();
+    setPaymentProvider(provider);
+
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => {
+      ledger.push(...entries);
+      return entries;
+    });
+    jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+    jest.spyOn(Conversation, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Conversation.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Message, 'create').mockImplementation(async (fields) => ({ _id: id(), ...fields }));
+    jest.spyOn(Order, 'findById').mockImplementation(async () => load());
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.requestStatus !== filter.extensionRequests.$elemMatch.status) return null;
+      stored.requestStatus = update.$set['extensionRequests.$.status'];
+      return { _id: filter._id };
+    });
+    jest.spyOn(Order, 'updateOne').mockImplementation(async (filter, update) => {
+      stored.updates.push(update);
+      const elemMatch = filter.extensionRequests && filter.extensionRequests.$elemMatch;
+      if (elemMatch && stored.requestStatus !== elemMatch.status) return { modifiedCount: 0 };
+      if (update.$set['extensionRequests.$.status']) stored.requestStatus = update.$set['extensionRequests.$.status'];
+      return { modifiedCount: 1 };
+    });
+
+    await proposeChange(50);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges the price increase and moves the deadline', async () => {
+    const res = await accept();
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    const saved = stored.saves[0];
+    expect(saved.amount).toBe(150);
+    expect(saved.payment.heldAmount).toBe(150);
+    expect(saved.dueDate).toEqual(new Date('2026-11-08'));
+    expect(saved.extensionRequests[0]).toMatchObject({ status: 'accepted', previousAmount: 100 });
+    expect(ledger.filter(entry => entry.type === 'buyer_charge')).toEqual([expect.objectContaining({ amount: 50 })]);
+  });
+
+  it('charges once when the change is accepted twice at the same time', async () => {
+    const [first, second] = await Promise.all([accept(), accept()]);
+
+    expect(ledger.filter(entry => entry.type === 'buyer_charge')).toHaveLength(1);
+    expect([first, second].map(res => res.status.mock.calls.length ? res.status.mock.calls[0][0] : 200).sort()).toEqual([200, 409]);
+  });
+
+  it('leaves the change pending when the charge is declined', async () => {
+    jest.spyOn(provider, 'charge').mockResolvedValue({ id: 'ch_2', status: 'failed', failureReason: 'Card declined' });
+
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(stored.requestStatus).toBe('pending');
+    expect(stored.saves).toHaveLength(0);
+    expect(ledger).toHaveLength(0);
+  });
+
+  it('lowers the price by what was actually refunded', async () => {
+    await proposeChange(-30);
+
+    await accept();
+
+    const saved = stored.saves[0];
+    expect(saved.amount).toBe(70);
+    expect(saved.payment.refundedAmount).toBe(30);
+    expect(ledger.filter(entry => entry.type === 'refund')).toEqual([expect.objectContaining({ amount: 30 })]);
+  });
+
+  it('does not let the proposer accept their own change', async () => {
+    const res = await accept(seller);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(stored.requestStatus).toBe('pending');
+  });
+
+  it('cannot decline a change that was already accepted', async () => {
+    await accept();
+
+    const res = mockResponse();
+    base.extensionRequests[0].status = 'pending';
+    await declineExtension({ params: { id: base._id.toString(), requestId: request._id.toString() }, user: buyer }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(stored.requestStatus).toBe('accepted');
+  });
+});
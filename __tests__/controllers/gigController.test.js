@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const { updateGig, searchGigs } = require('../../controllers/gigController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('updateGig', () => {
+  const seller = { _id: id(), role: 'freelancer', skills: ['design'] };
+  let gig;
+
+  beforeEach(() => {
+    gig = new Gig({
+      title: 'I will design your logo',
+      description: 'A'.repeat(60),
+      category: 'graphics-design',
+      price: 50,
+      deliveryTime: 3,
+      seller: seller._id,
+      status: 'draft',
+      rating: 3.2,
+      totalReviews: 4,
+      totalOrders: 9
+    });
+    jest.spyOn(gig, 'save').mockResolvedValue(gig);
+    jest.spyOn(Gig, 'findById').mockResolvedValue(gig);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const update = async (body) => {
+    const res = mockResponse();
+    await updateGig({ params: { id: gig._id.toString() }, body, user: seller }, res);
+    return res;
+  };
+
+  it('updates the fields a seller owns', async () => {
+    const res = await update({ title: 'I will design a modern logo', price: 80 });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(gig.title).toBe('I will design a modern logo');
+    expect(gig.price).toBe(80);
+  });
+
+  it('ignores status, ratings and counters sent by the seller', async () => {
+    await update({
+      title: 'I will design a modern logo',
+      status: 'active',
+      rating: 5,
+      totalReviews: 500,
+      totalOrders: 900,
+      totalEarnings: 10000,
+      featured: true,
+      seller: id(),
+      activatedAt: new Date()
+    });
+
+    expect(gig.title).toBe('I will design a modern logo');
+    expect(gig.status).toBe('draft');
+    expect(gig.rating).toBe(3.2);
+    expect(gig.totalReviews).toBe(4);
+    expect(gig.totalOrders).toBe(9);
+    expect(gig.totalEarnings).toBe(0);
+    expect(gig.featured).toBe(false);
+    expect(gig.seller.toString()).toBe(seller._id.toString());
+    expect(gig.activatedAt).toBeUndefined();
+  });
+
+  it('refuses sellers who do not own the gig', async () => {
+    const res = mockResponse();
+    await updateGig({ params: { id: gig._id.toString() }, body: { price: 80 }, user: { _id: id(), role: 'freelancer' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(gig.price).toBe(50);
+  });
+});
+
+describe('searchGigs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('filters by the new fields and returns facets with the page', async () => {
+    jest.spyOn(Gig, 'aggregate').mockImplementation(async (pipeline) => (pipeline[1].$facet
+      ? [{ categories: [], subcategories: [], price: [], deliveryTime: [], rating: [], tags: [] }]
+      : []));
+    jest.spyOn(Gig, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Gig, 'find').mockImplementation(function(filter) {
+      const query = mongoose.Model.find.call(this, filter);
+      if (filter) query.populate = async () => [];
+      return query;
+    });
+    const res = mockResponse();
+
+    await searchGigs({ query: { q: 'logo', subcategory: 'Logo Design', tag: 'c++', deliveryTime: '3' } }, res);
+
+    const { $match: match } = Gig.aggregate.mock.calls[0][0][0];
+    expect(match).toMatchObject({
+      subcategory: 'Logo Design',
+      tags: { $regex: '^c\\+\\+$', $options: 'i' },
+      deliveryTime: { $lte: 3 }
+    });
+    const body = res.json.mock.calls[0][0];
+    expect(body.facets.price).toHaveLength(7);
+    expect(body.data).toEqual([]);
+  });
+});
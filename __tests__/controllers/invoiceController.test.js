@@ -0,0 +1,87 @@
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const Counter = require('../../models/Counter');
+const Invoice = require('../../models/Invoice');
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const { getInvoice } = require('../../controllers/invoiceController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = new PassThrough();
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.setHeader = jest.fn();
+  return res;
+};
+
+const buyer = { _id: id(), role: 'client' };
+const seller = { _id: id(), role: 'freelancer' };
+
+describe('getInvoice', () => {
+  let order;
+  let invoices;
+
+  const request = async (user, query = {}) => {
+    const res = mockResponse();
+    await getInvoice({ params: { id: order._id.toString() }, query, user }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    invoices = [];
+    order = new Order({
+      gig: id(),
+      buyer: buyer._id,
+      seller: seller._id,
+      amount: 100,
+      requirements: 'Logo',
+      gigSnapshot: { title: 'Logo design', price: 100 },
+      status: 'completed',
+      payment: { provider: 'fake', chargeId: 'ch_1', status: 'released', heldAmount: 100, releasedAmount: 100, refundedAmount: 0, platformFee: 10, additionalCharges: [] }
+    });
+
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+    jest.spyOn(Counter, 'next').mockResolvedValue(1);
+    jest.spyOn(Invoice, 'findOne').mockImplementation(async () => invoices[0] || null);
+    jest.spyOn(Invoice, 'exists').mockResolvedValue(null);
+    jest.spyOn(Invoice, 'create').mockImplementation(async (data) => {
+      const invoice = new Invoice(data);
+      invoice.createdAt = new Date();
+      invoices.push(invoice);
+      return invoice;
+    });
+    jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, update) => invoices[0].set(update.$set));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues the invoice to a party of the order', async () => {
+    const res = await request(seller);
+
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: invoices[0] });
+    expect(invoices[0]).toMatchObject({ number: 'INV-000001', total: 100 });
+  });
+
+  it('renders the invoice as a PDF', async () => {
+    const res = await request(buyer, { format: 'pdf' });
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    await new Promise(resolve => res.on('end', resolve));
+
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/pdf');
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Disposition', 'inline; filename="INV-000001.pdf"');
+    expect(Buffer.concat(chunks).subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('keeps invoices from anyone else', async () => {
+    const res = await request({ _id: id(), role: 'client' });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(Invoice.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const Message = require('../../models/Message');
+const Conversation = require('../../models/Conversation');
+const LedgerEntry = require('../../models/LedgerEntry');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { acceptOffer } = require('../../controllers/messageController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const buyer = id();
+const seller = id();
+
+describe('acceptOffer', () => {
+  let provider;
+  let gig;
+  let conversation;
+  let message;
+
+  const accept = async () => {
+    const res = mockResponse();
+    await acceptOffer({ params: { messageId: message._id.toString() }, body: {}, user: { _id: buyer, id: buyer.toString() } }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+    provider = new FakePaymentProvider();
+    setPaymentProvider(provider);
+
+    gig = Gig.hydrate({ _id: id(), seller, title: 'Logo design', price: 50, deliveryTime: 3, revisions: 1, status: 'active' });
+    conversation = Conversation.hydrate({ _id: id(), participants: [buyer, seller] });
+    message = Message.hydrate({
+      _id: id(),
+      conversation: conversation._id,
+      sender: seller,
+      messageType: 'custom_offer',
+      offer: {
+        gig: gig._id,
+        description: 'Logo with three concepts',
+        price: 120,
+        deliveryDays: 5,
+        revisions: 2,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        status: 'pending'
+      }
+    });
+
+    jest.spyOn(Message, 'findOne').mockResolvedValue(message);
+    jest.spyOn(Conversation, 'findById').mockResolvedValue(conversation);
+    jest.spyOn(Gig, 'findById').mockResolvedValue(gig);
+    jest.spyOn(Message, 'findOneAndUpdate').mockImplementation(async () => {
+      if (message.offer.status !== 'pending') return null;
+      message.offer.status = 'accepted';
+      return message;
+    });
+    jest.spyOn(Message, 'updateOne').mockImplementation(async () => {
+      message.offer.status = 'pending';
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Message.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Conversation.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Order, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => entries);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('turns the offer into an order at the offered price', async () => {
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const { order } = res.json.mock.calls[0][0].data;
+    expect(order).toMatchObject({ amount: 120, deliveryDays: 5, revisionsAllowed: 2, source: 'custom_offer' });
+    expect(order.gigSnapshot).toMatchObject({ title: 'Logo design', price: 120, deliveryTime: 5 });
+    expect(order.payment.heldAmount).toBe(120);
+    expect(message.offer.order).toEqual(order._id);
+    expect(conversation.order).toEqual(order._id);
+  });
+
+  it('does not take offers on a paused gig', async () => {
+    gig.status = 'paused';
+
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Message.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(message.offer.status).toBe('pending');
+  });
+
+  it('sends subscription gigs through a subscription', async () => {
+    gig.billingInterval = 'month';
+
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Message.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('accepts an offer once', async () => {
+    message.offer.status = 'accepted';
+
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(Order.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('reopens the offer when the charge is declined', async () => {
+    jest.spyOn(provider, 'charge').mockResolvedValue({ id: 'ch_1', status: 'failed', failureReason: 'Card declined' });
+
+    const res = await accept();
+
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(message.offer.status).toBe('pending');
+    expect(Order.deleteOne).toHaveBeenCalledTimes(1);
+  });
+});
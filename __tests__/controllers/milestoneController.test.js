@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const User = require('../../models/User');
+const LedgerEntry = require('../../models/LedgerEntry');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { holdOrderFunds } = require('../../utils/escrow');
+const { submitMilestoneDelivery, approveMilestone } = require('../../controllers/milestoneController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const buyer = { _id: id(), role: 'client' };
+const seller = { _id: id(), role: 'freelancer' };
+const dueDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+let ledger;
+let order;
+let stored;
+
+beforeEach(async () => {
+  jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+  ledger = [];
+  setPaymentProvider(new FakePaymentProvider());
+  jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => {
+    ledger.push(...entries);
+    return entries;
+  });
+  jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(User, 'findById').mockResolvedValue(null);
+  jest.spyOn(Gig, 'findById').mockResolvedValue(null);
+
+  order = new Order({
+    gig: id(),
+    buyer: buyer._id,
+    seller: seller._id,
+    amount: 100,
+    requirements: 'Website',
+    status: 'in_progress',
+    milestones: [
+      { title: 'Design', amount: 40, dueDate, status: 'delivered' },
+      { title: 'Build', amount: 60, dueDate }
+    ]
+  });
+  await holdOrderFunds(order);
+  ledger.length = 0;
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+
+  // The order as the database has it
+  stored = { status: order.status, milestones: order.milestones.map(milestone => ({ _id: milestone._id, status: milestone.status })) };
+  jest.spyOn(Order, 'findById').mockImplementation(() => Object.assign(Promise.resolve(order), {
+    select: async () => ({ status: stored.status })
+  }));
+  jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (stored.status !== filter.status) return null;
+    stored.status = update.$set.status;
+    return { _id: filter._id };
+  });
+  jest.spyOn(Order, 'updateOne').mockImplementation(async (filter, update) => {
+    const target = filter.milestones ? filter.milestones.$elemMatch : { _id: filter['milestones._id'] };
+    const milestone = stored.milestones.find(item => item._id.equals(target._id));
+    if (target.status && milestone.status !== target.status) return { modifiedCount: 0 };
+    milestone.status = update.$set['milestones.$.status'];
+    return { modifiedCount: 1 };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const request = (milestone, user, body = {}) => ({
+  params: { id: order._id.toString(), milestoneId: milestone._id.toString() },
+  body,
+  user
+});
+
+describe('approveMilestone', () => {
+  it('pays the seller for the approved milestone only', async () => {
+    const res = mockResponse();
+
+    await approveMilestone(request(order.milestones[0], buyer), res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    expect(order.milestones[0].status).toBe('approved');
+    expect(order.milestones[0].releasedAmount).toBe(40);
+    expect(ledger.filter(entry => entry.type === 'seller_payout').map(entry => entry.amount)).toEqual([36]);
+    expect(stored.status).toBe('in_progress');
+  });
+
+  it('pays a milestone once when it is approved twice', async () => {
+    const first = mockResponse();
+    const second = mockResponse();
+
+    await approveMilestone(request(order.milestones[0], buyer), first);
+    order.milestones[0].status = 'delivered';
+    await approveMilestone(request(order.milestones[0], buyer), second);
+
+    expect(second.status).toHaveBeenCalledWith(409);
+    expect(ledger.filter(entry => entry.type === 'seller_payout')).toHaveLength(1);
+  });
+
+  it('puts the milestone back when the payment cannot be booked', async () => {
+    LedgerEntry.insertMany.mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const res = mockResponse();
+
+    await approveMilestone(request(order.milestones[0], buyer), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(stored.milestones[0].status).toBe('delivered');
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  it('completes the order with the last milestone', async () => {
+    order.milestones[0].status = 'approved';
+    order.milestones[1].status = 'delivered';
+    order.status = 'delivered';
+    stored.status = 'delivered';
+
+    await approveMilestone(request(order.milestones[1], buyer), mockResponse());
+
+    expect(stored.status).toBe('completed');
+    expect(order.milestones[1].status).toBe('approved');
+    expect(order.milestones[1].releasedAmount).toBe(60);
+  });
+
+  it('only lets the buyer approve', async () => {
+    const res = mockResponse();
+
+    await approveMilestone(request(order.milestones[0], seller), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(ledger).toHaveLength(0);
+  });
+});
+
+describe('submitMilestoneDelivery', () => {
+  it('delivers the order once the last milestone is in', async () => {
+    const res = mockResponse();
+
+    await submitMilestoneDelivery(request(order.milestones[1], seller, { message: 'Site is live' }), res);
+
+    expect(order.milestones[1].status).toBe('delivered');
+    expect(stored.status).toBe('delivered');
+  });
+});
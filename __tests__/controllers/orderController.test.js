@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const User = require('../../models/User');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const LedgerEntry = require('../../models/LedgerEntry');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { holdOrderFunds } = require('../../utils/escrow');
+const { deliveriesDir } = require('../../utils/deliveries');
+const {
+  getTimeline,
+  submitRequirements,
+  submitDelivery,
+  downloadDeliveryFile,
+  requestRevision,
+  purchaseRevisions,
+  addTip
+} = require('../../controllers/orderController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const buyer = { _id: id(), role: 'client' };
+const seller = { _id: id(), role: 'freelancer' };
+
+beforeEach(() => {
+  jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getTimeline', () => {
+  let order;
+  let find;
+
+  const timeline = async (user, query = {}) => {
+    const res = mockResponse();
+    await getTimeline({ params: { id: order._id.toString() }, query, user }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    order = new Order({ gig: id(), buyer: buyer._id, seller: seller._id, amount: 100, requirements: 'Logo' });
+    jest.spyOn(Order, 'findById').mockReturnValue({ select: async () => order });
+    const events = { populate: () => events, sort: () => events, skip: () => events, limit: async () => [{ type: 'created' }] };
+    find = jest.spyOn(OrderEvent, 'find').mockReturnValue(events);
+    jest.spyOn(OrderEvent, 'countDocuments').mockResolvedValue(1);
+  });
+
+  it('pages through the order events for its parties', async () => {
+    const res = await timeline(seller, { page: '1', limit: '500' });
+
+    expect(find).toHaveBeenCalledWith({ order: order._id });
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: [{ type: 'created' }],
+      pagination: { page: 1, limit: 100, total: 1, pages: 1 }
+    });
+  });
+
+  it('keeps the timeline from anyone else', async () => {
+    const res = await timeline({ _id: id(), role: 'client' });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('submitRequirements', () => {
+  let order;
+  let stored;
+  let brand;
+  let brief;
+
+  const submit = async (body, files = [], user = buyer) => {
+    const res = mockResponse();
+    await submitRequirements({ params: { id: order._id.toString() }, body, files, user }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    brand = id();
+    brief = id();
+    order = new Order({
+      gig: id(),
+      buyer: buyer._id,
+      seller: seller._id,
+      amount: 100,
+      status: 'awaiting_requirements',
+      questionnaire: [
+        { questionId: brand, question: 'Brand name?', type: 'text', required: true },
+        { questionId: brief, question: 'Brief', type: 'file', required: true }
+      ]
+    });
+    stored = { status: order.status };
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.status !== filter.status) return null;
+      stored.status = update.$set.status;
+      return { _id: filter._id };
+    });
+    jest.spyOn(fs, 'unlink').mockImplementation((file, callback) => callback(null));
+  });
+
+  it('keeps the order waiting until every required question is answered', async () => {
+    const res = await submit({ answers: { [brand]: 'Acme' } });
+
+    expect(res.json.mock.calls[0][0].missing).toEqual([{ questionId: brief, question: 'Brief' }]);
+    expect(order.status).toBe('awaiting_requirements');
+    expect(order.questionnaire[0].answer).toBe('Acme');
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  it('hands the order to the seller once everything is in', async () => {
+    const upload = { fieldname: brief.toString(), originalname: 'brief.pdf', filename: '1-brief.pdf', path: '/tmp/1-brief.pdf', mimetype: 'application/pdf', size: 2048 };
+
+    const res = await submit({ answers: { [brand]: 'Acme' } }, [upload]);
+
+    expect(res.json.mock.calls[0][0].missing).toEqual([]);
+    expect(stored.status).toBe('pending');
+    expect(order.requirementsSubmittedAt).toEqual(expect.any(Date));
+    expect(order.questionnaire[1].file.url).toBe('/uploads/requirements/1-brief.pdf');
+    expect(fs.unlink).not.toHaveBeenCalled();
+  });
+
+  it('drops the uploads when the requirements were already submitted', async () => {
+    order.status = 'pending';
+    const upload = { fieldname: brief.toString(), path: '/tmp/1-brief.pdf' };
+
+    const res = await submit({}, [upload]);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(fs.unlink).toHaveBeenCalledWith('/tmp/1-brief.pdf', expect.any(Function));
+  });
+
+  it('only takes answers from the buyer', async () => {
+    const res = await submit({ answers: { [brand]: 'Acme' } }, [], seller);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(order.questionnaire[0].answer).toBeUndefined();
+  });
+});
+
+describe('deliveries', () => {
+  let order;
+  let stored;
+
+  const upload = { originalname: 'logo.png', filename: '1-logo.png', path: '/tmp/1-logo.png', mimetype: 'image/png', size: 1024 };
+
+  beforeEach(() => {
+    order = new Order({ gig: id(), buyer: buyer._id, seller: seller._id, amount: 100, requirements: 'Logo', status: 'in_progress' });
+    stored = { status: order.status };
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+    jest.spyOn(Order, 'findById').mockImplementation(() => Object.assign(Promise.resolve(order), {
+      select: async () => order
+    }));
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.status !== filter.status) return null;
+      stored.status = update.$set.status;
+      return { _id: filter._id };
+    });
+    jest.spyOn(fs, 'unlink').mockImplementation((file, callback) => callback(null));
+  });
+
+  it('records the delivery and its files', async () => {
+    const res = mockResponse();
+
+    await submitDelivery({ params: { id: order._id.toString() }, body: { message: 'Here it is' }, files: [upload], user: seller }, res);
+
+    expect(stored.status).toBe('delivered');
+    expect(order.deliveries).toHaveLength(1);
+    expect(order.deliveries[0]).toMatchObject({ version: 1, message: 'Here it is' });
+    expect(fs.unlink).not.toHaveBeenCalled();
+  });
+
+  it('removes the uploaded files when the delivery is turned down', async () => {
+    const res = mockResponse();
+
+    await submitDelivery({ params: { id: order._id.toString() }, body: {}, files: [upload], user: buyer }, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(fs.unlink).toHaveBeenCalledWith('/tmp/1-logo.png', expect.any(Function));
+  });
+
+  it('serves delivery files to the parties only', async () => {
+    order.deliveries.push({ version: 1, files: [{ filename: 'logo.png', storedName: '1-logo.png' }], deliveredBy: seller._id });
+    const [delivery] = order.deliveries;
+    const params = { id: order._id.toString(), deliveryId: delivery._id.toString(), fileId: delivery.files[0]._id.toString() };
+    const allowed = mockResponse();
+    allowed.download = jest.fn();
+    const outsider = mockResponse();
+    outsider.download = jest.fn();
+
+    await downloadDeliveryFile({ params, user: buyer }, allowed);
+    await downloadDeliveryFile({ params, user: { _id: id(), role: 'client' } }, outsider);
+
+    expect(allowed.download).toHaveBeenCalledWith(path.join(deliveriesDir, order._id.toString(), '1-logo.png'), 'logo.png', expect.any(Function));
+    expect(outsider.status).toHaveBeenCalledWith(403);
+    expect(outsider.download).not.toHaveBeenCalled();
+  });
+});
+
+describe('revisions', () => {
+  let order;
+  let stored;
+
+  const call = async (handler, body = {}) => {
+    const res = mockResponse();
+    await handler({ params: { id: order._id.toString() }, body, user: buyer }, res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    setPaymentProvider(new FakePaymentProvider());
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => entries);
+    order = new Order({ gig: id(), buyer: buyer._id, seller: seller._id, amount: 100, requirements: 'Logo', status: 'delivered', revisionsAllowed: 1 });
+    await holdOrderFunds(order);
+    order.deliveries.push({ version: 1, deliveredBy: seller._id });
+    stored = { status: order.status };
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+    jest.spyOn(Order, 'findById').mockImplementation(() => Object.assign(Promise.resolve(order), {
+      select: async () => order
+    }));
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.status !== filter.status) return null;
+      stored.status = update.$set.status;
+      return { _id: filter._id };
+    });
+  });
+
+  it('sends the delivery back against the revision it asks for', async () => {
+    await call(requestRevision, { message: 'Bigger logo' });
+
+    expect(stored.status).toBe('in_progress');
+    expect(order.revisionRequests[0].delivery).toEqual(order.deliveries[0]._id);
+    expect(order.revisionsRemaining).toBe(0);
+  });
+
+  it('turns the request down once the revisions are used up', async () => {
+    order.revisionsAllowed = 0;
+    order.extraRevisionPrice = 15;
+
+    const res = await call(requestRevision, { message: 'Bigger logo' });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ revisionsRemaining: 0, extraRevisionPrice: 15 }));
+    expect(stored.status).toBe('delivered');
+    expect(order.revisionRequests).toHaveLength(0);
+  });
+
+  it('sells extra revisions into the order escrow', async () => {
+    order.revisionsAllowed = 0;
+    order.extraRevisionPrice = 15;
+
+    const res = await call(purchaseRevisions, { quantity: 2 });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(order.revisionPurchases[0]).toMatchObject({ quantity: 2, unitPrice: 15, amount: 30 });
+    expect(order.payment.heldAmount).toBe(130);
+    expect(order.revisionsRemaining).toBe(2);
+  });
+
+  it('only sells revisions the seller offers', async () => {
+    const res = await call(purchaseRevisions, { quantity: 1 });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(order.amount).toBe(100);
+  });
+});
+
+describe('addTip', () => {
+  let order;
+  let ledger;
+
+  const tip = async (status, user = buyer) => {
+    order.status = status;
+    const res = mockResponse();
+    await addTip({ params: { id: order._id.toString() }, body: { amount: '15', note: 'Thanks!' }, user }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    ledger = [];
+    setPaymentProvider(new FakePaymentProvider());
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => {
+      ledger.push(...entries);
+      return entries;
+    });
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([{ balance: 115, total: 115 }]);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Gig, 'findByIdAndUpdate').mockResolvedValue(null);
+    order = new Order({ gig: id(), buyer: buyer._id, seller: seller._id, amount: 100, requirements: 'Logo' });
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+  });
+
+  it('pays the tip to the seller and refreshes their earnings', async () => {
+    const res = await tip('completed');
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(order.tips[0]).toMatchObject({ amount: 15, sellerAmount: 15, note: 'Thanks!' });
+    expect(ledger.filter(entry => entry.type === 'tip').map(entry => entry.amount)).toEqual([15]);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(order.seller, { totalEarnings: 115 });
+    expect(Gig.findByIdAndUpdate).toHaveBeenCalledWith(order.gig, { totalEarnings: 115 });
+    expect(OrderEvent.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'tipped' }));
+  });
+
+  it('only takes tips on completed orders', async () => {
+    const res = await tip('delivered');
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(ledger).toHaveLength(0);
+  });
+
+  it('only takes tips from the buyer', async () => {
+    const res = await tip('completed', seller);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(ledger).toHaveLength(0);
+  });
+});
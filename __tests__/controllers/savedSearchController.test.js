@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const SavedSearch = require('../../models/SavedSearch');
+const { createSavedSearch, updateSavedSearch } = require('../../controllers/savedSearchController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const user = { _id: id(), role: 'client' };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createSavedSearch', () => {
+  beforeEach(() => {
+    jest.spyOn(SavedSearch, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(SavedSearch, 'create').mockImplementation(async (fields) => new SavedSearch(fields));
+  });
+
+  it('saves the search fields with alerts on', async () => {
+    const res = mockResponse();
+
+    await createSavedSearch({ body: { name: 'Logos', q: 'logo', maxPrice: 50, tag: 'ignored' }, user }, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(SavedSearch.create).toHaveBeenCalledWith({
+      user: user._id,
+      name: 'Logos',
+      query: { q: 'logo', maxPrice: 50 },
+      alertsEnabled: true
+    });
+  });
+
+  it('needs at least one search field', async () => {
+    const res = mockResponse();
+
+    await createSavedSearch({ body: { name: 'Everything', q: '' }, user }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(SavedSearch.create).not.toHaveBeenCalled();
+  });
+
+  it('caps how many searches one user keeps', async () => {
+    SavedSearch.countDocuments.mockResolvedValue(20);
+    const res = mockResponse();
+
+    await createSavedSearch({ body: { name: 'Logos', q: 'logo' }, user }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(SavedSearch.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateSavedSearch', () => {
+  let savedSearch;
+
+  beforeEach(() => {
+    savedSearch = SavedSearch.hydrate({
+      _id: id(),
+      user: user._id,
+      name: 'Logos',
+      query: { q: 'logo', maxPrice: 50 },
+      alertsEnabled: false,
+      lastCheckedAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+    });
+    jest.spyOn(SavedSearch, 'findOne').mockResolvedValue(savedSearch);
+    jest.spyOn(savedSearch, 'save').mockResolvedValue(savedSearch);
+  });
+
+  const update = async (body) => {
+    const res = mockResponse();
+    await updateSavedSearch({ params: { id: savedSearch._id.toString() }, body, user }, res);
+    return res;
+  };
+
+  it('starts alerts from now when they are turned back on', async () => {
+    await update({ alertsEnabled: true });
+
+    expect(savedSearch.alertsEnabled).toBe(true);
+    expect(Date.now() - savedSearch.lastCheckedAt.getTime()).toBeLessThan(1000);
+  });
+
+  it('clears a field given as null and keeps the rest', async () => {
+    await update({ maxPrice: null, category: 'Graphics & Design' });
+
+    expect(savedSearch.query.toObject()).toEqual({ q: 'logo', category: 'Graphics & Design' });
+  });
+
+  it('will not clear the last search field', async () => {
+    const res = await update({ q: '', maxPrice: null });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(savedSearch.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const User = require('../../models/User');
+const Dispute = require('../../models/Dispute');
+const LedgerEntry = require('../../models/LedgerEntry');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { holdOrderFunds } = require('../../utils/escrow');
+const {
+  markLateOrders,
+  autoCompleteDeliveredOrders,
+  autoCancelUnacceptedOrders,
+  autoCancelUnansweredOrders,
+  escalateUnansweredCancellations
+} = require('../../jobs/orderJobs');
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let ledger;
+let stored;
+
+const buildOrder = async (fields) => {
+  const order = new Order({ gig: id(), buyer: id(), seller: id(), amount: 100, requirements: 'Logo', ...fields });
+  await holdOrderFunds(order);
+  ledger.length = 0;
+  stored.set(order._id.toString(), { status: order.status });
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  return order;
+};
+
+beforeEach(() => {
+  jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+  ledger = [];
+  stored = new Map();
+  setPaymentProvider(new FakePaymentProvider());
+  jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => {
+    ledger.push(...entries);
+    return entries;
+  });
+  jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(User, 'findById').mockResolvedValue(null);
+  jest.spyOn(Gig, 'findById').mockResolvedValue(null);
+  jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const current = stored.get(filter._id.toString());
+    if (current.status !== filter.status) return null;
+    current.status = update.$set.status;
+    return { _id: filter._id };
+  });
+  jest.spyOn(Order, 'findById').mockImplementation((orderId) => ({ select: async () => stored.get(orderId.toString()) }));
+  jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('markLateOrders', () => {
+  it('flags orders past their due date once', async () => {
+    const dueDate = new Date(Date.now() - DAY_MS);
+    const order = await buildOrder({ status: 'in_progress', dueDate });
+    const find = jest.spyOn(Order, 'find').mockResolvedValue([order]);
+
+    expect(await markLateOrders()).toBe(1);
+
+    expect(find.mock.calls[0][0]).toMatchObject({ isLate: { $ne: true } });
+    expect(order.isLate).toBe(true);
+    expect(order.lateSince).toEqual(dueDate);
+    expect(order.automaticActions.map(action => action.action)).toEqual(['marked_late']);
+    expect(order.save).toHaveBeenCalled();
+  });
+});
+
+describe('autoCompleteDeliveredOrders', () => {
+  it('completes deliveries the buyer left unanswered and pays the seller', async () => {
+    const order = await buildOrder({ status: 'delivered', deliveryDate: new Date(Date.now() - 4 * DAY_MS) });
+    const find = jest.spyOn(Order, 'find').mockResolvedValue([order]);
+
+    expect(await autoCompleteDeliveredOrders()).toBe(1);
+
+    const cutoff = find.mock.calls[0][0].deliveryDate.$lt.getTime();
+    expect(Math.abs(cutoff - (Date.now() - 3 * DAY_MS))).toBeLessThan(1000);
+    expect(order.status).toBe('completed');
+    expect(order.automaticActions[0].action).toBe('auto_completed');
+    expect(ledger.filter(entry => entry.type === 'seller_payout')).toHaveLength(1);
+  });
+
+  it('skips an order someone else completed first and carries on', async () => {
+    const taken = await buildOrder({ status: 'delivered' });
+    const waiting = await buildOrder({ status: 'delivered' });
+    stored.get(taken._id.toString()).status = 'completed';
+    jest.spyOn(Order, 'find').mockResolvedValue([taken, waiting]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await autoCompleteDeliveredOrders()).toBe(1);
+
+    expect(taken.save).not.toHaveBeenCalled();
+    expect(waiting.status).toBe('completed');
+    expect(ledger.filter(entry => entry.type === 'seller_payout')).toHaveLength(1);
+  });
+});
+
+describe('autoCancelUnacceptedOrders', () => {
+  it('cancels and refunds orders the seller never accepted', async () => {
+    const order = await buildOrder({ status: 'pending' });
+    jest.spyOn(Order, 'find').mockResolvedValue([order]);
+
+    expect(await autoCancelUnacceptedOrders()).toBe(1);
+
+    expect(order.status).toBe('cancelled');
+    expect(order.cancelledBy).toBe('system');
+    expect(order.cancellationReason).toBe('Seller did not accept the order within 72 hour(s)');
+    expect(ledger.filter(entry => entry.type === 'refund').map(entry => entry.amount)).toEqual([100]);
+  });
+});
+
+describe('autoCancelUnansweredOrders', () => {
+  it('cancels and refunds paid orders whose requirements never arrived', async () => {
+    const order = await buildOrder({ status: 'awaiting_requirements' });
+    const find = jest.spyOn(Order, 'find').mockResolvedValue([order]);
+
+    expect(await autoCancelUnansweredOrders()).toBe(1);
+
+    const cutoff = find.mock.calls[0][0].createdAt.$lt.getTime();
+    expect(Math.abs(cutoff - (Date.now() - 7 * DAY_MS))).toBeLessThan(1000);
+    expect(order.status).toBe('cancelled');
+    expect(order.cancelledBy).toBe('system');
+    expect(ledger.filter(entry => entry.type === 'refund').map(entry => entry.amount)).toEqual([100]);
+  });
+});
+
+describe('escalateUnansweredCancellations', () => {
+  it('turns an unanswered cancellation request into a dispute', async () => {
+    jest.spyOn(Dispute.prototype, 'save').mockImplementation(async function() { return this; });
+    const order = await buildOrder({ status: 'in_progress' });
+    order.cancellationRequests.push({
+      requestedBy: order.buyer,
+      requestedByRole: 'buyer',
+      reason: 'Changed plans',
+      refundAmount: 100,
+      respondBy: new Date(Date.now() - DAY_MS)
+    });
+    jest.spyOn(Order, 'find').mockResolvedValue([order]);
+
+    expect(await escalateUnansweredCancellations()).toBe(1);
+
+    expect(order.status).toBe('disputed');
+    expect(order.cancellationRequests[0].status).toBe('escalated');
+    expect(Dispute.prototype.save).toHaveBeenCalledTimes(1);
+    expect(order.automaticActions[0].action).toBe('cancellation_escalated');
+    expect(ledger).toHaveLength(0);
+  });
+});
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Payout = require('../../models/Payout');
+const payouts = require('../../utils/payouts');
+const { reconcilePayouts } = require('../../jobs/payoutJobs');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reconcilePayouts', () => {
+  it('only picks up payouts left behind longer than the recovery window', async () => {
+    const find = jest.spyOn(Payout, 'find').mockResolvedValue([]);
+
+    await reconcilePayouts();
+
+    const [{ $or: [processing, unbooked] }] = find.mock.calls[0];
+    const cutoff = Date.now() - payouts.PAYOUT_RECOVERY_MS;
+    expect(processing.status).toBe('processing');
+    expect(Math.abs(processing.processingAt.$lt.getTime() - cutoff)).toBeLessThan(1000);
+    expect(unbooked).toMatchObject({ status: 'paid', bookedAt: { $exists: false } });
+  });
+
+  it('keeps going when one payout fails', async () => {
+    const processing = new Date('2026-10-01T10:00:00Z');
+    jest.spyOn(Payout, 'find').mockResolvedValue([
+      Payout.hydrate({ _id: id(), seller: id(), amount: 10, status: 'processing', processingAt: processing }),
+      Payout.hydrate({ _id: id(), seller: id(), amount: 20, status: 'processing', processingAt: processing })
+    ]);
+    jest.spyOn(Payout, 'updateOne')
+      .mockRejectedValueOnce(new Error('connection lost'))
+      .mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await reconcilePayouts()).toBe(0);
+    expect(Payout.updateOne).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+});
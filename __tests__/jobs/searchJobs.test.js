@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const Notification = require('../../models/Notification');
+const SavedSearch = require('../../models/SavedSearch');
+const { alertSavedSearches } = require('../../jobs/searchJobs');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('alertSavedSearches', () => {
+  it('runs every search with alerts on and keeps going when one fails', async () => {
+    const owner = { _id: id(), isActive: true, emailNotifications: { savedSearches: false } };
+    const search = (name) => ({ _id: id(), user: owner, name, query: { q: name }, lastCheckedAt: new Date(0) });
+    const searches = [search('logo'), search('website'), search('video')];
+    const populate = jest.fn(() => ({ cursor: () => searches }));
+    jest.spyOn(SavedSearch, 'find').mockReturnValue({ populate });
+    jest.spyOn(Gig, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ select: async () => [{ _id: id(), title: 'New gig', price: 20 }] }) })
+    });
+    jest.spyOn(Gig, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Notification, 'create')
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValue({});
+    const update = jest.spyOn(SavedSearch, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await alertSavedSearches()).toBe(2);
+
+    expect(SavedSearch.find).toHaveBeenCalledWith({ alertsEnabled: true });
+    expect(populate.mock.calls[0][1]).toContain('emailNotifications');
+    expect(console.error).toHaveBeenCalledTimes(1);
+    // The failed search is checked again next run; the rest share one cut-off
+    expect(update.mock.calls.map(([filter]) => filter._id)).toEqual([searches[1]._id, searches[2]._id]);
+    expect(update.mock.calls[0][1].$set.lastCheckedAt).toBe(update.mock.calls[1][1].$set.lastCheckedAt);
+  });
+});
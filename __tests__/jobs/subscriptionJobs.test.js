@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Subscription = require('../../models/Subscription');
+const { renewSubscriptions } = require('../../jobs/subscriptionJobs');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('renewSubscriptions', () => {
+  it('only picks up subscriptions that are due, past-due ones included', async () => {
+    const find = jest.spyOn(Subscription, 'find').mockResolvedValue([]);
+
+    expect(await renewSubscriptions()).toBe(0);
+
+    const [filter] = find.mock.calls[0];
+    expect(filter.status).toEqual({ $in: ['active', 'past_due'] });
+    expect(Math.abs(filter.nextRenewalAt.$lte.getTime() - Date.now())).toBeLessThan(1000);
+  });
+
+  it('keeps going when one renewal fails', async () => {
+    const due = new Date(Date.now() - 60 * 1000);
+    jest.spyOn(Subscription, 'find').mockResolvedValue([
+      Subscription.hydrate({ _id: id(), status: 'active', nextRenewalAt: due }),
+      Subscription.hydrate({ _id: id(), status: 'past_due', nextRenewalAt: due })
+    ]);
+    const claim = jest.spyOn(Subscription, 'findOneAndUpdate')
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValueOnce(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await renewSubscriptions()).toBe(0);
+
+    expect(claim).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Contract = require('../../models/Contract');
+const LedgerEntry = require('../../models/LedgerEntry');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const Timesheet = require('../../models/Timesheet');
+const User = require('../../models/User');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { PaymentError } = require('../../utils/escrow');
+const { ContractError, getWeekStart, billTimesheet } = require('../../utils/contracts');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('getWeekStart', () => {
+  it('goes back to Monday 00:00 UTC', () => {
+    expect(getWeekStart(new Date('2026-10-18T23:30:00Z')).toISOString()).toBe('2026-10-12T00:00:00.000Z');
+    expect(getWeekStart(new Date('2026-10-19T08:00:00Z')).toISOString()).toBe('2026-10-19T00:00:00.000Z');
+  });
+});
+
+describe('billTimesheet', () => {
+  let ledger;
+  let provider;
+  let calls;
+  let contract;
+  let timesheet;
+  let stored;
+
+  beforeEach(() => {
+    ledger = [];
+    calls = [];
+    provider = new FakePaymentProvider();
+    setPaymentProvider(provider);
+
+    contract = new Contract({ client: id(), freelancer: id(), title: 'Support', hourlyRate: 40, weeklyHourCap: 20, status: 'active' });
+    timesheet = new Timesheet({
+      contract: contract._id,
+      client: contract.client,
+      freelancer: contract.freelancer,
+      weekStart: new Date('2026-10-12T00:00:00Z'),
+      weekEnd: new Date('2026-10-19T00:00:00Z'),
+      entries: [
+        { date: new Date('2026-10-12T00:00:00Z'), hours: 2.5, description: 'Inbox' },
+        { date: new Date('2026-10-13T00:00:00Z'), hours: 3, description: 'Calls' }
+      ],
+      totalHours: 5.5,
+      status: 'submitted',
+      submittedAt: new Date('2026-10-19T09:00:00Z')
+    });
+    stored = { timesheet: 'submitted', order: null };
+
+    jest.spyOn(Timesheet, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.timesheet !== filter.status) return null;
+      stored.timesheet = update.$set.status;
+      const claimed = Timesheet.hydrate({ ...timesheet.toObject(), ...update.$set });
+      claimed.save = jest.fn().mockResolvedValue(claimed);
+      return claimed;
+    });
+    jest.spyOn(Timesheet, 'updateOne').mockImplementation(async (filter, update) => {
+      if (update.$set.status) stored.timesheet = update.$set.status;
+      return { modifiedCount: 1 };
+    });
+
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      calls.push(`save:${this.payment.status}`);
+      stored.order = stored.order || this.status;
+      return this;
+    });
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.order !== filter.status) return null;
+      stored.order = update.$set.status;
+      return { _id: filter._id };
+    });
+    jest.spyOn(Order, 'updateOne').mockImplementation(async (filter, update) => {
+      stored.order = update.$set.status;
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Order, 'deleteOne').mockImplementation(async () => {
+      stored.order = null;
+      return { deletedCount: 1 };
+    });
+
+    jest.spyOn(provider, 'charge').mockImplementation(async ({ amount }) => {
+      calls.push(`charge:${amount}`);
+      return { id: 'ch_1', status: 'succeeded' };
+    });
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => {
+      ledger.push(...entries);
+      return entries;
+    });
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+    jest.spyOn(Contract, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges the week, pays the freelancer and links the order', async () => {
+    const { timesheet: billed, order } = await billTimesheet(contract, timesheet, { _id: contract.client });
+
+    expect(calls.slice(0, 2)).toEqual(['save:unpaid', 'charge:220']);
+    expect(stored.order).toBe('completed');
+    expect(order.gigSnapshot.title).toBe('Support: 5.5 hours at $40/hour, week of 2026-10-12');
+    expect(ledger.find(entry => entry.type === 'seller_payout')).toMatchObject({ amount: 198, user: contract.freelancer });
+    expect(billed).toMatchObject({ status: 'approved', amount: 220, hourlyRate: 40 });
+    expect(billed.order).toEqual(order._id);
+    expect(Contract.updateOne).toHaveBeenCalledWith({ _id: contract._id }, { $inc: { totalHours: 5.5, totalBilled: 220 } });
+  });
+
+  it('bills a week once', async () => {
+    await billTimesheet(contract, timesheet, { _id: contract.client });
+
+    await expect(billTimesheet(contract, timesheet, { _id: contract.client })).rejects.toThrow(ContractError);
+    expect(calls.filter(call => call.startsWith('charge'))).toHaveLength(1);
+  });
+
+  it('drops the order and reopens approval when the charge is declined', async () => {
+    provider.charge.mockResolvedValue({ id: 'ch_2', status: 'failed', failureReason: 'Card declined' });
+
+    await expect(billTimesheet(contract, timesheet, { _id: contract.client })).rejects.toThrow(PaymentError);
+
+    expect(Order.deleteOne).toHaveBeenCalled();
+    expect(stored.timesheet).toBe('submitted');
+    expect(ledger).toHaveLength(0);
+  });
+
+  it('refunds the client when the order cannot be completed', async () => {
+    const insertMany = LedgerEntry.insertMany.getMockImplementation();
+    LedgerEntry.insertMany.mockImplementation(async (entries) => {
+      if (entries.some(entry => entry.type === 'seller_payout')) throw new Error('connection lost');
+      return insertMany(entries);
+    });
+
+    await expect(billTimesheet(contract, timesheet, { _id: contract.client })).rejects.toThrow('connection lost');
+
+    expect(ledger.find(entry => entry.type === 'refund')).toMatchObject({ amount: 220 });
+    expect(stored.order).toBe('cancelled');
+    expect(stored.timesheet).toBe('submitted');
+    expect(Contract.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('keeps the week billed once the freelancer has been paid', async () => {
+    User.findById.mockRejectedValue(new Error('connection lost'));
+
+    await expect(billTimesheet(contract, timesheet, { _id: contract.client })).rejects.toThrow('connection lost');
+
+    expect(ledger.some(entry => entry.type === 'refund')).toBe(false);
+    expect(stored.timesheet).toBe('approved');
+    expect(Timesheet.updateOne).toHaveBeenCalledWith(
+      { _id: timesheet._id },
+      { $set: { order: expect.any(mongoose.Types.ObjectId) } }
+    );
+  });
+});
@@ -0,0 +1,50 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const { deliveriesDir, getDeliveryFilePath, recordDelivery } = require('../../utils/deliveries');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const upload = (name) => ({ originalname: name, filename: `1-${name}`, mimetype: 'image/png', size: 1024 });
+
+describe('recordDelivery', () => {
+  let order;
+  const seller = { _id: id() };
+
+  beforeEach(() => {
+    order = new Order({
+      gig: id(),
+      buyer: id(),
+      seller: seller._id,
+      amount: 100,
+      requirements: 'Website',
+      milestones: [{ title: 'Design', amount: 100, dueDate: new Date() }]
+    });
+  });
+
+  it('numbers whole-order deliveries and each milestone separately', () => {
+    const [milestone] = order.milestones;
+
+    recordDelivery(order, { user: seller, message: 'First cut', files: [upload('v1.png')] });
+    recordDelivery(order, { user: seller, message: 'Mockups', milestone });
+    const latest = recordDelivery(order, { user: seller, message: 'Second cut', files: [upload('v2.png')] });
+
+    expect(order.deliveries.map(delivery => delivery.version)).toEqual([1, 1, 2]);
+    expect(order.deliveries[1].milestone).toEqual(milestone._id);
+    expect(latest.files[0]).toMatchObject({ filename: 'v2.png', storedName: '1-v2.png' });
+  });
+
+  it('points deliveryFiles at the download endpoint for the latest set', () => {
+    const delivery = recordDelivery(order, { user: seller, files: [upload('logo.png')] });
+
+    expect(order.deliveryFiles).toHaveLength(1);
+    expect(order.deliveryFiles[0].url).toBe(`/api/orders/${order._id}/deliveries/${delivery._id}/files/${delivery.files[0]._id}`);
+  });
+
+  it('keeps files in a private folder per order', () => {
+    const delivery = recordDelivery(order, { user: seller, files: [upload('logo.png')] });
+
+    expect(getDeliveryFilePath(order, delivery.files[0])).toBe(path.join(deliveriesDir, order._id.toString(), '1-logo.png'));
+    expect(deliveriesDir.split(path.sep)).toContain('private');
+  });
+});
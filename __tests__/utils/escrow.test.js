@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const LedgerEntry = require('../../models/LedgerEntry');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const {
+  PaymentError,
+  getHeldBalance,
+  holdOrderFunds,
+  addOrderFunds,
+  releaseOrderFunds,
+  refundOrderFunds,
+  payTip
+} = require('../../utils/escrow');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildOrder = (amount = 100) => new Order({
+  gig: id(),
+  buyer: id(),
+  seller: id(),
+  amount,
+  requirements: 'Logo for a bakery',
+  status: 'pending'
+});
+
+const entriesOfType = (type) => ledger.filter(entry => entry.type === type);
+
+let ledger;
+let provider;
+
+beforeEach(() => {
+  ledger = [];
+  provider = new FakePaymentProvider();
+  setPaymentProvider(provider);
+  jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => {
+    ledger.push(...entries);
+    return entries;
+  });
+  delete process.env.PLATFORM_FEE_PERCENT;
+  delete process.env.TIP_FEE_PERCENT;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('holdOrderFunds', () => {
+  it('charges the buyer and holds the money in escrow', async () => {
+    const order = buildOrder(100);
+    await holdOrderFunds(order);
+
+    expect(order.payment.status).toBe('held');
+    expect(order.payment.heldAmount).toBe(100);
+    expect(getHeldBalance(order)).toBe(100);
+    expect(ledger.map(entry => entry.type)).toEqual(['buyer_charge', 'escrow_hold']);
+    expect(new Set(ledger.map(entry => entry.transactionId)).size).toBe(1);
+  });
+
+  it('books nothing when the charge is declined', async () => {
+    jest.spyOn(provider, 'charge').mockResolvedValue({ id: 'ch_1', status: 'failed', failureReason: 'Card declined' });
+    const order = buildOrder(100);
+
+    await expect(holdOrderFunds(order)).rejects.toThrow(PaymentError);
+    expect(ledger).toHaveLength(0);
+    expect(order.payment.status).toBe('unpaid');
+  });
+});
+
+describe('addOrderFunds', () => {
+  it('charges the buyer again and adds it to what is held', async () => {
+    const order = buildOrder(100);
+    await holdOrderFunds(order);
+
+    await addOrderFunds(order, 30, 'Extra revision');
+
+    expect(order.amount).toBe(130);
+    expect(getHeldBalance(order)).toBe(130);
+    expect(order.payment.additionalCharges[0]).toMatchObject({ amount: 30, description: 'Extra revision' });
+    expect(entriesOfType('buyer_charge').map(entry => entry.amount)).toEqual([100, 30]);
+    expect(entriesOfType('escrow_hold').map(entry => entry.amount)).toEqual([100, 30]);
+  });
+
+  it('leaves the order alone when the charge is declined', async () => {
+    const order = buildOrder(100);
+    await holdOrderFunds(order);
+    jest.spyOn(provider, 'charge').mockResolvedValue({ id: 'ch_2', status: 'failed', failureReason: 'Card declined' });
+
+    await expect(addOrderFunds(order, 30, 'Extra revision')).rejects.toThrow(PaymentError);
+    expect(order.amount).toBe(100);
+    expect(order.payment.additionalCharges).toHaveLength(0);
+  });
+});
+
+describe('releaseOrderFunds', () => {
+  it('pays the seller what is held, minus the platform fee', async () => {
+    const order = buildOrder(100);
+    await holdOrderFunds(order);
+
+    const released = await releaseOrderFunds(order);
+
+    expect(released).toEqual({ amount: 100, fee: 10, payout: 90 });
+    expect(entriesOfType('platform_fee')[0].amount).toBe(10);
+    expect(entriesOfType('seller_payout')[0]).toMatchObject({ amount: 90, user: order.seller });
+    expect(order.payment.status).toBe('released');
+    expect(getHeldBalance(order)).toBe(0);
+  });
+
+  it('releases part of the money and never more than is held', async () => {
+    const order = buildOrder(100);
+    await holdOrderFunds(order);
+
+    await releaseOrderFunds(order, 40);
+    expect(order.payment.status).toBe('held');
+    expect(getHeldBalance(order)).toBe(60);
+
+    const rest = await releaseOrderFunds(order, 500);
+    expect(rest.amount).toBe(60);
+    expect(await releaseOrderFunds(order)).toBeNull();
+    expect(entriesOfType('seller_payout')).toHaveLength(2);
+  });
+
+  it('uses PLATFORM_FEE_PERCENT', async () => {
+    process.env.PLATFORM_FEE_PERCENT = '20';
+    const order = buildOrder(50);
+    await holdOrderFunds(order);
+
+    expect(await releaseOrderFunds(order)).toEqual({ amount: 50, fee: 10, payout: 40 });
+  });
+});
+
+describe('refundOrderFunds', () => {
+  it('gives everything held back to the buyer', async () => {
+    const order = buildOrder(100);
+    await holdOrderFunds(order);
+
+    expect(await refundOrderFunds(order, undefined, 'Cancelled')).toEqual({ amount: 100 });
+    expect(entriesOfType('refund')[0]).toMatchObject({ amount: 100, user: order.buyer });
+    expect(order.payment.status).toBe('refunded');
+  });
+
+  it('refunds part of the money and keeps the rest held', async () => {
+    const order = buildOrder(100);
+    await holdOrderFunds(order);
+    const refund = jest.spyOn(provider, 'refund');
+
+    expect(await refundOrderFunds(order, 30, 'Partial refund')).toEqual({ amount: 30 });
+
+    expect(refund).toHaveBeenCalledWith(expect.objectContaining({ chargeId: order.payment.chargeId, amount: 30 }));
+    expect(order.payment.status).toBe('held');
+    expect(getHeldBalance(order)).toBe(70);
+  });
+
+  it('refunds the newest charges first', async () => {
+    const order = buildOrder(100);
+    await holdOrderFunds(order);
+    await addOrderFunds(order, 30, 'Extra revision');
+    const refund = jest.spyOn(provider, 'refund');
+
+    await refundOrderFunds(order, 50, 'Partial refund');
+
+    expect(refund.mock.calls.map(([call]) => [call.chargeId, call.amount])).toEqual([
+      [order.payment.additionalCharges[0].chargeId, 30],
+      [order.payment.chargeId, 20]
+    ]);
+    expect(order.payment.additionalCharges[0].refundedAmount).toBe(30);
+    expect(getHeldBalance(order)).toBe(80);
+  });
+
+  it('marks a split settlement as partially refunded', async () => {
+    const order = buildOrder(100);
+    await holdOrderFunds(order);
+
+    await refundOrderFunds(order, 25, 'Settlement');
+    await releaseOrderFunds(order);
+
+    expect(order.payment.refundedAmount).toBe(25);
+    expect(order.payment.releasedAmount).toBe(75);
+    expect(order.payment.status).toBe('partially_refunded');
+  });
+
+  it('books nothing when the refund is declined', async () => {
+    const order = buildOrder(100);
+    await holdOrderFunds(order);
+    jest.spyOn(provider, 'refund').mockResolvedValue({ id: 're_1', status: 'failed', failureReason: 'Refund failed' });
+
+    await expect(refundOrderFunds(order, 50, 'Partial refund')).rejects.toThrow(PaymentError);
+    expect(entriesOfType('refund')).toHaveLength(0);
+    expect(order.payment.refundedAmount).toBe(0);
+  });
+
+  it('stops at a declined refund with what succeeded booked', async () => {
+    const order = buildOrder(100);
+    await holdOrderFunds(order);
+    await addOrderFunds(order, 30, 'Extra revision');
+    jest.spyOn(provider, 'refund')
+      .mockResolvedValueOnce({ id: 're_1', status: 'succeeded' })
+      .mockResolvedValueOnce({ id: 're_2', status: 'failed', failureReason: 'Refund failed' });
+
+    await expect(refundOrderFunds(order, 50, 'Partial refund')).rejects.toThrow(PaymentError);
+    expect(entriesOfType('refund')).toHaveLength(1);
+    expect(order.payment.refundedAmount).toBe(30);
+  });
+});
+
+describe('payTip', () => {
+  it('sends the whole tip to the seller by default, outside escrow', async () => {
+    const order = buildOrder(100);
+
+    const tip = await payTip(order, 15, 'Thanks!');
+
+    expect(tip).toMatchObject({ amount: 15, platformFee: 0, sellerAmount: 15, note: 'Thanks!' });
+    expect(ledger.map(entry => entry.type)).toEqual(['buyer_charge', 'tip']);
+    expect(entriesOfType('tip')[0]).toMatchObject({ amount: 15, user: order.seller, gig: order.gig });
+    expect(getHeldBalance(order)).toBe(0);
+  });
+
+  it('takes TIP_FEE_PERCENT off the tip', async () => {
+    process.env.TIP_FEE_PERCENT = '20';
+    const order = buildOrder(100);
+
+    const tip = await payTip(order, 12.5, 'Great work');
+
+    expect(tip).toMatchObject({ platformFee: 2.5, sellerAmount: 10 });
+    expect(entriesOfType('tip_fee')[0]).toMatchObject({ amount: 2.5, debitAccount: 'platform' });
+    expect(entriesOfType('tip')[0].amount).toBe(10);
+  });
+
+  it('books nothing when the charge is declined', async () => {
+    jest.spyOn(provider, 'charge').mockResolvedValue({ id: 'ch_1', status: 'failed', failureReason: 'Card declined' });
+    const order = buildOrder(100);
+
+    await expect(payTip(order, 15)).rejects.toThrow(PaymentError);
+    expect(ledger).toHaveLength(0);
+    expect(order.tips).toHaveLength(0);
+  });
+});
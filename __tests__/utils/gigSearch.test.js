@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const {
+  RELEVANCE_WEIGHTS,
+  findGigsByRelevance,
+  getGigFacets,
+  syncSellerSkills
+} = require('../../utils/gigSearch');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('RELEVANCE_WEIGHTS', () => {
+  it('adds up to 1', () => {
+    const total = Object.values(RELEVANCE_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+    expect(total).toBeCloseTo(1);
+  });
+});
+
+describe('findGigsByRelevance', () => {
+  let first;
+  let second;
+
+  beforeEach(() => {
+    first = Gig.hydrate({ _id: id(), title: 'Logo design' });
+    second = Gig.hydrate({ _id: id(), title: 'Brand identity' });
+
+    jest.spyOn(Gig, 'aggregate').mockResolvedValue([
+      { _id: second._id, relevance: 0.81234 },
+      { _id: id(), relevance: 0.5 },
+      { _id: first._id, relevance: 0.4 }
+    ]);
+    jest.spyOn(Gig, 'countDocuments').mockResolvedValue(3);
+    // find() with no filter only casts the match; the page lookup returns
+    // the gigs in storage order, not ranked order
+    jest.spyOn(Gig, 'find').mockImplementation(function(filter) {
+      const query = mongoose.Model.find.call(this, filter);
+      if (filter) query.populate = async () => [first, second];
+      return query;
+    });
+  });
+
+  it('keeps the ranked order, drops gigs that are gone and rounds the score', async () => {
+    const { gigs, total } = await findGigsByRelevance({ status: 'active' }, { skip: 12, limit: 12 });
+
+    expect(total).toBe(3);
+    expect(gigs.map(gig => [gig.title, gig.relevance])).toEqual([
+      ['Brand identity', 0.812],
+      ['Logo design', 0.4]
+    ]);
+    const pipeline = Gig.aggregate.mock.calls[0][0];
+    expect(pipeline).toEqual(expect.arrayContaining([{ $skip: 12 }, { $limit: 12 }, { $sort: { relevance: -1, _id: 1 } }]));
+  });
+
+  it('only scores text when the filter searches for it', async () => {
+    await findGigsByRelevance({ status: 'active' });
+    await findGigsByRelevance({ status: 'active', $text: { $search: 'logo' } });
+
+    const relevance = (call) => JSON.stringify(Gig.aggregate.mock.calls[call][0][1].$addFields.relevance);
+    expect(relevance(0)).not.toContain('textScore');
+    expect(relevance(1)).toContain('textScore');
+  });
+});
+
+describe('getGigFacets', () => {
+  it('counts every bucket, empty ones included', async () => {
+    jest.spyOn(Gig, 'aggregate').mockResolvedValue([{
+      categories: [{ _id: 'Graphics & Design', count: 3 }],
+      subcategories: [{ _id: { category: 'Graphics & Design', subcategory: 'Logo Design' }, count: 2 }],
+      price: [{ _id: 25, count: 2 }, { _id: 1000, count: 1 }],
+      deliveryTime: [{ _id: 2, count: 3 }],
+      rating: [{ _id: null, r0: 1, r1: 2, r2: 3 }],
+      tags: [{ _id: 'logo', count: 3 }]
+    }]);
+
+    const facets = await getGigFacets({ status: 'active', price: { $lte: '2000' } });
+
+    expect(facets.categories).toEqual([{ value: 'Graphics & Design', count: 3 }]);
+    expect(facets.subcategories).toEqual([{ value: 'Logo Design', category: 'Graphics & Design', count: 2 }]);
+    expect(facets.price[0]).toEqual({ min: 0, max: 25, count: 0 });
+    expect(facets.price[1]).toEqual({ min: 25, max: 50, count: 2 });
+    expect(facets.price[facets.price.length - 1]).toEqual({ min: 1000, max: null, count: 1 });
+    expect(facets.deliveryTime.map(bucket => bucket.count)).toEqual([0, 3, 0, 0, 0]);
+    expect(facets.rating).toEqual([{ min: 4.5, count: 1 }, { min: 4, count: 2 }, { min: 3, count: 3 }]);
+    expect(facets.tags).toEqual([{ value: 'logo', count: 3 }]);
+    // The match is cast like a find() filter
+    expect(Gig.aggregate.mock.calls[0][0][0].$match.price.$lte).toBe(2000);
+  });
+
+  it('returns zero counts when nothing matches', async () => {
+    jest.spyOn(Gig, 'aggregate').mockResolvedValue([{
+      categories: [], subcategories: [], price: [], deliveryTime: [], rating: [], tags: []
+    }]);
+
+    const facets = await getGigFacets({ status: 'active' });
+
+    expect(facets.rating.every(bucket => bucket.count === 0)).toBe(true);
+    expect(facets.price.every(bucket => bucket.count === 0)).toBe(true);
+  });
+});
+
+describe('syncSellerSkills', () => {
+  it('copies the skills onto every gig of the seller', async () => {
+    const sellerId = id();
+    jest.spyOn(Gig, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    await syncSellerSkills(sellerId, undefined);
+
+    expect(Gig.updateMany).toHaveBeenCalledWith({ seller: sellerId }, { $set: { sellerSkills: [] } });
+  });
+});
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Counter = require('../../models/Counter');
+const Invoice = require('../../models/Invoice');
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const {
+  InvoiceError,
+  formatInvoiceNumber,
+  buildLineItems,
+  getOrderInvoice
+} = require('../../utils/invoices');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildOrder = () => new Order({
+  gig: id(),
+  buyer: id(),
+  seller: id(),
+  amount: 130,
+  requirements: 'Logo for a bakery',
+  gigSnapshot: { title: 'Logo design', price: 100 },
+  package: { name: 'Standard', price: 100, deliveryDays: 3, revisions: 2 },
+  extras: [{ title: 'Source files', price: 15, quantity: 2 }],
+  status: 'completed',
+  payment: {
+    provider: 'fake',
+    chargeId: 'ch_1',
+    status: 'released',
+    heldAmount: 130,
+    releasedAmount: 130,
+    refundedAmount: 0,
+    platformFee: 13,
+    additionalCharges: []
+  }
+});
+
+describe('formatInvoiceNumber', () => {
+  it('pads the sequence', () => {
+    expect(formatInvoiceNumber(42)).toBe('INV-000042');
+  });
+});
+
+describe('buildLineItems', () => {
+  it('splits the checkout into the package and extras', () => {
+    const items = buildLineItems(buildOrder());
+
+    expect(items).toEqual([
+      expect.objectContaining({ type: 'base', description: 'Logo design (Standard)', amount: 100 }),
+      expect.objectContaining({ type: 'extra', description: 'Source files', quantity: 2, unitPrice: 15, amount: 30 })
+    ]);
+  });
+
+  it('lists later charges, tips and refunds', () => {
+    const order = buildOrder();
+    order.payment.heldAmount = 150;
+    order.payment.refundedAmount = 20;
+    order.payment.additionalCharges.push({ chargeId: 'ch_2', amount: 20, refundedAmount: 0, description: 'Extra revision' });
+    order.tips.push({ amount: 10, platformFee: 0, sellerAmount: 10, chargeId: 'ch_3' });
+
+    const items = buildLineItems(order);
+
+    expect(items.map(item => [item.type, item.amount])).toEqual([
+      ['base', 100],
+      ['extra', 30],
+      ['charge', 20],
+      ['tip', 10],
+      ['refund', -20]
+    ]);
+  });
+});
+
+describe('getOrderInvoice', () => {
+  let invoices;
+  let sequence;
+
+  const live = (orderId) => invoices.find(invoice => invoice.order.equals(orderId) && invoice.status === 'issued') || null;
+
+  beforeEach(() => {
+    invoices = [];
+    sequence = 0;
+
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+    jest.spyOn(Counter, 'next').mockImplementation(async () => {
+      sequence += 1;
+      return sequence;
+    });
+    jest.spyOn(Invoice, 'create').mockImplementation(async (data) => {
+      if (live(data.order)) {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+      const invoice = new Invoice(data);
+      invoice.createdAt = new Date();
+      invoices.push(invoice);
+      return invoice;
+    });
+    jest.spyOn(Invoice, 'findOne').mockImplementation(async (filter) => live(filter.order));
+    jest.spyOn(Invoice, 'findById').mockImplementation(async (invoiceId) => invoices.find(invoice => invoice._id.equals(invoiceId)));
+    jest.spyOn(Invoice, 'exists').mockImplementation(async (filter) => invoices.some(invoice =>
+      invoice.order.equals(filter.order) && invoice.status === filter.status && !invoice.replacedBy));
+    jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const invoice = invoices.find(item => item._id.equals(filter._id));
+      if (!invoice) return null;
+      if (filter.status && invoice.status !== filter.status) return null;
+      if (filter.number && invoice.number) return null;
+      invoice.set(update.$set);
+      return invoice;
+    });
+    jest.spyOn(Invoice, 'updateOne').mockImplementation(async (filter, update) => {
+      invoices.find(item => item._id.equals(filter._id)).set(update.$set);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues a numbered invoice on first request and returns it afterwards', async () => {
+    const order = buildOrder();
+
+    const first = await getOrderInvoice(order);
+    const second = await getOrderInvoice(order);
+
+    expect(first.number).toBe('INV-000001');
+    expect(first.total).toBe(130);
+    expect(first.platformFee).toBe(13);
+    expect(second._id).toEqual(first._id);
+    expect(invoices).toHaveLength(1);
+  });
+
+  it('does not invoice an order that was never charged', async () => {
+    const order = buildOrder();
+    order.payment = undefined;
+
+    await expect(getOrderInvoice(order)).rejects.toThrow(InvoiceError);
+    expect(invoices).toHaveLength(0);
+  });
+
+  it('replaces the invoice once a tip comes in', async () => {
+    const order = buildOrder();
+    const original = await getOrderInvoice(order);
+
+    order.tips.push({ amount: 10, platformFee: 1, sellerAmount: 9, chargeId: 'ch_3' });
+    const replacement = await getOrderInvoice(order);
+
+    expect(replacement.number).toBe('INV-000002');
+    expect(replacement.total).toBe(140);
+    expect(replacement.replaces).toEqual(original._id);
+    expect(original).toMatchObject({ status: 'void', replacedBy: replacement._id });
+  });
+
+  it('replaces a full-price invoice once the order is refunded', async () => {
+    const order = buildOrder();
+    await getOrderInvoice(order);
+
+    order.status = 'cancelled';
+    order.payment.refundedAmount = 130;
+    const replacement = await getOrderInvoice(order);
+
+    expect(replacement.total).toBe(0);
+    expect(invoices.filter(invoice => invoice.status === 'issued')).toEqual([replacement]);
+  });
+
+  it('numbers an invoice a failed request left without a number', async () => {
+    const order = buildOrder();
+    Counter.next.mockRejectedValueOnce(new Error('connection lost'));
+    await expect(getOrderInvoice(order)).rejects.toThrow('connection lost');
+
+    await expect(getOrderInvoice(order)).rejects.toThrow('still being issued');
+
+    invoices[0].createdAt = new Date(Date.now() - 60 * 1000);
+    const invoice = await getOrderInvoice(order);
+    expect(invoice.number).toBe('INV-000001');
+    expect(invoices).toHaveLength(1);
+  });
+
+  it('refuses a voided invoice that was not replaced', async () => {
+    const order = buildOrder();
+    const invoice = await getOrderInvoice(order);
+    invoice.status = 'void';
+
+    await expect(getOrderInvoice(order)).rejects.toThrow('was voided');
+  });
+});
@@ -0,0 +1,36 @@
+const { MilestoneError, buildMilestones, allMilestonesDelivered } = require('../../utils/milestones');
+
+const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+describe('buildMilestones', () => {
+  it('turns a plan that covers the order total into milestones', () => {
+    const milestones = buildMilestones([
+      { title: ' Wireframes ', amount: '33.335', dueDate: nextWeek },
+      { title: 'Final design', amount: 66.66, dueDate: nextWeek }
+    ], 100);
+
+    expect(milestones.map(milestone => milestone.title)).toEqual(['Wireframes', 'Final design']);
+    expect(milestones.map(milestone => milestone.amount)).toEqual([33.34, 66.66]);
+  });
+
+  it.each([
+    [[{ title: 'Everything', amount: 100, dueDate: nextWeek }], 'Orders can be split into 2 to 10 milestones'],
+    [[{ title: '', amount: 50, dueDate: nextWeek }, { title: 'B', amount: 50, dueDate: nextWeek }], 'Milestone 1 needs a title'],
+    [[{ title: 'A', amount: 4, dueDate: nextWeek }, { title: 'B', amount: 96, dueDate: nextWeek }], 'Milestone 1 must be at least $5'],
+    [[{ title: 'A', amount: 50, dueDate: nextWeek }, { title: 'B', amount: 50, dueDate: '2020-01-01' }], 'Milestone 2 needs a due date in the future'],
+    [[{ title: 'A', amount: 50, dueDate: nextWeek }, { title: 'B', amount: 40, dueDate: nextWeek }], 'Milestone amounts add up to 90 but the order costs 100']
+  ])('turns down %j', (plan, message) => {
+    expect(() => buildMilestones(plan, 100)).toThrow(MilestoneError);
+    expect(() => buildMilestones(plan, 100)).toThrow(message);
+  });
+});
+
+describe('allMilestonesDelivered', () => {
+  it('ignores milestones that are already approved or cancelled', () => {
+    const order = { milestones: [{ status: 'approved' }, { status: 'delivered' }, { status: 'cancelled' }] };
+
+    expect(allMilestonesDelivered(order)).toBe(true);
+    order.milestones.push({ status: 'in_progress' });
+    expect(allMilestonesDelivered(order)).toBe(false);
+  });
+});
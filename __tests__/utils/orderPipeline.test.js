@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const LedgerEntry = require('../../models/LedgerEntry');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { PaymentError } = require('../../utils/escrow');
+const { placeOrder } = require('../../utils/orderPipeline');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const gig = {
+  _id: id(),
+  seller: id(),
+  title: 'Logo design',
+  category: 'Graphics & Design',
+  price: 50,
+  deliveryTime: 3,
+  revisions: 2
+};
+
+const pricing = { amount: 50, deliveryDays: 3, revisions: 2 };
+
+describe('placeOrder', () => {
+  let calls;
+  let provider;
+
+  beforeEach(() => {
+    calls = [];
+    provider = new FakePaymentProvider();
+    setPaymentProvider(provider);
+    jest.spyOn(provider, 'charge').mockImplementation(async () => {
+      calls.push('charge');
+      return { id: 'ch_1', status: 'succeeded' };
+    });
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      calls.push(`save:${this.payment.status}`);
+      return this;
+    });
+    jest.spyOn(Order, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => entries);
+    jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves the order before charging the buyer', async () => {
+    const order = await placeOrder({ gig, buyer: id(), pricing, requirements: 'Logo' });
+
+    expect(calls).toEqual(['save:unpaid', 'charge', 'save:held']);
+    expect(order.payment.heldAmount).toBe(50);
+    expect(OrderEvent.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'created', order: order._id }));
+  });
+
+  it('removes the order again when the charge is declined', async () => {
+    provider.charge.mockResolvedValue({ id: 'ch_2', status: 'failed', failureReason: 'Card declined' });
+
+    await expect(placeOrder({ gig, buyer: id(), pricing, requirements: 'Logo' })).rejects.toThrow(PaymentError);
+
+    expect(Order.deleteOne).toHaveBeenCalledTimes(1);
+    expect(LedgerEntry.insertMany).not.toHaveBeenCalled();
+    expect(OrderEvent.create).not.toHaveBeenCalled();
+  });
+});
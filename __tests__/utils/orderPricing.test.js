@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const Order = require('../../models/Order');
+const { PricingError, priceGigOrder, buildGigSnapshot } = require('../../utils/orderPricing');
+
+const buildGig = (fields) => new Gig({
+  title: 'Logo design',
+  description: 'A logo for your brand',
+  category: 'Graphics & Design',
+  subcategory: 'Logo Design',
+  seller: new mongoose.Types.ObjectId(),
+  price: 40,
+  deliveryTime: 5,
+  revisions: 1,
+  ...fields
+});
+
+const packages = [
+  { tier: 'basic', name: 'Basic', price: 20, deliveryTime: 7, revisions: 1, features: ['1 concept'] },
+  { tier: 'premium', name: 'Premium', price: 90, deliveryTime: 3, revisions: 5, features: ['3 concepts', 'Source files'] }
+];
+
+describe('priceGigOrder', () => {
+  it('prices a gig without packages from its own fields', () => {
+    const pricing = priceGigOrder(buildGig(), { packageId: 'ignored' });
+
+    expect(pricing).toEqual({ amount: 40, deliveryDays: 5, revisions: 1, package: undefined, extras: [] });
+  });
+
+  it('prices an order from the chosen package and keeps a copy of it', () => {
+    const gig = buildGig({ packages });
+    const premium = gig.packages.find(pkg => pkg.tier === 'premium');
+
+    const pricing = priceGigOrder(gig, { packageId: premium._id.toString() });
+
+    expect(pricing).toMatchObject({ amount: 90, deliveryDays: 3, revisions: 5 });
+    expect(pricing.package).toMatchObject({ packageId: premium._id, tier: 'premium', name: 'Premium', price: 90 });
+    expect([...pricing.package.features]).toEqual(['3 concepts', 'Source files']);
+  });
+
+  it('requires a package when the gig has them', () => {
+    expect(() => priceGigOrder(buildGig({ packages }))).toThrow(PricingError);
+    expect(() => priceGigOrder(buildGig({ packages }), { packageId: new mongoose.Types.ObjectId().toString() }))
+      .toThrow('Package not found on this gig');
+  });
+
+  describe('with extras', () => {
+    const extras = [
+      { title: 'Express delivery', price: 15, additionalDays: -3 },
+      { title: 'Extra revision', price: 5.55, additionalRevisions: 1 }
+    ];
+
+    it('adds the extras to the price, delivery time and revisions', () => {
+      const gig = buildGig({ extras });
+      const [express, revision] = gig.extras;
+
+      const pricing = priceGigOrder(gig, { extras: [express._id.toString(), { extraId: revision._id.toString(), quantity: 3 }] });
+
+      expect(pricing).toMatchObject({ amount: 71.65, deliveryDays: 2, revisions: 4 });
+      expect(pricing.extras).toEqual([
+        expect.objectContaining({ extraId: express._id, title: 'Express delivery', quantity: 1 }),
+        expect.objectContaining({ extraId: revision._id, price: 5.55, quantity: 3 })
+      ]);
+    });
+
+    it('never takes delivery below a day', () => {
+      const gig = buildGig({ deliveryTime: 2, extras });
+
+      expect(priceGigOrder(gig, { extras: [gig.extras[0]._id.toString()] }).deliveryDays).toBe(1);
+    });
+
+    it('turns down unknown, repeated and oversized selections', () => {
+      const gig = buildGig({ extras });
+      const expressId = gig.extras[0]._id.toString();
+
+      expect(() => priceGigOrder(gig, { extras: ['unknown'] })).toThrow('Extra not found on this gig');
+      expect(() => priceGigOrder(gig, { extras: [expressId, expressId] })).toThrow("Extra 'Express delivery' was selected more than once");
+      expect(() => priceGigOrder(gig, { extras: [{ extraId: expressId, quantity: 11 }] })).toThrow('Extra quantity must be between 1 and 10');
+    });
+  });
+});
+
+describe('buildGigSnapshot', () => {
+  it('copies the gig with the chosen package', () => {
+    const gig = buildGig({
+      packages,
+      slug: 'logo-design-1',
+      images: [{ url: '/uploads/cover.png' }, { url: '/uploads/primary.png', isPrimary: true }]
+    });
+    const premium = gig.packages.find(pkg => pkg.tier === 'premium');
+
+    const snapshot = buildGigSnapshot(gig, priceGigOrder(gig, { packageId: premium._id.toString() }));
+
+    expect(snapshot).toEqual({
+      title: 'Logo design',
+      category: 'Graphics & Design',
+      subcategory: 'Logo Design',
+      price: 90,
+      deliveryTime: 3,
+      revisions: 5,
+      image: '/uploads/primary.png',
+      slug: 'logo-design-1'
+    });
+  });
+
+  it('cannot be changed once the order exists', () => {
+    const order = Order.hydrate({ _id: new mongoose.Types.ObjectId(), gigSnapshot: { title: 'Logo design', price: 40 } });
+
+    order.set('gigSnapshot.title', 'Renamed gig');
+    order.set('gigSnapshot.price', 1);
+
+    expect(order.gigSnapshot.title).toBe('Logo design');
+    expect(order.gigSnapshot.price).toBe(40);
+  });
+});
+
+describe('gig packages', () => {
+  it('mirrors the cheapest package on the gig', async () => {
+    const gig = buildGig({ packages });
+
+    await gig.validate();
+
+    expect(gig.price).toBe(20);
+    expect(gig.deliveryTime).toBe(7);
+    expect(gig.revisions).toBe(1);
+  });
+
+  it('allows each tier once', async () => {
+    const gig = buildGig({ packages: [packages[0], { ...packages[1], tier: 'basic' }] });
+
+    await expect(gig.validate()).rejects.toThrow('Each package tier can only be used once');
+  });
+});
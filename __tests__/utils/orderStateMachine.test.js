@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const User = require('../../models/User');
+const LedgerEntry = require('../../models/LedgerEntry');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { holdOrderFunds } = require('../../utils/escrow');
+const {
+  ORDER_TRANSITIONS,
+  OrderTransitionError,
+  getOrderRole,
+  getAllowedTransitions,
+  canTransition,
+  transitionOrder
+} = require('../../utils/orderStateMachine');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('order transition table', () => {
+  it('only moves between known statuses', () => {
+    const statuses = Object.keys(ORDER_TRANSITIONS);
+    Object.values(ORDER_TRANSITIONS).forEach(transitions => {
+      Object.keys(transitions).forEach(to => expect(statuses).toContain(to));
+    });
+  });
+
+  it('ends at completed and cancelled', () => {
+    expect(getAllowedTransitions({ status: 'completed' }, 'admin')).toEqual([]);
+    expect(getAllowedTransitions({ status: 'cancelled' }, 'admin')).toEqual([]);
+  });
+
+  it.each([
+    ['awaiting_requirements', 'buyer', ['pending', 'cancelled']],
+    ['pending', 'seller', ['accepted', 'cancelled']],
+    ['awaiting_requirements', 'system', ['cancelled']],
+    ['pending', 'buyer', ['cancelled']],
+    ['pending', 'system', ['cancelled']],
+    ['accepted', 'seller', ['in_progress', 'delivered', 'cancelled', 'disputed']],
+    ['in_progress', 'buyer', ['cancelled', 'disputed']],
+    ['delivered', 'buyer', ['in_progress', 'completed', 'cancelled', 'disputed']],
+    ['delivered', 'admin', ['completed', 'cancelled']],
+    ['delivered', 'system', ['completed', 'disputed']],
+    ['disputed', 'buyer', []],
+    ['disputed', 'admin', ['completed', 'cancelled']]
+  ])('from %s lets the %s move to %j', (status, role, expected) => {
+    expect(getAllowedTransitions({ status }, role)).toEqual(expected);
+  });
+
+  it('does not let the seller complete or the buyer deliver', () => {
+    expect(canTransition({ status: 'delivered' }, 'completed', 'seller')).toBe(false);
+    expect(canTransition({ status: 'in_progress' }, 'delivered', 'buyer')).toBe(false);
+    expect(canTransition({ status: 'pending' }, 'accepted', 'buyer')).toBe(false);
+  });
+
+  it('rejects unknown statuses and roles', () => {
+    expect(getAllowedTransitions({ status: 'archived' }, 'admin')).toEqual([]);
+    expect(canTransition({ status: 'pending' }, 'accepted', null)).toBe(false);
+  });
+});
+
+describe('getOrderRole', () => {
+  const buyer = id();
+  const seller = id();
+  const order = { buyer, seller: { _id: seller } };
+
+  it('works out the side of the order a user is on', () => {
+    expect(getOrderRole(order, { _id: buyer, role: 'client' })).toBe('buyer');
+    expect(getOrderRole(order, { _id: seller, role: 'freelancer' })).toBe('seller');
+    expect(getOrderRole(order, { _id: id(), role: 'admin' })).toBe('admin');
+    expect(getOrderRole(order, { _id: id(), role: 'client' })).toBeNull();
+    expect(getOrderRole(order, null)).toBeNull();
+  });
+});
+
+describe('transitionOrder', () => {
+  let ledger;
+  let stored;
+  let provider;
+
+  // A copy of the order as one request loaded it
+  const load = (fields) => {
+    const order = Order.hydrate({ ...fields });
+    order.save = jest.fn().mockResolvedValue(order);
+    return order;
+  };
+
+  const deliveredOrder = async () => {
+    const order = new Order({ gig: id(), buyer: id(), seller: id(), amount: 100, requirements: 'Logo', status: 'delivered' });
+    await holdOrderFunds(order);
+    ledger = [];
+    stored = { status: order.status };
+    return order.toObject();
+  };
+
+  beforeEach(() => {
+    ledger = [];
+    provider = new FakePaymentProvider();
+    setPaymentProvider(provider);
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => {
+      ledger.push(...entries);
+      return entries;
+    });
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+    jest.spyOn(Gig, 'findById').mockResolvedValue(null);
+
+    // The status as the database has it
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stored.status !== filter.status) return null;
+      stored.status = update.$set.status;
+      return { _id: filter._id };
+    });
+    jest.spyOn(Order, 'findById').mockImplementation(() => ({ select: async () => ({ status: stored.status }) }));
+    jest.spyOn(Order, 'updateOne').mockImplementation(async (filter, update) => {
+      if (stored.status === filter.status) Object.assign(stored, update.$set);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves the move and records it on the timeline', async () => {
+    const order = load(await deliveredOrder());
+
+    await transitionOrder(order, 'completed', { role: 'buyer', user: { _id: order.buyer } });
+
+    expect(stored.status).toBe('completed');
+    expect(order.status).toBe('completed');
+    expect(order.completedDate).toEqual(expect.any(Date));
+    expect(order.save).toHaveBeenCalled();
+    expect(OrderEvent.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'completed', actorRole: 'buyer' }));
+  });
+
+  it('pays the seller once when two requests complete the order together', async () => {
+    const fields = await deliveredOrder();
+    const fromBuyer = load(fields);
+    const fromAdmin = load(fields);
+
+    const results = await Promise.allSettled([
+      transitionOrder(fromBuyer, 'completed', { role: 'buyer' }),
+      transitionOrder(fromAdmin, 'completed', { role: 'admin' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    const failure = results.find(result => result.status === 'rejected').reason;
+    expect(failure).toBeInstanceOf(OrderTransitionError);
+    expect(failure.statusCode).toBe(409);
+    expect(ledger.filter(entry => entry.type === 'seller_payout')).toHaveLength(1);
+  });
+
+  it('refuses a move the role may not make before touching the order', async () => {
+    const order = load(await deliveredOrder());
+
+    const error = await transitionOrder(order, 'completed', { role: 'seller' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(OrderTransitionError);
+    expect(error.allowedTransitions).toEqual(['cancelled', 'disputed']);
+    expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(stored.status).toBe('delivered');
+  });
+
+  it('only reopens delivered work with a revision request', async () => {
+    const order = load(await deliveredOrder());
+
+    await expect(transitionOrder(order, 'in_progress', { role: 'buyer' })).rejects.toThrow('request a revision instead');
+
+    order.revisionRequests.push({ message: 'Brighter colours', status: 'pending' });
+    const revision = order.revisionRequests[0];
+    await transitionOrder(order, 'in_progress', { role: 'buyer', revision });
+    expect(stored.status).toBe('in_progress');
+  });
+
+  it('only marks work delivered with a recorded delivery', async () => {
+    const order = load({ ...(await deliveredOrder()), status: 'in_progress' });
+    stored.status = 'in_progress';
+
+    await expect(transitionOrder(order, 'delivered', { role: 'seller' })).rejects.toThrow('submit a delivery instead');
+    expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+
+    await transitionOrder(order, 'delivered', { role: 'seller', delivery: { _id: id() } });
+    expect(stored.status).toBe('delivered');
+  });
+
+  it('puts the order back when its side effects fail', async () => {
+    const order = load(await deliveredOrder());
+    jest.spyOn(provider, 'refund').mockResolvedValue({ id: 're_1', status: 'failed', failureReason: 'Refund failed' });
+
+    await expect(transitionOrder(order, 'cancelled', { role: 'admin', reason: 'Fraud' })).rejects.toThrow('Refund failed');
+
+    expect(stored.status).toBe('delivered');
+    expect(order.status).toBe('delivered');
+    expect(order.save).not.toHaveBeenCalled();
+    expect(OrderEvent.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const Payout = require('../../models/Payout');
+const User = require('../../models/User');
+const LedgerEntry = require('../../models/LedgerEntry');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { PaymentError } = require('../../utils/escrow');
+const {
+  PayoutError,
+  getSellerBalances,
+  withPayoutLock,
+  sendPayout,
+  reconcilePayout
+} = require('../../utils/payouts');
+
+const id = () => new mongoose.Types.ObjectId();
+
+let ledger;
+let provider;
+
+beforeEach(() => {
+  ledger = [];
+  provider = new FakePaymentProvider();
+  setPaymentProvider(provider);
+  jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => {
+    ledger.push(...entries);
+    return entries;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getSellerBalances', () => {
+  it('takes withdrawals and open payouts off cleared earnings', async () => {
+    jest.spyOn(LedgerEntry, 'aggregate')
+      .mockResolvedValueOnce([{ cleared: 300, pending: 80 }])
+      .mockResolvedValueOnce([{ total: 100 }]);
+    jest.spyOn(Payout, 'aggregate').mockResolvedValue([{ total: 50 }]);
+
+    expect(await getSellerBalances(id())).toMatchObject({
+      available: 150,
+      pending: 80,
+      reserved: 50,
+      withdrawn: 100
+    });
+  });
+
+  it('never reports a negative available balance', async () => {
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValueOnce([]).mockResolvedValueOnce([{ total: 20 }]);
+    jest.spyOn(Payout, 'aggregate').mockResolvedValue([]);
+
+    expect((await getSellerBalances(id())).available).toBe(0);
+  });
+});
+
+describe('withPayoutLock', () => {
+  let lockedUntil;
+
+  beforeEach(() => {
+    lockedUntil = null;
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (lockedUntil && lockedUntil > new Date()) return null;
+      lockedUntil = update.$set.payoutLockedUntil;
+      return { _id: filter._id };
+    });
+    jest.spyOn(User, 'updateOne').mockImplementation(async () => {
+      lockedUntil = null;
+      return { modifiedCount: 1 };
+    });
+  });
+
+  it('lets one withdrawal request check the balance at a time', async () => {
+    const seller = id();
+    let finish;
+    const first = withPayoutLock(seller, () => new Promise(resolve => { finish = resolve; }));
+    await new Promise(setImmediate);
+
+    await expect(withPayoutLock(seller, async () => 'second')).rejects.toThrow(PayoutError);
+
+    finish('first');
+    expect(await first).toBe('first');
+    expect(await withPayoutLock(seller, async () => 'third')).toBe('third');
+  });
+
+  it('lets go of the lock when the request fails', async () => {
+    await expect(withPayoutLock(id(), async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(lockedUntil).toBeNull();
+  });
+});
+
+describe('sendPayout', () => {
+  let stored;
+
+  const buildPayout = () => {
+    const payout = new Payout({ seller: id(), amount: 75, method: { type: 'paypal', email: 'a@b.c' }, status: 'approved' });
+    stored = { status: 'approved' };
+    return payout;
+  };
+
+  const sameValue = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+
+  beforeEach(() => {
+    jest.spyOn(Payout, 'updateOne').mockImplementation(async (filter, update) => {
+      const { _id, ...conditions } = filter;
+      if (!Object.entries(conditions).every(([field, value]) => sameValue(stored[field], value))) {
+        return { modifiedCount: 0 };
+      }
+      Object.assign(stored, update.$set);
+      Object.keys(update.$unset || {}).forEach(field => delete stored[field]);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(LedgerEntry, 'exists').mockImplementation(async (filter) =>
+      ledger.some(entry => entry.type === filter.type && entry.providerReference === filter.providerReference));
+  });
+
+  it('sends the money and books the withdrawal', async () => {
+    const payout = buildPayout();
+
+    await sendPayout(payout);
+
+    expect(stored).toMatchObject({ status: 'paid', providerReference: payout.providerReference, bookedAt: expect.any(Date) });
+    expect(payout.providerReference).toMatch(/^fake_po_/);
+    expect(ledger).toEqual([expect.objectContaining({ type: 'withdrawal', amount: 75, user: payout.seller })]);
+  });
+
+  it('sends a payout once when it is marked paid twice at the same time', async () => {
+    const payout = buildPayout();
+    const again = Payout.hydrate(payout.toObject());
+    const send = jest.spyOn(provider, 'payout');
+
+    const results = await Promise.allSettled([sendPayout(payout), sendPayout(again)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(ledger).toHaveLength(1);
+  });
+
+  it('goes back to approved when the provider does not send it', async () => {
+    const payout = buildPayout();
+    jest.spyOn(provider, 'payout').mockResolvedValue({ id: 'po_1', status: 'failed', failureReason: 'Account closed' });
+
+    await expect(sendPayout(payout)).rejects.toThrow(PaymentError);
+
+    expect(stored.status).toBe('approved');
+    expect(stored.processingAt).toBeUndefined();
+    expect(payout.status).toBe('approved');
+    expect(ledger).toHaveLength(0);
+  });
+
+  it('keeps the payout paid with its reference when the ledger write fails', async () => {
+    const payout = buildPayout();
+    LedgerEntry.insertMany.mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(sendPayout(payout)).rejects.toThrow('write failed');
+
+    expect(stored.status).toBe('paid');
+    expect(stored.providerReference).toMatch(/^fake_po_/);
+    expect(stored.bookedAt).toBeUndefined();
+  });
+
+  it('books a paid payout the ledger write missed, once', async () => {
+    const payout = buildPayout();
+    LedgerEntry.insertMany.mockRejectedValueOnce(new Error('write failed'));
+    await expect(sendPayout(payout)).rejects.toThrow('write failed');
+
+    const left = Payout.hydrate({ ...payout.toObject(), ...stored });
+    expect(await reconcilePayout(left)).toBe(true);
+    expect(await reconcilePayout(left)).toBe(true);
+
+    expect(ledger).toEqual([expect.objectContaining({ type: 'withdrawal', providerReference: stored.providerReference })]);
+    expect(stored.bookedAt).toEqual(expect.any(Date));
+  });
+
+  it('finishes a payout left processing without sending it twice', async () => {
+    const payout = buildPayout();
+    const send = jest.spyOn(provider, 'payout');
+    // The request died after the provider sent the money
+    stored = { status: 'processing', processingAt: new Date('2026-10-01T10:00:00Z') };
+    const reference = (await provider.payout({ amount: 75, idempotencyKey: payout._id.toString() })).id;
+
+    const left = Payout.hydrate({ ...payout.toObject(), ...stored });
+    expect(await reconcilePayout(left)).toBe(true);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(stored).toMatchObject({ status: 'paid', providerReference: reference });
+    expect(ledger).toHaveLength(1);
+  });
+
+  it('leaves a stuck payout to the run that claimed it', async () => {
+    buildPayout();
+    stored = { status: 'processing', processingAt: new Date('2026-10-01T10:00:00Z') };
+    const payout = Payout.hydrate({ _id: id(), seller: id(), amount: 75, ...stored });
+    const again = Payout.hydrate(payout.toObject());
+    const send = jest.spyOn(provider, 'payout');
+
+    const results = await Promise.all([reconcilePayout(payout), reconcilePayout(again)]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(ledger).toHaveLength(1);
+  });
+});
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { RequirementsError, applyAnswers, getMissingAnswers } = require('../../utils/requirements');
+
+const question = (type, fields = {}) => ({
+  questionId: new mongoose.Types.ObjectId(),
+  question: `A ${type} question`,
+  type,
+  options: [],
+  required: true,
+  ...fields
+});
+
+const upload = (fieldname) => ({
+  fieldname,
+  originalname: 'brief.pdf',
+  filename: '123-brief.pdf',
+  mimetype: 'application/pdf',
+  size: 2048
+});
+
+describe('applyAnswers', () => {
+  it('answers a file question with the uploaded file', () => {
+    const brief = question('file');
+
+    applyAnswers([brief], {}, [upload(brief.questionId.toString())]);
+
+    expect(brief.file).toMatchObject({ filename: 'brief.pdf', url: '/uploads/requirements/123-brief.pdf', fileType: 'application/pdf' });
+    expect(getMissingAnswers([brief])).toHaveLength(0);
+  });
+
+  it('does not take a file answer from the request body', () => {
+    const brief = question('file');
+    const answers = { [brief.questionId]: { filename: 'brief.pdf', url: '/uploads/someone-elses.pdf' } };
+
+    expect(() => applyAnswers([brief], answers)).toThrow(RequirementsError);
+    expect(brief.file).toBeUndefined();
+  });
+
+  it('rejects a file uploaded for a question that does not take one', () => {
+    const name = question('text');
+
+    expect(() => applyAnswers([name], {}, [upload(name.questionId.toString())])).toThrow(RequirementsError);
+  });
+
+  it('reads text, url and choice answers', () => {
+    const text = question('text');
+    const url = question('url');
+    const choice = question('multiple_choice', { options: ['Print', 'Web'], allowMultiple: true });
+
+    applyAnswers([text, url, choice], [
+      { questionId: text.questionId.toString(), answer: ' A bakery ' },
+      { questionId: url.questionId.toString(), answer: 'https://example.com' },
+      { questionId: choice.questionId.toString(), answer: ['Print', 'Web'] }
+    ]);
+
+    expect(text.answer).toBe('A bakery');
+    expect(url.answer).toBe('https://example.com');
+    expect(choice.choices).toEqual(['Print', 'Web']);
+  });
+});
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const Notification = require('../../models/Notification');
+const SavedSearch = require('../../models/SavedSearch');
+const { setTransporter } = require('../../utils/mailer');
+const { runSavedSearch } = require('../../utils/savedSearches');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('runSavedSearch', () => {
+  let user;
+  let search;
+  let sent;
+  let gigs;
+
+  beforeEach(() => {
+    sent = [];
+    setTransporter({ sendMail: async (mail) => sent.push(mail) });
+    user = { _id: id(), email: 'buyer@example.com', emailNotifications: {}, isActive: true };
+    // As the job loads it, with the user populated
+    search = {
+      _id: id(),
+      user,
+      name: 'Cheap logos',
+      query: { q: 'logo', maxPrice: 50 },
+      lastCheckedAt: new Date(Date.now() - 60 * 60 * 1000)
+    };
+    gigs = [{ _id: id(), title: 'Minimal logo', price: 30 }];
+
+    jest.spyOn(Gig, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ select: async () => gigs }) })
+    });
+    jest.spyOn(Gig, 'countDocuments').mockImplementation(async () => gigs.length);
+    jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+    jest.spyOn(Notification.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(SavedSearch, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setTransporter(null);
+  });
+
+  it('tells the user about gigs that went live since the last run', async () => {
+    const until = new Date();
+
+    expect(await runSavedSearch(search, until)).toBe(1);
+
+    const [filter] = Gig.find.mock.calls[0];
+    expect(filter).toMatchObject({
+      status: 'active',
+      activatedAt: { $gt: search.lastCheckedAt, $lte: until },
+      seller: { $ne: user._id }
+    });
+    const [notification] = Notification.create.mock.calls[0];
+    expect(notification).toMatchObject({
+      type: 'saved_search_match',
+      title: '1 new gig for "Cheap logos"',
+      link: '/search?q=logo&maxPrice=50'
+    });
+    expect(sent).toEqual([expect.objectContaining({ to: 'buyer@example.com', subject: '1 new gig for "Cheap logos"' })]);
+    expect(SavedSearch.updateOne).toHaveBeenCalledWith(
+      { _id: search._id },
+      { $set: { lastCheckedAt: until, lastMatchedAt: until }, $inc: { totalMatches: 1 } }
+    );
+  });
+
+  it('keeps the alert in-app when the user turned search emails off', async () => {
+    user.emailNotifications = { savedSearches: false };
+
+    await runSavedSearch(search);
+
+    expect(Notification.create).toHaveBeenCalledTimes(1);
+    expect(sent).toHaveLength(0);
+  });
+
+  it('only moves the window on when nothing new went live', async () => {
+    gigs = [];
+    const until = new Date();
+
+    expect(await runSavedSearch(search, until)).toBe(0);
+
+    expect(Notification.create).not.toHaveBeenCalled();
+    expect(SavedSearch.updateOne).toHaveBeenCalledWith(
+      { _id: search._id },
+      { $set: { lastCheckedAt: until }, $inc: { totalMatches: 0 } }
+    );
+  });
+
+  it('does not alert deactivated users', async () => {
+    user.isActive = false;
+
+    expect(await runSavedSearch(search)).toBe(0);
+
+    expect(Gig.find).not.toHaveBeenCalled();
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,42 @@
+const { registerJob, runJob, getJobStatus } = require('../../utils/scheduler');
+
+describe('scheduler', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not register the same job twice', () => {
+    registerJob('duplicate', 1000, async () => {});
+
+    expect(() => registerJob('duplicate', 1000, async () => {})).toThrow("Job 'duplicate' is already registered");
+  });
+
+  it('never runs a job alongside itself', async () => {
+    let finish;
+    const handler = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    registerJob('slow', 1000, handler);
+
+    const first = runJob('slow');
+    await runJob('slow');
+    finish();
+    await first;
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('records the last failure and clears it on the next good run', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('database down'))
+      .mockResolvedValue();
+    registerJob('flaky', 1000, handler);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await runJob('flaky');
+    expect(getJobStatus().find(job => job.name === 'flaky')).toMatchObject({ lastError: 'database down', running: false });
+
+    await runJob('flaky');
+    const status = getJobStatus().find(job => job.name === 'flaky');
+    expect(status.lastError).toBeNull();
+    expect(status.lastRunAt).toEqual(expect.any(Date));
+  });
+});
@@ -0,0 +1,117 @@
+const SearchSuggestion = require('../../models/SearchSuggestion');
+const {
+  getGigTerms,
+  updateGigSuggestions,
+  recordSearchQuery,
+  getSuggestions
+} = require('../../utils/searchSuggestions');
+
+// A find() chain that resolves to the given documents
+const found = (docs) => {
+  const query = {};
+  ['sort', 'limit', 'select'].forEach(method => {
+    query[method] = () => query;
+  });
+  query.lean = async () => docs;
+  return query;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getGigTerms', () => {
+  it('collects the title, subcategory and tags of a live gig', () => {
+    const terms = getGigTerms({ status: 'active', title: '  Logo   Design ', subcategory: 'Logo Design', tags: ['Branding'] });
+
+    expect([...terms.keys()]).toEqual(['title:logo design', 'subcategory:logo design', 'tag:branding']);
+    expect(terms.get('tag:branding').display).toBe('Branding');
+  });
+
+  it('gives nothing for gigs that are not live', () => {
+    expect(getGigTerms({ status: 'paused', title: 'Logo design' }).size).toBe(0);
+  });
+});
+
+describe('updateGigSuggestions', () => {
+  it('moves the counts from the old terms to the new ones', async () => {
+    const bulkWrite = jest.spyOn(SearchSuggestion, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(SearchSuggestion, 'deleteMany').mockResolvedValue({});
+    const before = getGigTerms({ status: 'active', title: 'Logo design', tags: ['logo'] });
+
+    await updateGigSuggestions(before, { _id: 'g1', status: 'active', title: 'Logo design', tags: ['branding'] });
+
+    const operations = bulkWrite.mock.calls[0][0].map(({ updateOne }) => [updateOne.filter.term, updateOne.update.$inc.gigCount, updateOne.upsert]);
+    expect(operations).toEqual([['logo', -1, false], ['branding', 1, true]]);
+    expect(SearchSuggestion.deleteMany).toHaveBeenCalledWith(expect.objectContaining({ term: { $in: ['logo'] }, gigCount: { $lte: 0 } }));
+  });
+
+  it('logs a failure instead of failing the gig write', async () => {
+    jest.spyOn(SearchSuggestion, 'bulkWrite').mockRejectedValue(new Error('connection reset'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(updateGigSuggestions(new Map(), { _id: 'g1', status: 'active', title: 'Logo' })).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('recordSearchQuery', () => {
+  it('counts the normalized query', async () => {
+    const updateOne = jest.spyOn(SearchSuggestion, 'updateOne').mockResolvedValue({});
+
+    await recordSearchQuery('  Logo   DESIGN ');
+
+    expect(updateOne.mock.calls[0][0]).toEqual({ term: 'logo design', kind: 'query' });
+    expect(updateOne.mock.calls[0][1].$inc).toEqual({ searchCount: 1, weight: 1 });
+  });
+
+  it('skips queries too short to suggest', async () => {
+    jest.spyOn(SearchSuggestion, 'updateOne');
+
+    await recordSearchQuery('a');
+
+    expect(SearchSuggestion.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('getSuggestions', () => {
+  it('returns each matching term once, starting at a word boundary', async () => {
+    jest.spyOn(SearchSuggestion, 'find').mockReturnValue(found([
+      { term: 'logo design', display: 'Logo Design', kind: 'subcategory' },
+      { term: 'logo design', display: 'logo design', kind: 'query' },
+      { term: 'minimal logo', display: 'Minimal logo', kind: 'tag' },
+      { term: 'eulogos', display: 'Eulogos', kind: 'title' }
+    ]));
+
+    const { suggestions, didYouMean } = await getSuggestions('Logo');
+
+    expect(suggestions).toEqual([
+      { text: 'Logo Design', type: 'subcategory' },
+      { text: 'Minimal logo', type: 'tag' }
+    ]);
+    expect(didYouMean).toBeNull();
+    expect(SearchSuggestion.find.mock.calls[0][0].prefixes).toBe('logo');
+  });
+
+  it('offers a correction when nothing matches', async () => {
+    jest.spyOn(SearchSuggestion, 'find')
+      .mockReturnValueOnce(found([]))
+      .mockReturnValueOnce(found([{ term: 'wordpress' }, { term: 'word' }]));
+
+    const { suggestions, didYouMean } = await getSuggestions('wrodpress');
+
+    expect(suggestions).toEqual([]);
+    expect(didYouMean).toBe('wordpress');
+  });
+
+  it('corrects a longer query word by word', async () => {
+    jest.spyOn(SearchSuggestion, 'find')
+      .mockReturnValueOnce(found([]))
+      .mockReturnValueOnce(found([]))
+      .mockReturnValueOnce(found([{ term: 'logo' }, { term: 'design' }]));
+
+    const { didYouMean } = await getSuggestions('lgoo desgin');
+
+    expect(didYouMean).toBe('logo design');
+  });
+});
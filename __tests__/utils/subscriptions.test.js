@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Gig = require('../../models/Gig');
+const Order = require('../../models/Order');
+const OrderEvent = require('../../models/OrderEvent');
+const LedgerEntry = require('../../models/LedgerEntry');
+const Subscription = require('../../models/Subscription');
+const FakePaymentProvider = require('../../utils/payments/fakeProvider');
+const { setPaymentProvider } = require('../../utils/payments');
+const { PaymentError } = require('../../utils/escrow');
+const {
+  addInterval,
+  startSubscription,
+  renewSubscription,
+  cancelSubscription
+} = require('../../utils/subscriptions');
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const gig = {
+  _id: id(),
+  seller: id(),
+  title: 'Weekly blog post',
+  category: 'Writing & Translation',
+  price: 40,
+  deliveryTime: 3,
+  revisions: 1,
+  status: 'active',
+  billingInterval: 'week'
+};
+
+const pricing = { amount: 40, deliveryDays: 3, revisions: 1 };
+
+// Apply the update operators the subscription code uses to a stored document
+const applyUpdate = (doc, update) => {
+  Object.assign(doc, update.$set);
+  Object.entries(update.$inc || {}).forEach(([field, by]) => { doc[field] = (doc[field] || 0) + by; });
+  Object.entries(update.$push || {}).forEach(([field, value]) => { doc[field] = [...(doc[field] || []), value]; });
+  Object.keys(update.$unset || {}).forEach(field => { delete doc[field]; });
+};
+
+const matches = (doc, filter) => {
+  if (filter.status && filter.status.$in && !filter.status.$in.includes(doc.status)) return false;
+  if (typeof filter.status === 'string' && filter.status !== doc.status) return false;
+  if ('nextRenewalAt' in filter && String(filter.nextRenewalAt) !== String(doc.nextRenewalAt)) return false;
+  return true;
+};
+
+describe('subscriptions', () => {
+  let ledger;
+  let provider;
+  let stored;
+  let orders;
+
+  beforeEach(() => {
+    ledger = [];
+    orders = { saved: [], deleted: [], status: {} };
+    stored = null;
+    provider = new FakePaymentProvider();
+    setPaymentProvider(provider);
+    delete process.env.SUBSCRIPTION_RETRY_HOURS;
+    delete process.env.SUBSCRIPTION_GRACE_DAYS;
+
+    jest.spyOn(Subscription.prototype, 'save').mockImplementation(async function() {
+      stored = this.toObject();
+      return this;
+    });
+    jest.spyOn(Subscription, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!stored || !matches(stored, filter)) return null;
+      applyUpdate(stored, update);
+      return Subscription.hydrate({ ...stored });
+    });
+    jest.spyOn(Subscription, 'updateOne').mockImplementation(async (filter, update) => {
+      if (!stored || !matches(stored, filter)) return { modifiedCount: 0 };
+      applyUpdate(stored, update);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Subscription, 'deleteOne').mockImplementation(async () => {
+      stored = null;
+      return { deletedCount: 1 };
+    });
+    jest.spyOn(Subscription, 'findById').mockImplementation(() => ({
+      select: async () => stored && Subscription.hydrate({ ...stored })
+    }));
+
+    jest.spyOn(Gig, 'findById').mockResolvedValue(gig);
+    jest.spyOn(Order, 'findById').mockImplementation(() => ({ select: async () => null }));
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      orders.saved.push(this._id);
+      orders.status[this._id] = this.status;
+      return this;
+    });
+    jest.spyOn(Order, 'deleteOne').mockImplementation(async ({ _id }) => {
+      orders.deleted.push(_id);
+      return { deletedCount: 1 };
+    });
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (orders.status[filter._id] !== filter.status) return null;
+      orders.status[filter._id] = update.$set.status;
+      return { _id: filter._id };
+    });
+    jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async (entries) => {
+      ledger.push(...entries);
+      return entries;
+    });
+    jest.spyOn(OrderEvent, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const subscribe = () => startSubscription({ gig, buyer: id(), pricing, requirements: ['Topic list'] });
+
+  // Move the stored subscription to the end of its period, due for renewal
+  const makeDue = (fields = {}) => {
+    const periodEnd = new Date(Date.now() - 60 * 1000);
+    Object.assign(stored, { currentPeriodEnd: periodEnd, nextRenewalAt: periodEnd, ...fields });
+    return Subscription.hydrate({ ...stored });
+  };
+
+  const decline = () => jest.spyOn(provider, 'charge').mockResolvedValue({ id: 'ch_x', status: 'failed', failureReason: 'Card declined' });
+
+  describe('startSubscription', () => {
+    it('saves the subscription before charging the first order', async () => {
+      const { subscription, order } = await subscribe();
+
+      expect(stored._id).toEqual(subscription._id);
+      expect(stored.orders).toEqual([order._id]);
+      expect(order.subscription).toEqual(subscription._id);
+      expect(order.payment.heldAmount).toBe(40);
+      expect(subscription.currentPeriodEnd).toEqual(addInterval(subscription.currentPeriodStart, 'week'));
+    });
+
+    it('removes the subscription when the first charge is declined', async () => {
+      decline();
+
+      await expect(subscribe()).rejects.toThrow(PaymentError);
+      expect(stored).toBeNull();
+      expect(orders.deleted).toHaveLength(1);
+    });
+  });
+
+  describe('renewSubscription', () => {
+    it('charges the next period and moves the period on', async () => {
+      await subscribe();
+      const due = makeDue();
+
+      const order = await renewSubscription(due);
+
+      expect(order).not.toBeNull();
+      expect(stored.orders).toHaveLength(2);
+      expect(stored.periodCount).toBe(2);
+      expect(stored.currentPeriodStart).toEqual(due.currentPeriodEnd);
+      expect(stored.nextRenewalAt).toEqual(addInterval(due.currentPeriodEnd, 'week'));
+      expect(ledger.filter(entry => entry.type === 'buyer_charge')).toHaveLength(2);
+    });
+
+    it('renews once when two runs pick the subscription up', async () => {
+      await subscribe();
+      const due = makeDue();
+
+      const results = await Promise.all([renewSubscription(due), renewSubscription(due)]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(stored.orders).toHaveLength(2);
+    });
+
+    it('goes past due and retries when the charge is declined', async () => {
+      await subscribe();
+      const due = makeDue();
+      decline();
+
+      expect(await renewSubscription(due)).toBeNull();
+
+      expect(stored.status).toBe('past_due');
+      expect(stored.failedAttempts).toBe(1);
+      expect(stored.graceUntil).toEqual(new Date(due.currentPeriodEnd.getTime() + 7 * DAY_MS));
+      expect(stored.nextRenewalAt.getTime()).toBeGreaterThan(Date.now());
+      expect(stored.orders).toHaveLength(1);
+    });
+
+    it('becomes active again once a retry goes through', async () => {
+      await subscribe();
+      const due = makeDue({ status: 'past_due', failedAttempts: 2, graceUntil: new Date(Date.now() + DAY_MS) });
+
+      await renewSubscription(due);
+
+      expect(stored).toMatchObject({ status: 'active', failedAttempts: 0 });
+      expect(stored.graceUntil).toBeUndefined();
+    });
+
+    it('cancels once the grace period is over', async () => {
+      await subscribe();
+      const due = makeDue({ status: 'past_due', graceUntil: new Date(Date.now() - 1000) });
+      decline();
+
+      await renewSubscription(due);
+
+      expect(stored).toMatchObject({ status: 'cancelled', cancelledBy: 'system' });
+      expect(stored.nextRenewalAt).toBeUndefined();
+    });
+
+    it('does not charge a subscription paused before the charge', async () => {
+      await subscribe();
+      const due = makeDue();
+      Order.findById.mockImplementation(() => ({
+        select: async () => {
+          stored.status = 'paused';
+          return null;
+        }
+      }));
+
+      expect(await renewSubscription(due)).toBeNull();
+      expect(ledger.filter(entry => entry.type === 'buyer_charge')).toHaveLength(1);
+      expect(stored.status).toBe('paused');
+    });
+
+    it('refunds the period when the buyer cancels while it is being charged', async () => {
+      await subscribe();
+      const due = makeDue({ status: 'past_due', graceUntil: new Date(Date.now() + DAY_MS) });
+      const charge = provider.charge.bind(provider);
+      jest.spyOn(provider, 'charge').mockImplementation(async (args) => {
+        await cancelSubscription({ _id: stored._id }, { role: 'buyer' });
+        return charge(args);
+      });
+
+      expect(await renewSubscription(due)).toBeNull();
+
+      expect(stored.status).toBe('cancelled');
+      expect(stored.orders).toHaveLength(1);
+      expect(ledger.filter(entry => entry.type === 'refund')).toEqual([expect.objectContaining({ amount: 40 })]);
+      expect(Object.values(orders.status)).toContain('cancelled');
+    });
+
+    it('cancels when the gig stopped selling as a subscription', async () => {
+      await subscribe();
+      const due = makeDue();
+      Gig.findById.mockResolvedValue({ ...gig, status: 'paused' });
+
+      expect(await renewSubscription(due)).toBeNull();
+      expect(stored).toMatchObject({ status: 'cancelled', cancellationReason: 'The gig is no longer available' });
+    });
+  });
+
+  describe('cancelSubscription', () => {
+    it('only cancels a subscription once', async () => {
+      await subscribe();
+
+      expect(await cancelSubscription({ _id: stored._id }, { role: 'buyer' })).not.toBeNull();
+      expect(await cancelSubscription({ _id: stored._id }, { role: 'admin' })).toBeNull();
+      expect(stored.cancelledBy).toBe('buyer');
+    });
+  });
+});
@@ -3,6 +3,7 @@ const User = require('../models/User');
 const Gig = require('../models/Gig');
 const Order = require('../models/Order');
 const Review = require('../models/Review');
+const { getGigTerms, updateGigSuggestions } = require('../utils/searchSuggestions');
 
 // @desc    Get dashboard stats
 // @route   GET /api/admin/dashboard
@@ -130,18 +131,36 @@ exports.getAnalytics = async (req, res) => {
         $group: {
           _id: '$gigData.category',
           revenue: { $sum: '$amount' },
+          tips: { $sum: { $sum: '$tips.amount' } },
           orders: { $sum: 1 }
         }
       },
       { $sort: { revenue: -1 } }
     ]);
 
+    // Tip trends; fees are the platform's cut at TIP_FEE_PERCENT
+    const tipTrends = await Order.aggregate([
+      { $match: { 'tips.tippedAt': { $gte: startDate } } },
+      { $unwind: '$tips' },
+      { $match: { 'tips.tippedAt': { $gte: startDate } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$tips.tippedAt' } },
+          count: { $sum: 1 },
+          amount: { $sum: '$tips.amount' },
+          platformFee: { $sum: '$tips.platformFee' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
     res.json({
       success: true,
       data: {
         userRegistrations,
         orderTrends,
-        revenueByCategory
+        revenueByCategory,
+        tipTrends
       }
     });
   } catch (error) {
@@ -359,8 +378,10 @@ exports.updateGigStatus = async (req, res) => {
       });
     }
 
+    const suggestionTerms = getGigTerms(gig);
     gig.status = status;
     await gig.save();
+    await updateGigSuggestions(suggestionTerms, gig);
 
     res.json({
       success: true,
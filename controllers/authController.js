@@ -3,6 +3,15 @@ const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const path = require('path');
 const bcrypt = require('bcryptjs');
+const { syncSellerSkills } = require('../utils/gigSearch');
+
+// Fields a user can set on their invoice billing details
+const BILLING_FIELDS = ['fullName', 'company', 'addressLine1', 'addressLine2', 'city', 'state', 'postalCode', 'country', 'taxId'];
+
+const MAX_SKILLS = 30;
+
+// Email preferences users can switch on and off
+const EMAIL_NOTIFICATION_FIELDS = ['newOrders', 'messages', 'reviews', 'marketing', 'savedSearches'];
 
 const generateToken = (user) => {
   return jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1d' });
@@ -100,14 +109,32 @@ exports.logout = (req, res) => {
 
 exports.updateProfile = async (req, res) => {
   const userId = req.user.id;
-  const { name, email } = req.body;
+  const { name, email, billingDetails, skills, emailNotifications } = req.body;
   try {
     const update = {};
     if (name) update.name = name;
     if (email) update.email = email;
+    if (billingDetails && typeof billingDetails === 'object') {
+      BILLING_FIELDS.forEach(field => {
+        if (billingDetails[field] !== undefined) update[`billingDetails.${field}`] = billingDetails[field];
+      });
+    }
+    if (skills !== undefined) {
+      if (!Array.isArray(skills) || skills.length > MAX_SKILLS || skills.some(skill => typeof skill !== 'string')) {
+        return res.status(400).json({ msg: `Skills must be a list of at most ${MAX_SKILLS} strings` });
+      }
+      update.skills = [...new Set(skills.map(skill => skill.trim()).filter(Boolean))];
+    }
+    if (emailNotifications && typeof emailNotifications === 'object') {
+      EMAIL_NOTIFICATION_FIELDS.forEach(field => {
+        if (typeof emailNotifications[field] === 'boolean') update[`emailNotifications.${field}`] = emailNotifications[field];
+      });
+    }
     const user = await User.findByIdAndUpdate(userId, update, { new: true });
     if (!user) return res.status(404).json({ msg: 'User not found' });
-    res.json({ user: { _id: user._id, name: user.name, email: user.email, role: user.role } });
+    // Gig search matches on the seller's skills
+    if (update.skills) await syncSellerSkills(user._id, user.skills);
+    res.json({ user: { _id: user._id, name: user.name, email: user.email, role: user.role, skills: user.skills, billingDetails: user.billingDetails, emailNotifications: user.emailNotifications } });
   } catch (err) {
     res.status(500).json({ msg: 'Server error', error: err.message });
   }
@@ -118,7 +145,7 @@ exports.getProfile = async (req, res) => {
   try {
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ msg: 'User not found' });
-    res.json({ user: { _id: user._id, name: user.name, email: user.email, role: user.role } });
+    res.json({ user: { _id: user._id, name: user.name, email: user.email, role: user.role, skills: user.skills, billingDetails: user.billingDetails, emailNotifications: user.emailNotifications } });
   } catch (err) {
     res.status(500).json({ msg: 'Server error', error: err.message });
   }
@@ -0,0 +1,762 @@
+const { validationResult } = require('express-validator');
+const BuyerRequest = require('../models/BuyerRequest');
+const Proposal = require('../models/Proposal');
+const Gig = require('../models/Gig');
+const { placeOrder } = require('../utils/orderPipeline');
+const { escapeRegex } = require('../utils/gigSearch');
+const { sendErrorResponse } = require('../utils/errorResponse');
+const {
+  getRequestExpiryDays,
+  getDailyProposalLimit,
+  getRequestProposalLimit,
+  countRecentProposals,
+  expireOpenRequests
+} = require('../utils/buyerRequests');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_PAGE_SIZE = 50;
+
+const paginate = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Case-insensitive match on title or description; the search is literal text
+const searchText = (search) => {
+  const pattern = { $regex: escapeRegex(String(search)), $options: 'i' };
+  return [{ title: pattern }, { description: pattern }];
+};
+
+const isOwner = (request, user) => request.buyer.toString() === user._id.toString();
+
+// @desc    Post a buyer request
+// @route   POST /api/requests
+// @access  Private (Client)
+exports.createRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, category, subcategory, budgetMin, budgetMax, deadline, expiresInDays } = req.body;
+
+    const days = expiresInDays !== undefined ? parseFloat(expiresInDays) : getRequestExpiryDays();
+    const deadlineDate = new Date(deadline);
+
+    if (deadlineDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deadline must be in the future'
+      });
+    }
+
+    // No point taking proposals after the work is due
+    const expiresAt = new Date(Math.min(Date.now() + days * DAY_MS, deadlineDate.getTime()));
+
+    const request = await BuyerRequest.create({
+      buyer: req.user._id,
+      title,
+      description,
+      category,
+      subcategory,
+      budget: {
+        min: budgetMin,
+        max: budgetMax
+      },
+      deadline: deadlineDate,
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: validationErrors
+      });
+    }
+    console.error('Create buyer request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Browse open buyer requests
+// @route   GET /api/requests
+// @access  Private (Freelancer)
+exports.getRequests = async (req, res) => {
+  try {
+    const { category, minBudget, maxBudget, search, matching } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filter = {
+      status: 'open',
+      expiresAt: { $gt: new Date() }
+    };
+
+    if (category) filter.category = category;
+
+    // Only requests in categories the freelancer has active gigs for
+    if (matching === 'true') {
+      const categories = await Gig.distinct('category', { seller: req.user._id, status: 'active' });
+      filter.category = category ? { $in: categories.filter(c => c === category) } : { $in: categories };
+    }
+
+    // Budget ranges that overlap the one asked for
+    if (minBudget) filter['budget.max'] = { $gte: parseFloat(minBudget) };
+    if (maxBudget) filter['budget.min'] = { $lte: parseFloat(maxBudget) };
+
+    if (search) {
+      filter.$or = searchText(search);
+    }
+
+    const requests = await BuyerRequest.find(filter)
+      .populate('buyer', 'name profilePicture')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await BuyerRequest.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get buyer requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the current client's requests
+// @route   GET /api/requests/mine
+// @access  Private (Client)
+exports.getMyRequests = async (req, res) => {
+  try {
+    const { page, limit, skip } = paginate(req.query);
+
+    await expireOpenRequests({ buyer: req.user._id });
+
+    const filter = { buyer: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const requests = await BuyerRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await BuyerRequest.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get my buyer requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a buyer request
+// @route   GET /api/requests/:id
+// @access  Private
+exports.getRequest = async (req, res) => {
+  try {
+    const request = await BuyerRequest.findById(req.params.id)
+      .populate('buyer', 'name profilePicture');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    // Other users only see requests that are still taking proposals
+    const canSeeAll = req.user.role === 'admin' || request.buyer._id.toString() === req.user._id.toString();
+    if (!canSeeAll && (request.status !== 'open' || request.expiresAt <= new Date())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    console.error('Get buyer request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Close a buyer request without hiring
+// @route   PATCH /api/requests/:id/close
+// @access  Private (Client)
+exports.closeRequest = async (req, res) => {
+  try {
+    const request = await BuyerRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    if (!isOwner(request, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to close this request'
+      });
+    }
+
+    if (request.status !== 'open') {
+      return res.status(409).json({
+        success: false,
+        message: `Request is ${request.status}`
+      });
+    }
+
+    request.status = 'closed';
+    await request.save();
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    console.error('Close buyer request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Submit a proposal
+// @route   POST /api/requests/:id/proposals
+// @access  Private (Freelancer)
+exports.createProposal = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { gigId, coverLetter, price, deliveryDays, revisions = 0 } = req.body;
+
+    const request = await BuyerRequest.findById(req.params.id);
+    if (!request || request.status === 'removed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    if (request.status !== 'open' || request.expiresAt <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request is no longer taking proposals'
+      });
+    }
+
+    const gig = await Gig.findById(gigId);
+    if (!gig || gig.seller.toString() !== req.user._id.toString() || gig.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Proposals must be made with one of your active gigs'
+      });
+    }
+
+    const existing = await Proposal.findOne({ request: request._id, seller: req.user._id });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already sent a proposal for this request'
+      });
+    }
+
+    const dailyLimit = getDailyProposalLimit();
+    if (await countRecentProposals(req.user._id) >= dailyLimit) {
+      return res.status(429).json({
+        success: false,
+        message: `You can send up to ${dailyLimit} proposals a day`
+      });
+    }
+
+    // Take a slot on the request, unless it filled up in the meantime
+    const claimed = await BuyerRequest.findOneAndUpdate(
+      {
+        _id: request._id,
+        status: 'open',
+        expiresAt: { $gt: new Date() },
+        proposalCount: { $lt: getRequestProposalLimit() }
+      },
+      { $inc: { proposalCount: 1 } }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request is no longer taking proposals'
+      });
+    }
+
+    let proposal;
+    try {
+      proposal = await Proposal.create({
+        request: request._id,
+        seller: req.user._id,
+        gig: gig._id,
+        coverLetter,
+        price,
+        deliveryDays,
+        revisions
+      });
+    } catch (createError) {
+      await BuyerRequest.updateOne({ _id: request._id }, { $inc: { proposalCount: -1 } });
+      if (createError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already sent a proposal for this request'
+        });
+      }
+      throw createError;
+    }
+
+    await proposal.populate('gig', 'title images slug');
+
+    res.status(201).json({
+      success: true,
+      data: proposal
+    });
+  } catch (error) {
+    console.error('Create proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get proposals for a request
+// @route   GET /api/requests/:id/proposals
+// @access  Private (Client or Admin)
+exports.getRequestProposals = async (req, res) => {
+  try {
+    const request = await BuyerRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    if (!isOwner(request, req.user) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view proposals for this request'
+      });
+    }
+
+    const filter = { request: request._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const proposals = await Proposal.find(filter)
+      .populate('seller', 'name profilePicture rating totalReviews')
+      .populate('gig', 'title images slug rating')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: proposals
+    });
+  } catch (error) {
+    console.error('Get request proposals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the current freelancer's proposals
+// @route   GET /api/requests/proposals/mine
+// @access  Private (Freelancer)
+exports.getMyProposals = async (req, res) => {
+  try {
+    const { page, limit, skip } = paginate(req.query);
+
+    const filter = { seller: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const proposals = await Proposal.find(filter)
+      .populate('request', 'title category budget deadline status')
+      .populate('gig', 'title slug')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Proposal.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: proposals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get my proposals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Load a proposal on one of the current client's open requests
+const findOwnProposal = async (req) => {
+  const request = await BuyerRequest.findById(req.params.id);
+  if (!request) return { error: [404, 'Request not found'] };
+  if (!isOwner(request, req.user)) return { error: [403, 'Not authorized to manage proposals for this request'] };
+  if (request.status !== 'open') return { error: [409, `Request is ${request.status}`] };
+
+  const proposal = await Proposal.findOne({ _id: req.params.proposalId, request: request._id });
+  if (!proposal) return { error: [404, 'Proposal not found'] };
+
+  return { request, proposal };
+};
+
+// Buyer shortlists or rejects a proposal
+const reviewProposal = (status, from) => async (req, res) => {
+  try {
+    const { proposal, error } = await findOwnProposal(req);
+    if (error) {
+      return res.status(error[0]).json({
+        success: false,
+        message: error[1]
+      });
+    }
+
+    if (!from.includes(proposal.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Proposal is ${proposal.status}`
+      });
+    }
+
+    proposal.status = status;
+    proposal.respondedAt = new Date();
+    await proposal.save();
+
+    res.json({
+      success: true,
+      data: proposal
+    });
+  } catch (error) {
+    console.error(`Proposal ${status} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Shortlist a proposal
+// @route   PATCH /api/requests/:id/proposals/:proposalId/shortlist
+// @access  Private (Client)
+exports.shortlistProposal = reviewProposal('shortlisted', ['submitted']);
+
+// @desc    Reject a proposal
+// @route   PATCH /api/requests/:id/proposals/:proposalId/reject
+// @access  Private (Client)
+exports.rejectProposal = reviewProposal('rejected', ['submitted', 'shortlisted']);
+
+// @desc    Accept a proposal and place the order
+// @route   PATCH /api/requests/:id/proposals/:proposalId/accept
+// @access  Private (Client)
+exports.acceptProposal = async (req, res) => {
+  try {
+    const { request, proposal, error } = await findOwnProposal(req);
+    if (error) {
+      return res.status(error[0]).json({
+        success: false,
+        message: error[1]
+      });
+    }
+
+    if (!['submitted', 'shortlisted'].includes(proposal.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Proposal is ${proposal.status}`
+      });
+    }
+
+    // Paused or deleted gigs take no new orders, proposals included
+    const gig = await Gig.findById(proposal.gig);
+    if (!gig || gig.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'The gig for this proposal is no longer available'
+      });
+    }
+
+    // Retainer gigs are bought through a subscription
+    if (gig.billingInterval) {
+      return res.status(400).json({
+        success: false,
+        message: `This gig is billed every ${gig.billingInterval}; subscribe through /api/subscriptions instead`
+      });
+    }
+
+    // Claim the request first so only one proposal can be hired
+    const claimed = await BuyerRequest.findOneAndUpdate(
+      { _id: request._id, status: 'open', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'fulfilled', acceptedProposal: proposal._id } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request is no longer open'
+      });
+    }
+
+    let order;
+    try {
+      order = await placeOrder({
+        gig,
+        buyer: req.user._id,
+        pricing: {
+          amount: proposal.price,
+          deliveryDays: proposal.deliveryDays,
+          revisions: proposal.revisions
+        },
+        requirements: req.body.requirements && req.body.requirements.length > 0 ? req.body.requirements : [request.description],
+        snapshot: {
+          price: proposal.price,
+          deliveryTime: proposal.deliveryDays,
+          revisions: proposal.revisions
+        },
+        fields: {
+          source: 'buyer_request',
+          buyerRequest: request._id,
+          proposal: proposal._id
+        }
+      });
+    } catch (orderError) {
+      // Reopen the request when the order could not be placed, e.g. payment failed
+      await BuyerRequest.updateOne(
+        { _id: request._id },
+        { $set: { status: 'open' }, $unset: { acceptedProposal: 1 } }
+      );
+      throw orderError;
+    }
+
+    proposal.status = 'accepted';
+    proposal.respondedAt = new Date();
+    proposal.order = order._id;
+    await proposal.save();
+
+    claimed.order = order._id;
+    await claimed.save();
+
+    // Everyone else gets a clear answer
+    await Proposal.updateMany(
+      { request: request._id, _id: { $ne: proposal._id }, status: { $in: ['submitted', 'shortlisted'] } },
+      { $set: { status: 'rejected', respondedAt: new Date() } }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        request: claimed,
+        proposal,
+        order
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Accept proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Withdraw a proposal
+// @route   PATCH /api/requests/proposals/:proposalId/withdraw
+// @access  Private (Freelancer)
+exports.withdrawProposal = async (req, res) => {
+  try {
+    const proposal = await Proposal.findById(req.params.proposalId);
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found'
+      });
+    }
+
+    if (proposal.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to withdraw this proposal'
+      });
+    }
+
+    if (!['submitted', 'shortlisted'].includes(proposal.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Proposal is ${proposal.status}`
+      });
+    }
+
+    proposal.status = 'withdrawn';
+    proposal.respondedAt = new Date();
+    await proposal.save();
+
+    // Free the slot for another freelancer
+    await BuyerRequest.updateOne({ _id: proposal.request, proposalCount: { $gt: 0 } }, { $inc: { proposalCount: -1 } });
+
+    res.json({
+      success: true,
+      data: proposal
+    });
+  } catch (error) {
+    console.error('Withdraw proposal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get all buyer requests
+// @route   GET /api/admin/requests
+// @access  Private (Admin)
+exports.getAllRequests = async (req, res) => {
+  try {
+    const { status, category, search } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (category) filter.category = category;
+    if (search) {
+      filter.$or = searchText(search);
+    }
+
+    const requests = await BuyerRequest.find(filter)
+      .populate('buyer', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await BuyerRequest.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get all buyer requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Remove or reinstate a buyer request
+// @route   PATCH /api/admin/requests/:id/status
+// @access  Private (Admin)
+exports.moderateRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, reason } = req.body;
+
+    const request = await BuyerRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    // Hired requests already have an order behind them
+    const allowedFrom = status === 'removed' ? ['open', 'closed', 'expired'] : ['removed'];
+    if (!allowedFrom.includes(request.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot mark a ${request.status} request as ${status}`
+      });
+    }
+
+    request.status = status;
+    request.moderation = {
+      reason,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date()
+    };
+    await request.save();
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    console.error('Moderate buyer request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
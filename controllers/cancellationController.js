@@ -0,0 +1,262 @@
+const { validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const { getOrderRole, transitionOrder } = require('../utils/orderStateMachine');
+const { ErrorResponse, sendErrorResponse } = require('../utils/errorResponse');
+const { getHeldBalance, roundMoney } = require('../utils/escrow');
+const {
+  CANCELLATION_REQUEST_STATUSES,
+  getCancellationResponseHours,
+  escalateCancellation
+} = require('../utils/cancellations');
+const { postOrderUpdate } = require('../utils/conversations');
+const { recordOrderEvent } = require('../utils/orderEvents');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// @desc    Ask the other party to agree to cancel the order
+// @route   POST /api/orders/:id/cancellations
+// @access  Private (Buyer or Seller)
+exports.requestCancellation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const role = getOrderRole(order, req.user);
+    if (role !== 'buyer' && role !== 'seller') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the buyer or seller can request a cancellation'
+      });
+    }
+
+    if (!CANCELLATION_REQUEST_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A cancellation cannot be requested while the order is ${order.status}`
+      });
+    }
+
+    if (order.pendingCancellationRequest) {
+      return res.status(409).json({
+        success: false,
+        message: 'There is already a pending cancellation request on this order'
+      });
+    }
+
+    // Without an amount the buyer gets back everything still held
+    const held = getHeldBalance(order);
+    const refundAmount = req.body.refundAmount !== undefined
+      ? roundMoney(parseFloat(req.body.refundAmount))
+      : held;
+    if (refundAmount > held) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund cannot be more than the ${held} held in escrow`
+      });
+    }
+
+    order.cancellationRequests.push({
+      requestedBy: req.user._id,
+      requestedByRole: role,
+      reason,
+      refundAmount,
+      respondBy: new Date(Date.now() + getCancellationResponseHours() * HOUR_MS)
+    });
+    const request = order.cancellationRequests[order.cancellationRequests.length - 1];
+    await order.save();
+
+    await postOrderUpdate(order, req.user._id, `Asked to cancel the order with a $${refundAmount} refund: ${reason}`, {
+      cancellationRequest: request._id
+    });
+    await recordOrderEvent(order, 'cancellation_requested', {
+      user: req.user,
+      role,
+      payload: { cancellationRequest: request._id, reason, refundAmount, respondBy: request.respondBy }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    console.error('Request cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Load the order and a pending cancellation request the current user is party to
+const findPendingRequest = async (req) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    throw new ErrorResponse('Order not found', 404);
+  }
+
+  const role = getOrderRole(order, req.user);
+  if (role !== 'buyer' && role !== 'seller') {
+    throw new ErrorResponse('Not authorized to update this order', 403);
+  }
+
+  const request = order.cancellationRequests.id(req.params.requestId);
+  if (!request) {
+    throw new ErrorResponse('Cancellation request not found', 404);
+  }
+  if (request.status !== 'pending') {
+    throw new ErrorResponse(`Cancellation request is already ${request.status}`, 409);
+  }
+  if (!CANCELLATION_REQUEST_STATUSES.includes(order.status)) {
+    throw new ErrorResponse(`The order is already ${order.status}`, 409);
+  }
+
+  return { order, request, role };
+};
+
+// @desc    Agree to cancel the order
+// @route   PATCH /api/orders/:id/cancellations/:requestId/accept
+// @access  Private (Buyer or Seller)
+exports.acceptCancellation = async (req, res) => {
+  try {
+    const { order, request, role } = await findPendingRequest(req);
+
+    if (request.requestedByRole === role) {
+      return res.status(403).json({
+        success: false,
+        message: 'The other party has to accept this cancellation'
+      });
+    }
+
+    request.status = 'accepted';
+    request.respondedBy = req.user._id;
+    request.respondedAt = new Date();
+
+    // Refunds what was agreed and releases the rest to the seller
+    await transitionOrder(order, 'cancelled', {
+      role,
+      user: req.user,
+      reason: request.reason,
+      refundAmount: request.refundAmount,
+      agreed: true,
+      event: { cancellationRequest: request._id, refundAmount: request.refundAmount }
+    });
+
+    await postOrderUpdate(order, req.user._id, 'Accepted the cancellation request', {
+      cancellationRequest: request._id
+    });
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Accept cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Decline a cancellation request, which sends it to an admin
+// @route   PATCH /api/orders/:id/cancellations/:requestId/decline
+// @access  Private (Buyer or Seller)
+exports.declineCancellation = async (req, res) => {
+  try {
+    const { order, request, role } = await findPendingRequest(req);
+
+    if (request.requestedByRole === role) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot decline your own cancellation request'
+      });
+    }
+
+    request.respondedBy = req.user._id;
+    request.respondedAt = new Date();
+
+    await recordOrderEvent(order, 'cancellation_declined', {
+      user: req.user,
+      role,
+      payload: { cancellationRequest: request._id }
+    });
+    const dispute = await escalateCancellation(order, request, 'Cancellation request declined');
+
+    await postOrderUpdate(order, req.user._id, 'Declined the cancellation request; an admin will review it', {
+      cancellationRequest: request._id
+    });
+
+    res.json({
+      success: true,
+      data: { order, dispute }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Decline cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Withdraw your own cancellation request
+// @route   PATCH /api/orders/:id/cancellations/:requestId/withdraw
+// @access  Private (Buyer or Seller)
+exports.withdrawCancellation = async (req, res) => {
+  try {
+    const { order, request, role } = await findPendingRequest(req);
+
+    if (request.requestedByRole !== role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the party who asked can withdraw this cancellation'
+      });
+    }
+
+    request.status = 'withdrawn';
+    request.respondedBy = req.user._id;
+    request.respondedAt = new Date();
+    await order.save();
+
+    await postOrderUpdate(order, req.user._id, 'Withdrew the cancellation request', {
+      cancellationRequest: request._id
+    });
+    await recordOrderEvent(order, 'cancellation_withdrawn', {
+      user: req.user,
+      role,
+      payload: { cancellationRequest: request._id }
+    });
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Withdraw cancellation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
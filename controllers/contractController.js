@@ -0,0 +1,617 @@
+const { validationResult } = require('express-validator');
+const Contract = require('../models/Contract');
+const Timesheet = require('../models/Timesheet');
+const User = require('../models/User');
+const { sendErrorResponse } = require('../utils/errorResponse');
+const { roundMoney } = require('../utils/escrow');
+const { postContractUpdate } = require('../utils/conversations');
+const {
+  MIN_BILLABLE_AMOUNT,
+  ContractError,
+  getTimesheetAmount,
+  findOrOpenTimesheet,
+  billTimesheet
+} = require('../utils/contracts');
+
+// Time can be added, changed or removed until the week is submitted, and
+// again after the client disputes it
+const EDITABLE_TIMESHEET_STATUSES = ['open', 'disputed'];
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const paginate = (query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = Math.min(parseInt(query.limit) || 20, 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Which side of the contract the user is on
+const getContractRole = (contract, user) => {
+  if (user.role === 'admin') return 'admin';
+  const userId = user._id.toString();
+  const clientId = contract.client._id ? contract.client._id.toString() : contract.client.toString();
+  const freelancerId = contract.freelancer._id ? contract.freelancer._id.toString() : contract.freelancer.toString();
+  if (clientId === userId) return 'client';
+  if (freelancerId === userId) return 'freelancer';
+  return null;
+};
+
+// Load a contract the user may act on as one of the given roles
+const findContract = async (req, roles) => {
+  const contract = await Contract.findById(req.params.id);
+  if (!contract) {
+    throw new ContractError('Contract not found', 404);
+  }
+
+  const role = getContractRole(contract, req.user);
+  if (!roles.includes(role)) {
+    throw new ContractError('Not authorized to update this contract', 403);
+  }
+
+  return { contract, role };
+};
+
+const findTimesheet = async (contract, timesheetId) => {
+  const timesheet = await Timesheet.findOne({ _id: timesheetId, contract: contract._id });
+  if (!timesheet) {
+    throw new ContractError('Timesheet not found', 404);
+  }
+  return timesheet;
+};
+
+// The timesheet holding an entry, as long as it can still be edited
+const findEditableEntry = async (contract, entryId) => {
+  const timesheet = await Timesheet.findOne({ contract: contract._id, 'entries._id': entryId });
+  if (!timesheet) {
+    throw new ContractError('Time entry not found', 404);
+  }
+  if (!EDITABLE_TIMESHEET_STATUSES.includes(timesheet.status)) {
+    throw new ContractError(`Time cannot change once the week is ${timesheet.status}`, 409);
+  }
+  return { timesheet, entry: timesheet.entries.id(entryId) };
+};
+
+const assertWithinCap = (contract, hours) => {
+  if (hours > contract.weeklyHourCap) {
+    throw new ContractError(`This would bring the week to ${hours} hours, over the ${contract.weeklyHourCap} hour weekly cap`);
+  }
+};
+
+// Change a week's entries in one update that only applies while the week is
+// still editable and, when hours are added, stays within the weekly cap, so
+// parallel requests cannot log past it. `hours` is the change in the total.
+const changeEntries = async (contract, timesheet, { filter = {}, update, hours }) => {
+  assertWithinCap(contract, timesheet.totalHours + hours);
+
+  const updated = await Timesheet.findOneAndUpdate(
+    {
+      _id: timesheet._id,
+      status: { $in: EDITABLE_TIMESHEET_STATUSES },
+      ...filter,
+      ...(hours > 0 ? { totalHours: { $lte: contract.weeklyHourCap - hours } } : {})
+    },
+    { ...update, $inc: { totalHours: hours } },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new ContractError('The week was changed by another request; reload it and try again', 409);
+  }
+  return updated;
+};
+
+// Record the contract's conversation the first time an update is posted
+const postUpdate = async (contract, senderId, content, contractUpdate) => {
+  const message = await postContractUpdate(contract, senderId, content, contractUpdate);
+  if (!contract.conversation) {
+    contract.conversation = message.conversation;
+    await contract.save();
+  }
+  return message;
+};
+
+// @desc    Offer an hourly contract to a freelancer
+// @route   POST /api/contracts
+// @access  Private (Client)
+exports.createContract = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { freelancerId, title, description, weeklyHourCap } = req.body;
+
+    const freelancer = await User.findById(freelancerId);
+    if (!freelancer || freelancer.role !== 'freelancer' || !freelancer.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Freelancer not found'
+      });
+    }
+
+    // The freelancer's listed rate applies unless the client offers another
+    const hourlyRate = req.body.hourlyRate !== undefined
+      ? roundMoney(parseFloat(req.body.hourlyRate))
+      : freelancer.hourlyRate;
+    if (!hourlyRate) {
+      return res.status(400).json({
+        success: false,
+        message: 'This freelancer has no hourly rate; offer one with hourlyRate'
+      });
+    }
+
+    const contract = await Contract.create({
+      client: req.user._id,
+      freelancer: freelancer._id,
+      title,
+      description,
+      hourlyRate,
+      weeklyHourCap
+    });
+
+    await postUpdate(
+      contract,
+      req.user._id,
+      `Offered an hourly contract "${title}" at $${hourlyRate}/hour, up to ${weeklyHourCap} hours a week`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: contract
+    });
+  } catch (error) {
+    console.error('Create contract error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get contracts the current user is part of
+// @route   GET /api/contracts
+// @access  Private
+exports.getContracts = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filter = { $or: [{ client: req.user._id }, { freelancer: req.user._id }] };
+    if (status) filter.status = status;
+
+    const [contracts, total] = await Promise.all([
+      Contract.find(filter)
+        .populate('client', 'name profilePicture')
+        .populate('freelancer', 'name profilePicture')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Contract.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: contracts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get contracts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a contract
+// @route   GET /api/contracts/:id
+// @access  Private (Client, Freelancer or Admin)
+exports.getContract = async (req, res) => {
+  try {
+    const contract = await Contract.findById(req.params.id)
+      .populate('client', 'name profilePicture')
+      .populate('freelancer', 'name profilePicture hourlyRate');
+
+    if (!contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+
+    if (!getContractRole(contract, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this contract'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: contract
+    });
+  } catch (error) {
+    console.error('Get contract error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Freelancer accepts or declines an offered contract
+const respondToContract = (status) => async (req, res) => {
+  try {
+    const { contract } = await findContract(req, ['freelancer']);
+
+    if (contract.status !== 'offered') {
+      throw new ContractError(`Contract is already ${contract.status}`, 409);
+    }
+
+    contract.status = status;
+    contract[status === 'active' ? 'acceptedAt' : 'declinedAt'] = new Date();
+    await contract.save();
+
+    await postUpdate(contract, req.user._id, `${status === 'active' ? 'Accepted' : 'Declined'} the hourly contract "${contract.title}"`);
+
+    res.json({
+      success: true,
+      data: contract
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error(`Contract ${status} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Accept an offered contract
+// @route   PATCH /api/contracts/:id/accept
+// @access  Private (Freelancer)
+exports.acceptContract = respondToContract('active');
+
+// @desc    Decline an offered contract
+// @route   PATCH /api/contracts/:id/decline
+// @access  Private (Freelancer)
+exports.declineContract = respondToContract('declined');
+
+// @desc    End a contract; weeks already logged can still be submitted and billed
+// @route   PATCH /api/contracts/:id/end
+// @access  Private (Client, Freelancer or Admin)
+exports.endContract = async (req, res) => {
+  try {
+    const { contract, role } = await findContract(req, ['client', 'freelancer', 'admin']);
+
+    if (!['offered', 'active'].includes(contract.status)) {
+      throw new ContractError(`Contract is already ${contract.status}`, 409);
+    }
+
+    contract.status = 'ended';
+    contract.endedAt = new Date();
+    contract.endedBy = role;
+    contract.endReason = req.body.reason;
+    await contract.save();
+
+    await postUpdate(contract, req.user._id, `Ended the hourly contract${req.body.reason ? `: ${req.body.reason}` : ''}`);
+
+    res.json({
+      success: true,
+      data: contract
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('End contract error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a contract's weekly timesheets, newest first
+// @route   GET /api/contracts/:id/timesheets
+// @access  Private (Client, Freelancer or Admin)
+exports.getTimesheets = async (req, res) => {
+  try {
+    const { contract } = await findContract(req, ['client', 'freelancer', 'admin']);
+    const { page, limit, skip } = paginate(req.query);
+
+    const filter = { contract: contract._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [timesheets, total] = await Promise.all([
+      Timesheet.find(filter).sort({ weekStart: -1 }).skip(skip).limit(limit),
+      Timesheet.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: timesheets,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Get timesheets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Log time against the week it was worked in
+// @route   POST /api/contracts/:id/time-entries
+// @access  Private (Freelancer)
+exports.logTime = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { contract } = await findContract(req, ['freelancer']);
+
+    if (contract.status !== 'active') {
+      throw new ContractError(`Time cannot be logged while the contract is ${contract.status}`, 409);
+    }
+
+    const date = new Date(req.body.date);
+    const hours = parseFloat(req.body.hours);
+    if (date > new Date()) {
+      throw new ContractError('Time cannot be logged in the future');
+    }
+    if (formatDate(date) < formatDate(contract.acceptedAt)) {
+      throw new ContractError(`Time can only be logged from ${formatDate(contract.acceptedAt)}, when the contract started`);
+    }
+
+    const timesheet = await findOrOpenTimesheet(contract, date);
+    if (!EDITABLE_TIMESHEET_STATUSES.includes(timesheet.status)) {
+      throw new ContractError(`The week of ${formatDate(timesheet.weekStart)} is already ${timesheet.status}`, 409);
+    }
+    const updated = await changeEntries(contract, timesheet, {
+      update: { $push: { entries: { date, hours, description: req.body.description } } },
+      hours
+    });
+
+    res.status(201).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Log time error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Change the hours or description of a time entry
+// @route   PUT /api/contracts/:id/time-entries/:entryId
+// @access  Private (Freelancer)
+exports.updateTimeEntry = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { contract } = await findContract(req, ['freelancer']);
+    const { timesheet, entry } = await findEditableEntry(contract, req.params.entryId);
+
+    const hours = req.body.hours !== undefined ? parseFloat(req.body.hours) : entry.hours;
+    const changes = { 'entries.$.hours': hours };
+    if (req.body.description !== undefined) {
+      changes['entries.$.description'] = req.body.description;
+    }
+
+    // Only applies if the entry still has the hours the change was based on
+    const updated = await changeEntries(contract, timesheet, {
+      filter: { entries: { $elemMatch: { _id: entry._id, hours: entry.hours } } },
+      update: { $set: changes },
+      hours: hours - entry.hours
+    });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Update time entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Remove a time entry
+// @route   DELETE /api/contracts/:id/time-entries/:entryId
+// @access  Private (Freelancer)
+exports.deleteTimeEntry = async (req, res) => {
+  try {
+    const { contract } = await findContract(req, ['freelancer']);
+    const { timesheet, entry } = await findEditableEntry(contract, req.params.entryId);
+
+    const updated = await changeEntries(contract, timesheet, {
+      filter: { 'entries._id': entry._id },
+      update: { $pull: { entries: { _id: entry._id } } },
+      hours: -entry.hours
+    });
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Delete time entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Send a finished week to the client for approval
+// @route   PATCH /api/contracts/:id/timesheets/:timesheetId/submit
+// @access  Private (Freelancer)
+exports.submitTimesheet = async (req, res) => {
+  try {
+    const { contract } = await findContract(req, ['freelancer']);
+    const timesheet = await findTimesheet(contract, req.params.timesheetId);
+
+    if (!EDITABLE_TIMESHEET_STATUSES.includes(timesheet.status)) {
+      throw new ContractError(`Timesheet is already ${timesheet.status}`, 409);
+    }
+
+    // A week is submitted once it is over, or early when the contract ended
+    if (timesheet.weekEnd > new Date() && contract.status !== 'ended') {
+      throw new ContractError(`The week of ${formatDate(timesheet.weekStart)} is not over yet`, 409);
+    }
+
+    const amount = getTimesheetAmount(timesheet, contract.hourlyRate);
+    if (amount < MIN_BILLABLE_AMOUNT) {
+      throw new ContractError(`A week must come to at least $${MIN_BILLABLE_AMOUNT} to be billed`);
+    }
+
+    timesheet.status = 'submitted';
+    timesheet.submittedAt = new Date();
+    await timesheet.save();
+
+    await postUpdate(
+      contract,
+      req.user._id,
+      `Submitted ${timesheet.totalHours} hours ($${amount}) for the week of ${formatDate(timesheet.weekStart)}`,
+      { timesheet: timesheet._id }
+    );
+
+    res.json({
+      success: true,
+      data: timesheet
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Submit timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Approve a submitted week, which charges for it and pays the freelancer
+// @route   PATCH /api/contracts/:id/timesheets/:timesheetId/approve
+// @access  Private (Client)
+exports.approveTimesheet = async (req, res) => {
+  try {
+    const { contract } = await findContract(req, ['client']);
+    const timesheet = await findTimesheet(contract, req.params.timesheetId);
+
+    if (timesheet.status !== 'submitted') {
+      throw new ContractError(`Only a submitted timesheet can be approved, this one is ${timesheet.status}`, 409);
+    }
+
+    const billed = await billTimesheet(contract, timesheet, req.user);
+
+    await postUpdate(
+      contract,
+      req.user._id,
+      `Approved ${billed.timesheet.totalHours} hours ($${billed.timesheet.amount}) for the week of ${formatDate(billed.timesheet.weekStart)}`,
+      { timesheet: billed.timesheet._id }
+    );
+
+    res.json({
+      success: true,
+      data: billed
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Approve timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Send a submitted week back to the freelancer
+// @route   PATCH /api/contracts/:id/timesheets/:timesheetId/dispute
+// @access  Private (Client)
+exports.disputeTimesheet = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { contract } = await findContract(req, ['client']);
+    const timesheet = await findTimesheet(contract, req.params.timesheetId);
+
+    if (timesheet.status !== 'submitted') {
+      throw new ContractError(`Only a submitted timesheet can be disputed, this one is ${timesheet.status}`, 409);
+    }
+
+    // Claimed like an approval, so a week cannot be both billed and sent back
+    const disputed = await Timesheet.findOneAndUpdate(
+      { _id: timesheet._id, status: 'submitted' },
+      { $set: { status: 'disputed', disputedAt: new Date(), disputeReason: req.body.reason } },
+      { new: true, runValidators: true }
+    );
+    if (!disputed) {
+      throw new ContractError('This timesheet is no longer waiting for approval', 409);
+    }
+
+    await postUpdate(
+      contract,
+      req.user._id,
+      `Disputed the week of ${formatDate(disputed.weekStart)}: ${req.body.reason}`,
+      { timesheet: disputed._id }
+    );
+
+    res.json({
+      success: true,
+      data: disputed
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Dispute timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,404 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Dispute = require('../models/Dispute');
+const Order = require('../models/Order');
+const { getOrderRole, transitionOrder } = require('../utils/orderStateMachine');
+const { sendErrorResponse } = require('../utils/errorResponse');
+const { getHeldBalance } = require('../utils/escrow');
+const { removeDisputeFiles } = require('../middlewares/disputeUpload');
+const { getDisputeFileUrl, getDisputeFilePath, getDisputeFiles } = require('../utils/disputes');
+
+// Files can be uploaded with the request, or files already on the dispute can
+// be attached again by their URL. Nothing else is accepted as an attachment.
+const collectAttachments = (req, field, dispute) => {
+  const uploaded = (req.files || []).map(file => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      _id,
+      filename: file.originalname,
+      storedName: file.filename,
+      url: getDisputeFileUrl(req.params.id, _id),
+      fileType: file.mimetype,
+      fileSize: file.size
+    };
+  });
+
+  let linked = req.body[field] || [];
+  if (typeof linked === 'string') {
+    try {
+      linked = JSON.parse(linked);
+    } catch (error) {
+      linked = [];
+    }
+  }
+
+  const disputeFiles = dispute ? getDisputeFiles(dispute) : [];
+  const attached = (Array.isArray(linked) ? linked : [])
+    .map(item => item && disputeFiles.find(file => file.storedName && file.url === item.url))
+    .filter(Boolean)
+    .map(({ filename, storedName, url, fileType, fileSize }) => ({ filename, storedName, url, fileType, fileSize }));
+
+  return [...uploaded, ...attached];
+};
+
+// Where each resolution leaves the order
+const RESOLUTION_STATUS = {
+  full_refund: 'cancelled',
+  partial_refund: 'completed',
+  release_to_seller: 'completed'
+};
+
+// @desc    Open a dispute on an order
+// @route   POST /api/orders/:id/dispute
+// @access  Private (Buyer or Seller)
+exports.openDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeDisputeFiles(req.files);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason, description } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      removeDisputeFiles(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const role = getOrderRole(order, req.user);
+    if (role !== 'buyer' && role !== 'seller') {
+      removeDisputeFiles(req.files);
+      return res.status(403).json({
+        success: false,
+        message: 'Only the buyer or seller can open a dispute'
+      });
+    }
+
+    const dispute = new Dispute({
+      order: order._id,
+      openedBy: req.user._id,
+      openedByRole: role,
+      reason,
+      description,
+      evidence: collectAttachments(req, 'evidence'),
+      previousStatus: order.status
+    });
+
+    await dispute.save();
+
+    // The order only points at a dispute that exists
+    order.dispute = dispute._id;
+    try {
+      await transitionOrder(order, 'disputed', { role, user: req.user, reason, event: { dispute: dispute._id } });
+    } catch (error) {
+      await Dispute.deleteOne({ _id: dispute._id });
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    removeDisputeFiles(req.files);
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Open dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the dispute for an order
+// @route   GET /api/orders/:id/dispute
+// @access  Private (Buyer, Seller or Admin)
+exports.getOrderDispute = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!getOrderRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this dispute'
+      });
+    }
+
+    const dispute = await Dispute.findOne({ order: order._id })
+      .sort({ createdAt: -1 })
+      .populate('openedBy', 'name profilePicture')
+      .populate('statements.author', 'name profilePicture role')
+      .populate('resolution.decidedBy', 'name');
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'No dispute found for this order'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    console.error('Get order dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Download a file attached to one of the order's disputes
+// @route   GET /api/orders/:id/dispute/files/:fileId
+// @access  Private (Buyer, Seller or Admin)
+exports.downloadDisputeFile = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('buyer seller');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!getOrderRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download files for this dispute'
+      });
+    }
+
+    const disputes = await Dispute.find({ order: order._id }).select('evidence statements.attachments');
+    const file = disputes
+      .flatMap(getDisputeFiles)
+      .find(item => item._id.toString() === req.params.fileId && item.storedName);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.download(getDisputeFilePath(order._id, file), file.filename, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.code === 'ENOENT' ? 404 : 500).json({
+          success: false,
+          message: error.code === 'ENOENT' ? 'File not found' : 'Server error'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Download dispute file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Add a statement to an open dispute
+// @route   POST /api/orders/:id/dispute/statements
+// @access  Private (Buyer, Seller or Admin)
+exports.addStatement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeDisputeFiles(req.files);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      removeDisputeFiles(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const role = getOrderRole(order, req.user);
+    if (!role) {
+      removeDisputeFiles(req.files);
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add to this dispute'
+      });
+    }
+
+    const dispute = await Dispute.findOne({ order: order._id, status: 'open' });
+    if (!dispute) {
+      removeDisputeFiles(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'No open dispute found for this order'
+      });
+    }
+
+    dispute.statements.push({
+      author: req.user._id,
+      role,
+      content: req.body.content.trim(),
+      attachments: collectAttachments(req, 'attachments', dispute)
+    });
+    await dispute.save();
+
+    await dispute.populate('statements.author', 'name profilePicture role');
+
+    res.status(201).json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    removeDisputeFiles(req.files);
+    console.error('Add dispute statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get all disputes
+// @route   GET /api/admin/disputes
+// @access  Private (Admin)
+exports.getDisputes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const disputes = await Dispute.find(filter)
+      .populate({
+        path: 'order',
+        select: 'gig buyer seller amount status',
+        populate: [
+          { path: 'buyer', select: 'name email' },
+          { path: 'seller', select: 'name email' }
+        ]
+      })
+      .populate('openedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Dispute.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: disputes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Resolve a dispute
+// @route   PATCH /api/admin/disputes/:id/resolve
+// @access  Private (Admin)
+exports.resolveDispute = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { outcome, note } = req.body;
+    const refundAmount = req.body.refundAmount !== undefined ? parseFloat(req.body.refundAmount) : undefined;
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    if (dispute.status !== 'open') {
+      return res.status(409).json({
+        success: false,
+        message: 'Dispute is already resolved'
+      });
+    }
+
+    const order = await Order.findById(dispute.order);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (outcome === 'partial_refund') {
+      const held = getHeldBalance(order);
+      if (!(refundAmount > 0) || refundAmount >= held) {
+        return res.status(400).json({
+          success: false,
+          message: `Partial refund must be more than 0 and less than the ${held} held in escrow`
+        });
+      }
+    }
+
+    await transitionOrder(order, RESOLUTION_STATUS[outcome], {
+      role: 'admin',
+      user: req.user,
+      reason: note,
+      refundAmount: outcome === 'partial_refund' ? refundAmount : undefined,
+      event: { dispute: dispute._id, outcome }
+    });
+
+    dispute.status = 'resolved';
+    dispute.resolution = {
+      outcome,
+      refundAmount: outcome === 'full_refund' ? order.payment.refundedAmount : refundAmount,
+      note,
+      decidedBy: req.user._id,
+      decidedAt: new Date()
+    };
+    await dispute.save();
+
+    res.json({
+      success: true,
+      data: {
+        dispute,
+        order
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,332 @@
+const { validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const { getOrderRole } = require('../utils/orderStateMachine');
+const { ErrorResponse, sendErrorResponse } = require('../utils/errorResponse');
+const { addOrderFunds, refundOrderFunds, getHeldBalance, roundMoney } = require('../utils/escrow');
+const { hasMilestones } = require('../utils/milestones');
+const { postOrderUpdate } = require('../utils/conversations');
+const { recordOrderEvent } = require('../utils/orderEvents');
+
+// Deadlines only move while the work is still being done
+const EXTENDABLE_STATUSES = ['accepted', 'in_progress'];
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const describeChange = (request) => {
+  const parts = [`new due date ${formatDate(request.newDueDate)}`];
+  if (request.priceChange > 0) parts.push(`price +$${request.priceChange}`);
+  if (request.priceChange < 0) parts.push(`price -$${Math.abs(request.priceChange)}`);
+  return parts.join(', ');
+};
+
+// @desc    Propose a new due date, optionally with a price change
+// @route   POST /api/orders/:id/extensions
+// @access  Private (Buyer or Seller)
+exports.requestExtension = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason } = req.body;
+    const newDueDate = new Date(req.body.newDueDate);
+    const priceChange = req.body.priceChange ? roundMoney(parseFloat(req.body.priceChange)) : 0;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const role = getOrderRole(order, req.user);
+    if (role !== 'buyer' && role !== 'seller') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the buyer or seller can propose a new deadline'
+      });
+    }
+
+    if (!EXTENDABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `The deadline cannot change while the order is ${order.status}`
+      });
+    }
+
+    if (order.pendingExtensionRequest) {
+      return res.status(409).json({
+        success: false,
+        message: 'There is already a pending deadline change on this order'
+      });
+    }
+
+    if (newDueDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new due date must be in the future'
+      });
+    }
+
+    if (priceChange !== 0) {
+      // Milestone amounts must keep adding up to the order total
+      if (hasMilestones(order)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The price of a milestone order cannot be changed'
+        });
+      }
+
+      if (priceChange < 0 && (-priceChange > getHeldBalance(order) || order.amount + priceChange < 5)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The price cannot drop below $5 or by more than is held in escrow'
+        });
+      }
+    }
+
+    order.extensionRequests.push({
+      requestedBy: req.user._id,
+      requestedByRole: role,
+      newDueDate,
+      priceChange,
+      reason
+    });
+    const request = order.extensionRequests[order.extensionRequests.length - 1];
+
+    const message = await postOrderUpdate(
+      order,
+      req.user._id,
+      `Proposed a deadline change: ${describeChange(request)}${reason ? ` (${reason})` : ''}`,
+      { extensionRequest: request._id }
+    );
+    request.message = message._id;
+
+    await order.save();
+
+    await recordOrderEvent(order, 'extension_requested', {
+      user: req.user,
+      role,
+      payload: { extensionRequest: request._id, newDueDate, priceChange, reason }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    console.error('Request extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Load the order and a pending extension request the current user is party to
+const findPendingRequest = async (req) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    throw new ErrorResponse('Order not found', 404);
+  }
+
+  const role = getOrderRole(order, req.user);
+  if (role !== 'buyer' && role !== 'seller') {
+    throw new ErrorResponse('Not authorized to update this order', 403);
+  }
+
+  const request = order.extensionRequests.id(req.params.requestId);
+  if (!request) {
+    throw new ErrorResponse('Deadline change not found', 404);
+  }
+  if (request.status !== 'pending') {
+    throw new ErrorResponse(`Deadline change is already ${request.status}`, 409);
+  }
+
+  return { order, request, role };
+};
+
+// @desc    Accept a proposed deadline change
+// @route   PATCH /api/orders/:id/extensions/:requestId/accept
+// @access  Private (Buyer or Seller)
+exports.acceptExtension = async (req, res) => {
+  try {
+    const { order, request, role } = await findPendingRequest(req);
+
+    if (request.requestedByRole === role) {
+      return res.status(403).json({
+        success: false,
+        message: 'The other party has to accept this change'
+      });
+    }
+
+    if (!EXTENDABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `The deadline cannot change while the order is ${order.status}`
+      });
+    }
+
+    // Claim the request first so a repeated accept cannot move the money twice,
+    // and so it cannot land once the order has left the extendable statuses
+    const respondedAt = new Date();
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        status: { $in: EXTENDABLE_STATUSES },
+        extensionRequests: { $elemMatch: { _id: request._id, status: 'pending' } }
+      },
+      {
+        $set: {
+          'extensionRequests.$.status': 'accepted',
+          'extensionRequests.$.respondedBy': req.user._id,
+          'extensionRequests.$.respondedAt': respondedAt
+        }
+      }
+    );
+    if (!claimed) {
+      throw new ErrorResponse('This deadline change is no longer pending', 409);
+    }
+
+    request.previousDueDate = order.dueDate;
+    request.previousAmount = order.amount;
+
+    // More scope is charged to the buyer; a lower price comes back out of escrow
+    try {
+      if (request.priceChange > 0) {
+        await addOrderFunds(order, request.priceChange, `Price change for order ${order._id}`);
+      } else if (request.priceChange < 0) {
+        const refunded = await refundOrderFunds(order, -request.priceChange, request.reason || 'Price reduced');
+        order.amount = roundMoney(order.amount - (refunded ? refunded.amount : 0));
+      }
+    } catch (error) {
+      // Reopen the request, keeping any part of a refund that went through
+      await Order.updateOne(
+        { _id: order._id, 'extensionRequests._id': request._id },
+        {
+          $set: { 'extensionRequests.$.status': 'pending', ...(order.payment ? { payment: order.payment } : {}) },
+          $unset: { 'extensionRequests.$.respondedBy': 1, 'extensionRequests.$.respondedAt': 1 }
+        }
+      );
+      throw error;
+    }
+
+    order.dueDate = request.newDueDate;
+    if (order.isLate && order.dueDate > new Date()) {
+      order.isLate = false;
+      order.lateSince = undefined;
+    }
+
+    request.status = 'accepted';
+    request.respondedBy = req.user._id;
+    request.respondedAt = respondedAt;
+    try {
+      await order.save();
+    } catch (error) {
+      // The money has moved, so the order must still record it
+      await Order.updateOne({ _id: order._id }, { $set: { amount: order.amount, payment: order.payment } });
+      throw error;
+    }
+
+    await recordOrderEvent(order, 'extended', {
+      user: req.user,
+      role,
+      payload: {
+        extensionRequest: request._id,
+        previousDueDate: request.previousDueDate,
+        newDueDate: request.newDueDate,
+        previousAmount: request.previousAmount,
+        amount: order.amount
+      }
+    });
+
+    await postOrderUpdate(order, req.user._id, `Accepted the deadline change: ${describeChange(request)}`, {
+      extensionRequest: request._id
+    });
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Accept extension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Counterparty declines or requester withdraws a pending change
+const closeExtension = (status) => async (req, res) => {
+  try {
+    const { order, request, role } = await findPendingRequest(req);
+
+    // Only the requester withdraws; only the other side declines
+    const isRequester = request.requestedByRole === role;
+    if ((status === 'withdrawn') !== isRequester) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to mark this change as ${status}`
+      });
+    }
+
+    // Only a change that is still pending can be closed, so this cannot
+    // overwrite an accept that got in first
+    request.status = status;
+    request.respondedBy = req.user._id;
+    request.respondedAt = new Date();
+    const closed = await Order.updateOne(
+      { _id: order._id, extensionRequests: { $elemMatch: { _id: request._id, status: 'pending' } } },
+      {
+        $set: {
+          'extensionRequests.$.status': status,
+          'extensionRequests.$.respondedBy': request.respondedBy,
+          'extensionRequests.$.respondedAt': request.respondedAt
+        }
+      }
+    );
+    if (closed.modifiedCount === 0) {
+      throw new ErrorResponse('This deadline change is no longer pending', 409);
+    }
+
+    await recordOrderEvent(order, `extension_${status}`, {
+      user: req.user,
+      role,
+      payload: { extensionRequest: request._id }
+    });
+
+    await postOrderUpdate(order, req.user._id, `${status === 'declined' ? 'Declined' : 'Withdrew'} the deadline change: ${describeChange(request)}`, {
+      extensionRequest: request._id
+    });
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error(`Extension ${status} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Decline a proposed deadline change
+// @route   PATCH /api/orders/:id/extensions/:requestId/decline
+// @access  Private (Buyer or Seller)
+exports.declineExtension = closeExtension('declined');
+
+// @desc    Withdraw your own deadline change
+// @route   PATCH /api/orders/:id/extensions/:requestId/withdraw
+// @access  Private (Buyer or Seller)
+exports.withdrawExtension = closeExtension('withdrawn');
@@ -2,9 +2,132 @@ const { validationResult } = require('express-validator');
 const Gig = require('../models/Gig');
 const User = require('../models/User');
 const { processUploadedFiles } = require('../middlewares/upload');
+const { buildSearchFilter, findGigsByRelevance, getGigFacets, SELLER_FIELDS } = require('../utils/gigSearch');
+const { getGigTerms, updateGigSuggestions, recordSearchQuery, getSuggestions } = require('../utils/searchSuggestions');
 const fs = require('fs');
 const path = require('path');
 
+const PACKAGE_TIERS = ['basic', 'standard', 'premium'];
+const QUESTION_TYPES = ['text', 'multiple_choice', 'file', 'url'];
+const BILLING_INTERVALS = ['week', 'month'];
+
+// What a seller may change on their own gig. Status, ratings and counters are
+// kept by the platform and feed search ranking, so they are left out.
+const SELLER_EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'subcategory',
+  'price',
+  'deliveryTime',
+  'revisions',
+  'extraRevisionPrice',
+  'billingInterval',
+  'packages',
+  'extras',
+  'questionnaire',
+  'tags',
+  'requirements',
+  'images'
+];
+
+const pickEditableFields = (body) => SELLER_EDITABLE_FIELDS
+  .filter(field => body[field] !== undefined)
+  .reduce((fields, field) => ({ ...fields, [field]: body[field] }), {});
+
+// FormData sends packages and extras as JSON strings; returns null when they cannot be read
+const parseJsonArray = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return [];
+  if (Array.isArray(raw)) return raw;
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Validate packages the same way as the other FormData fields
+const validatePackages = (packages, validationErrors) => {
+  if (packages === null) {
+    validationErrors.push({ type: 'field', value: undefined, msg: 'Packages must be a JSON array', path: 'packages', location: 'body' });
+    return;
+  }
+
+  if (packages.length > 3) {
+    validationErrors.push({ type: 'field', value: packages.length, msg: 'A gig can have at most three packages', path: 'packages', location: 'body' });
+  }
+
+  packages.forEach((pkg, index) => {
+    const path = `packages[${index}]`;
+    if (!PACKAGE_TIERS.includes(pkg.tier)) {
+      validationErrors.push({ type: 'field', value: pkg.tier, msg: `Tier must be one of ${PACKAGE_TIERS.join(', ')}`, path: `${path}.tier`, location: 'body' });
+    }
+    if (!pkg.name || !pkg.name.toString().trim()) {
+      validationErrors.push({ type: 'field', value: pkg.name, msg: 'Package name is required', path: `${path}.name`, location: 'body' });
+    }
+    if (isNaN(parseFloat(pkg.price)) || parseFloat(pkg.price) < 5) {
+      validationErrors.push({ type: 'field', value: pkg.price, msg: 'Package price must be a number and at least $5', path: `${path}.price`, location: 'body' });
+    }
+    if (isNaN(parseInt(pkg.deliveryTime)) || parseInt(pkg.deliveryTime) < 1 || parseInt(pkg.deliveryTime) > 30) {
+      validationErrors.push({ type: 'field', value: pkg.deliveryTime, msg: 'Package delivery time must be between 1 and 30 days', path: `${path}.deliveryTime`, location: 'body' });
+    }
+  });
+};
+
+// Extras follow the same FormData validation as packages
+const validateExtras = (extras, validationErrors) => {
+  if (extras === null) {
+    validationErrors.push({ type: 'field', value: undefined, msg: 'Extras must be a JSON array', path: 'extras', location: 'body' });
+    return;
+  }
+
+  if (extras.length > 10) {
+    validationErrors.push({ type: 'field', value: extras.length, msg: 'A gig can have at most ten extras', path: 'extras', location: 'body' });
+  }
+
+  extras.forEach((extra, index) => {
+    const path = `extras[${index}]`;
+    if (!extra.title || !extra.title.toString().trim()) {
+      validationErrors.push({ type: 'field', value: extra.title, msg: 'Extra title is required', path: `${path}.title`, location: 'body' });
+    }
+    if (isNaN(parseFloat(extra.price)) || parseFloat(extra.price) < 1) {
+      validationErrors.push({ type: 'field', value: extra.price, msg: 'Extra price must be a number and at least $1', path: `${path}.price`, location: 'body' });
+    }
+    if (extra.additionalDays !== undefined && (isNaN(parseInt(extra.additionalDays)) || parseInt(extra.additionalDays) < -29 || parseInt(extra.additionalDays) > 30)) {
+      validationErrors.push({ type: 'field', value: extra.additionalDays, msg: 'Additional days must be between -29 and 30', path: `${path}.additionalDays`, location: 'body' });
+    }
+    if (extra.additionalRevisions !== undefined && (isNaN(parseInt(extra.additionalRevisions)) || parseInt(extra.additionalRevisions) < 0 || parseInt(extra.additionalRevisions) > 10)) {
+      validationErrors.push({ type: 'field', value: extra.additionalRevisions, msg: 'Additional revisions must be between 0 and 10', path: `${path}.additionalRevisions`, location: 'body' });
+    }
+  });
+};
+
+// Requirement questions follow the same FormData validation as packages
+const validateQuestionnaire = (questions, validationErrors) => {
+  if (questions === null) {
+    validationErrors.push({ type: 'field', value: undefined, msg: 'Questionnaire must be a JSON array', path: 'questionnaire', location: 'body' });
+    return;
+  }
+
+  if (questions.length > 20) {
+    validationErrors.push({ type: 'field', value: questions.length, msg: 'A gig can have at most twenty questions', path: 'questionnaire', location: 'body' });
+  }
+
+  questions.forEach((question, index) => {
+    const path = `questionnaire[${index}]`;
+    if (!question.question || !question.question.toString().trim()) {
+      validationErrors.push({ type: 'field', value: question.question, msg: 'Question text is required', path: `${path}.question`, location: 'body' });
+    }
+    if (question.type !== undefined && !QUESTION_TYPES.includes(question.type)) {
+      validationErrors.push({ type: 'field', value: question.type, msg: `Question type must be one of ${QUESTION_TYPES.join(', ')}`, path: `${path}.type`, location: 'body' });
+    }
+    if (question.type === 'multiple_choice' && (!Array.isArray(question.options) || question.options.length < 2)) {
+      validationErrors.push({ type: 'field', value: question.options, msg: 'Multiple choice questions need at least two options', path: `${path}.options`, location: 'body' });
+    }
+  });
+};
+
 // @desc    Create a new gig
 // @route   POST /api/gigs
 // @access  Private (Freelancer)
@@ -38,14 +161,34 @@ exports.createGig = async (req, res) => {
       validationErrors.push({ type: 'field', value: req.body.subcategory, msg: 'Subcategory is required', path: 'subcategory', location: 'body' });
     }
     
-    if (!req.body.price || isNaN(parseFloat(req.body.price)) || parseFloat(req.body.price) < 5) {
+    const packages = parseJsonArray(req.body.packages);
+    validatePackages(packages, validationErrors);
+
+    const extras = parseJsonArray(req.body.extras);
+    validateExtras(extras, validationErrors);
+
+    const questionnaire = parseJsonArray(req.body.questionnaire);
+    validateQuestionnaire(questionnaire, validationErrors);
+
+    // Price and delivery time come from the packages when there are any
+    const hasPackages = Array.isArray(packages) && packages.length > 0;
+
+    if (!hasPackages && (!req.body.price || isNaN(parseFloat(req.body.price)) || parseFloat(req.body.price) < 5)) {
       validationErrors.push({ type: 'field', value: req.body.price, msg: 'Price must be a number and at least $5', path: 'price', location: 'body' });
     }
     
-    if (!req.body.deliveryTime || isNaN(parseInt(req.body.deliveryTime)) || parseInt(req.body.deliveryTime) < 1 || parseInt(req.body.deliveryTime) > 30) {
+    if (!hasPackages && (!req.body.deliveryTime || isNaN(parseInt(req.body.deliveryTime)) || parseInt(req.body.deliveryTime) < 1 || parseInt(req.body.deliveryTime) > 30)) {
       validationErrors.push({ type: 'field', value: req.body.deliveryTime, msg: 'Delivery time must be between 1 and 30 days', path: 'deliveryTime', location: 'body' });
     }
     
+    if (req.body.extraRevisionPrice && (isNaN(parseFloat(req.body.extraRevisionPrice)) || parseFloat(req.body.extraRevisionPrice) < 1)) {
+      validationErrors.push({ type: 'field', value: req.body.extraRevisionPrice, msg: 'Extra revision price must be a number and at least $1', path: 'extraRevisionPrice', location: 'body' });
+    }
+
+    if (req.body.billingInterval && !BILLING_INTERVALS.includes(req.body.billingInterval)) {
+      validationErrors.push({ type: 'field', value: req.body.billingInterval, msg: 'Billing interval must be week or month', path: 'billingInterval', location: 'body' });
+    }
+
     if (validationErrors.length > 0) {
       console.log('Validation errors:', validationErrors);
       return res.status(400).json({ errors: validationErrors });
@@ -59,6 +202,8 @@ exports.createGig = async (req, res) => {
       price,
       deliveryTime,
       revisions = 0,
+      extraRevisionPrice,
+      billingInterval,
       tags: tagsString = '',
       requirements: requirementsString = ''
     } = req.body;
@@ -85,6 +230,8 @@ exports.createGig = async (req, res) => {
       price,
       deliveryTime,
       revisions,
+      packages,
+      extras,
       tags,
       requirements,
       seller: req.user._id,
@@ -99,16 +246,23 @@ exports.createGig = async (req, res) => {
       price,
       deliveryTime,
       revisions,
+      extraRevisionPrice: extraRevisionPrice || undefined,
+      billingInterval: billingInterval || undefined,
+      packages,
+      extras,
+      questionnaire,
       tags,
       requirements,
       images,
       seller: req.user._id,
+      sellerSkills: req.user.skills || [],
       status: 'draft'
     });
 
     console.log('Gig object created, attempting to save...');
     await gig.save();
     console.log('Gig saved successfully');
+    await updateGigSuggestions(new Map(), gig);
 
     // Populate seller info for response
     await gig.populate('seller', 'name profilePicture averageRating totalReviews');
@@ -357,27 +511,28 @@ exports.getGigs = async (req, res) => {
     if (deliveryTime && !isNaN(parseInt(deliveryTime))) filter.deliveryTime = { $lte: parseInt(deliveryTime) };
     
     // Text search
-    if (search && search.trim()) {
+    const hasSearch = Boolean(search && search.trim());
+    if (hasSearch) {
       filter.$text = { $search: search };
     }
 
-    // Build sort object
-    const sort = {};
-    if (search && search.trim()) {
-      sort.score = { $meta: 'textScore' };
-    }
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const gigs = await Gig.find(filter)
-      .populate('seller', 'name profilePicture averageRating totalReviews')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+    // Searches rank by relevance unless another sort is asked for
+    let gigs;
+    let total;
+    if (sortBy === 'relevance' || (hasSearch && !req.query.sortBy)) {
+      ({ gigs, total } = await findGigsByRelevance(filter, { skip, limit: parseInt(limit) }));
+    } else {
+      gigs = await Gig.find(filter)
+        .populate('seller', SELLER_FIELDS)
+        .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+        .skip(skip)
+        .limit(parseInt(limit));
 
-    const total = await Gig.countDocuments(filter);
+      total = await Gig.countDocuments(filter);
+    }
 
     res.json({
       success: true,
@@ -440,7 +595,7 @@ exports.updateGig = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    let gig = await Gig.findById(req.params.id);
+    const gig = await Gig.findById(req.params.id);
 
     if (!gig) {
       return res.status(404).json({
@@ -450,23 +605,34 @@ exports.updateGig = async (req, res) => {
     }
 
     // Check ownership
-    if (gig.seller.toString() !== req.user._id) {
+    if (gig.seller.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this gig'
       });
     }
 
-    gig = await Gig.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    const suggestionTerms = getGigTerms(gig);
+
+    // Saved through the document so package pricing is kept in sync
+    gig.set(pickEditableFields(req.body));
+    gig.sellerSkills = req.user.skills || [];
+    await gig.save();
+    await updateGigSuggestions(suggestionTerms, gig);
 
     res.json({
       success: true,
       data: gig
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: validationErrors
+      });
+    }
     console.error('Update gig error:', error);
     res.status(500).json({
       success: false,
@@ -538,33 +704,11 @@ exports.getUserGigs = async (req, res) => {
 // @access  Public
 exports.searchGigs = async (req, res) => {
   try {
-    const { q, category, minPrice, maxPrice, rating, sortBy = 'relevance', page = 1, limit = 12 } = req.query;
+    const { q, sortBy = 'relevance', page = 1, limit = 12 } = req.query;
 
-    let filter = { status: 'active' };
+    const filter = buildSearchFilter(req.query);
     let sort = {};
 
-    // Text search
-    if (q) {
-      filter.$text = { $search: q };
-    }
-
-    // Category filter
-    if (category) {
-      filter.category = category;
-    }
-
-    // Price filter
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
-    }
-
-    // Rating filter
-    if (rating) {
-      filter.rating = { $gte: parseFloat(rating) };
-    }
-
     // Sort options
     switch (sortBy) {
       case 'price_low':
@@ -585,26 +729,37 @@ exports.searchGigs = async (req, res) => {
       case 'oldest':
         sort.createdAt = 1;
         break;
-      default:
-        if (q) {
-          sort.score = { $meta: 'textScore' };
-        } else {
-          sort.createdAt = -1;
-        }
     }
 
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    // Get total count for pagination
-    const total = await Gig.countDocuments(filter);
+    // Anything else, 'relevance' included, blends text match with rating,
+    // orders and recency
+    const findPage = async () => {
+      if (Object.keys(sort).length === 0) {
+        return findGigsByRelevance(filter, { skip, limit: limitNum });
+      }
+
+      const [gigs, total] = await Promise.all([
+        Gig.find(filter)
+          .populate('seller', SELLER_FIELDS)
+          .sort(sort)
+          .skip(skip)
+          .limit(limitNum),
+        Gig.countDocuments(filter)
+      ]);
+      return { gigs, total };
+    };
+
+    // Filter counts for the whole result set come back with the page
+    const [{ gigs, total }, facets] = await Promise.all([findPage(), getGigFacets(filter)]);
 
-    const gigs = await Gig.find(filter)
-      .populate('seller', 'name profilePicture averageRating totalReviews')
-      .sort(sort)
-      .skip(skip)
-      .limit(limitNum);
+    // Queries that find something feed autocomplete; not awaited
+    if (q && total > 0) {
+      recordSearchQuery(q).catch(error => console.error('Record search query error:', error.message));
+    }
 
     const totalPages = Math.ceil(total / limitNum);
 
@@ -615,7 +770,8 @@ exports.searchGigs = async (req, res) => {
       totalPages,
       currentPage: pageNum,
       hasNextPage: pageNum < totalPages,
-      hasPrevPage: pageNum > 1
+      hasPrevPage: pageNum > 1,
+      facets
     });
   } catch (error) {
     console.error('Search gigs error:', error);
@@ -626,6 +782,38 @@ exports.searchGigs = async (req, res) => {
   }
 };
 
+// @desc    Autocomplete for gig search, with a correction for typos
+// @route   GET /api/gigs/suggest
+// @access  Public
+exports.suggestGigs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limit = parseInt(req.query.limit) || 8;
+    const { suggestions, didYouMean } = await getSuggestions(req.query.q, limit);
+
+    // Same answer for every user, so let clients and proxies reuse it briefly
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({
+      success: true,
+      data: {
+        query: req.query.q,
+        suggestions,
+        didYouMean
+      }
+    });
+  } catch (error) {
+    console.error('Suggest gigs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Update gig status
 // @route   PATCH /api/gigs/:id/status
 // @access  Private (Freelancer - Owner)
@@ -655,8 +843,10 @@ exports.updateGigStatus = async (req, res) => {
       });
     }
 
+    const suggestionTerms = getGigTerms(gig);
     gig.status = status;
     await gig.save();
+    await updateGigSuggestions(suggestionTerms, gig);
 
     res.json({
       success: true,
@@ -0,0 +1,180 @@
+const { validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const { getOrderRole } = require('../utils/orderStateMachine');
+const { sendErrorResponse } = require('../utils/errorResponse');
+const { getOrderInvoice, voidInvoice, reissueInvoice } = require('../utils/invoices');
+const { writeInvoicePdf } = require('../utils/invoicePdf');
+
+const sendInvoice = (req, res, invoice) => {
+  if (req.query.format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.number}.pdf"`);
+    return writeInvoicePdf(invoice, res);
+  }
+
+  res.json({
+    success: true,
+    data: invoice
+  });
+};
+
+// @desc    Get the order's invoice as JSON, or as a PDF with ?format=pdf
+// @route   GET /api/orders/:id/invoice
+// @access  Private (Buyer, Seller or Admin)
+exports.getInvoice = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!getOrderRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this invoice'
+      });
+    }
+
+    const invoice = await getOrderInvoice(order);
+    sendInvoice(req, res, invoice);
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get all invoices
+// @route   GET /api/admin/invoices
+// @access  Private (Admin)
+exports.getInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, order } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (order) filter.order = order;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const invoices = await Invoice.find(filter)
+      .sort({ issuedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Invoice.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: invoices,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Void an invoice
+// @route   PATCH /api/admin/invoices/:id/void
+// @access  Private (Admin)
+exports.voidInvoice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(409).json({
+        success: false,
+        message: 'Invoice is already void'
+      });
+    }
+
+    await voidInvoice(invoice, { user: req.user, reason: req.body.reason });
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Void an invoice and issue a new one from the order's current state
+// @route   POST /api/admin/invoices/:id/reissue
+// @access  Private (Admin)
+exports.reissueInvoice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const order = await Order.findById(invoice.order);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const replacement = await reissueInvoice(invoice, order, { user: req.user, reason: req.body.reason });
+
+    res.status(201).json({
+      success: true,
+      data: replacement
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Reissue invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -2,6 +2,11 @@ const { validationResult } = require('express-validator');
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
 const User = require('../models/User');
+const Gig = require('../models/Gig');
+const { placeOrder } = require('../utils/orderPipeline');
+const { getOfferExpiryHours, expirePendingOffers } = require('../utils/customOffers');
+const { sendErrorResponse } = require('../utils/errorResponse');
+const { recordMessage } = require('../utils/conversations');
 
 // @desc    Get user's conversations
 // @route   GET /api/messages/conversations
@@ -16,6 +21,7 @@ exports.getConversations = async (req, res) => {
     .populate('lastMessage')
     .populate('order', 'gig')
     .populate('gig', 'title images')
+    .populate('contract', 'title status')
     .sort({ lastMessageAt: -1 });
 
     // Calculate unread counts
@@ -87,6 +93,7 @@ exports.createConversation = async (req, res) => {
     await conversation.populate('participants', 'name profilePicture');
     await conversation.populate('order', 'gig');
     await conversation.populate('gig', 'title images');
+    await conversation.populate('contract', 'title status');
 
     res.status(201).json({
       success: true,
@@ -125,6 +132,9 @@ exports.getMessages = async (req, res) => {
       });
     }
 
+    // Offers past their expiry show as expired
+    await expirePendingOffers({ conversation: conversationId });
+
     // Get messages
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const messages = await Message.find({
@@ -133,6 +143,7 @@ exports.getMessages = async (req, res) => {
       'deletedBy.user': { $ne: req.user.id }
     })
     .populate('sender', 'name profilePicture')
+    .populate('offer.order', 'status')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
@@ -208,20 +219,7 @@ exports.sendMessage = async (req, res) => {
     });
 
     await message.save();
-
-    // Update conversation
-    conversation.lastMessage = message._id;
-    conversation.lastMessageAt = new Date();
-    
-    // Increment unread count for other participants
-    conversation.participants.forEach(participantId => {
-      if (participantId.toString() !== req.user.id) {
-        const currentCount = conversation.unreadCount.get(participantId.toString()) || 0;
-        conversation.unreadCount.set(participantId.toString(), currentCount + 1);
-      }
-    });
-
-    await conversation.save();
+    await recordMessage(conversation, message, req.user.id);
 
     await message.populate('sender', 'name profilePicture');
 
@@ -289,4 +287,265 @@ exports.markAsRead = async (req, res) => {
       message: 'Server error'
     });
   }
-}; 
\ No newline at end of file
+};
+
+// Load a custom offer together with its conversation for the current user
+const findOffer = async (messageId, userId) => {
+  const message = await Message.findOne({ _id: messageId, messageType: 'custom_offer', deleted: false });
+  if (!message) return { error: [404, 'Offer not found'] };
+
+  const conversation = await Conversation.findById(message.conversation);
+  if (!conversation || !conversation.participants.includes(userId)) {
+    return { error: [403, 'Not authorized to access this offer'] };
+  }
+
+  if (message.offer.status === 'pending' && message.offer.expiresAt <= new Date()) {
+    message.offer.status = 'expired';
+    await message.save();
+  }
+
+  return { message, conversation };
+};
+
+// @desc    Send a custom offer
+// @route   POST /api/messages/conversations/:conversationId/offers
+// @access  Private (Freelancer)
+exports.sendOffer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { conversationId } = req.params;
+    const { description, price, deliveryDays, revisions = 0, gigId, expiresInHours } = req.body;
+
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    if (!conversation.participants.includes(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to send messages in this conversation'
+      });
+    }
+
+    if (conversation.status === 'blocked') {
+      return res.status(403).json({
+        success: false,
+        message: 'Conversation is blocked'
+      });
+    }
+
+    // Offers are made against one of the seller's gigs
+    const gig = await Gig.findById(gigId || conversation.gig);
+    if (!gig || gig.seller.toString() !== req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Offers must be made for one of your own gigs'
+      });
+    }
+
+    const hours = expiresInHours !== undefined ? parseFloat(expiresInHours) : getOfferExpiryHours();
+
+    const message = new Message({
+      conversation: conversationId,
+      sender: req.user.id,
+      content: description,
+      messageType: 'custom_offer',
+      offer: {
+        gig: gig._id,
+        description,
+        price,
+        deliveryDays,
+        revisions,
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+        status: 'pending'
+      }
+    });
+
+    await message.save();
+    await recordMessage(conversation, message, req.user.id);
+
+    await message.populate('sender', 'name profilePicture');
+
+    res.status(201).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    console.error('Send offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Accept a custom offer and place the order
+// @route   PATCH /api/messages/offers/:messageId/accept
+// @access  Private (Client)
+exports.acceptOffer = async (req, res) => {
+  try {
+    const { message, conversation, error } = await findOffer(req.params.messageId, req.user.id);
+    if (error) {
+      return res.status(error[0]).json({
+        success: false,
+        message: error[1]
+      });
+    }
+
+    if (message.sender.toString() === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot accept your own offer'
+      });
+    }
+
+    // Paused or deleted gigs take no new orders, offers included
+    const gig = await Gig.findById(message.offer.gig);
+    if (!gig || gig.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'The gig for this offer is no longer available'
+      });
+    }
+
+    // Retainer gigs are bought through a subscription
+    if (gig.billingInterval) {
+      return res.status(400).json({
+        success: false,
+        message: `This gig is billed every ${gig.billingInterval}; subscribe through /api/subscriptions instead`
+      });
+    }
+
+    // Claim the offer first so it cannot be accepted twice
+    const claimed = await Message.findOneAndUpdate(
+      { _id: message._id, 'offer.status': 'pending', 'offer.expiresAt': { $gt: new Date() } },
+      { $set: { 'offer.status': 'accepted', 'offer.respondedAt': new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: `Offer is ${message.offer.status}`
+      });
+    }
+
+    const { offer } = claimed;
+    let order;
+    try {
+      order = await placeOrder({
+        gig,
+        buyer: req.user._id,
+        pricing: {
+          amount: offer.price,
+          deliveryDays: offer.deliveryDays,
+          revisions: offer.revisions
+        },
+        requirements: req.body.requirements && req.body.requirements.length > 0 ? req.body.requirements : [offer.description],
+        snapshot: {
+          price: offer.price,
+          deliveryTime: offer.deliveryDays,
+          revisions: offer.revisions
+        },
+        fields: {
+          source: 'custom_offer',
+          customOffer: claimed._id
+        }
+      });
+    } catch (orderError) {
+      // Reopen the offer when the order could not be placed, e.g. payment failed
+      await Message.updateOne(
+        { _id: claimed._id },
+        { $set: { 'offer.status': 'pending' }, $unset: { 'offer.respondedAt': 1 } }
+      );
+      throw orderError;
+    }
+
+    claimed.offer.order = order._id;
+    await claimed.save();
+
+    // Link the conversation to the new order
+    if (!conversation.order) {
+      conversation.order = order._id;
+      await conversation.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        offer: claimed,
+        order
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Accept offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Buyer declines or seller withdraws a pending offer
+const closeOffer = (status) => async (req, res) => {
+  try {
+    const { message, error } = await findOffer(req.params.messageId, req.user.id);
+    if (error) {
+      return res.status(error[0]).json({
+        success: false,
+        message: error[1]
+      });
+    }
+
+    // Only the seller withdraws; only the other side declines
+    const isSender = message.sender.toString() === req.user.id;
+    if ((status === 'withdrawn') !== isSender) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to mark this offer as ${status}`
+      });
+    }
+
+    if (message.offer.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Offer is ${message.offer.status}`
+      });
+    }
+
+    message.offer.status = status;
+    message.offer.respondedAt = new Date();
+    await message.save();
+
+    res.json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    console.error(`Offer ${status} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Decline a custom offer
+// @route   PATCH /api/messages/offers/:messageId/decline
+// @access  Private (Client)
+exports.declineOffer = closeOffer('declined');
+
+// @desc    Withdraw a custom offer
+// @route   PATCH /api/messages/offers/:messageId/withdraw
+// @access  Private (Freelancer)
+exports.withdrawOffer = closeOffer('withdrawn');
@@ -0,0 +1,224 @@
+const { validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const { getOrderRole, transitionOrder } = require('../utils/orderStateMachine');
+const { sendErrorResponse } = require('../utils/errorResponse');
+const { releaseOrderFunds } = require('../utils/escrow');
+const { MilestoneError, getOpenMilestones, allMilestonesDelivered } = require('../utils/milestones');
+const { recordDelivery, getLatestDelivery } = require('../utils/deliveries');
+const { assertRevisionAvailable } = require('../utils/revisions');
+const { recordOrderEvent } = require('../utils/orderEvents');
+const { removeDeliveryFiles } = require('../middlewares/deliveryUpload');
+
+// Order statuses in which milestone work can still move
+const ACTIVE_ORDER_STATUSES = ['accepted', 'in_progress', 'delivered'];
+
+// Load the order and milestone, checking the user is on the expected side
+const findMilestone = async (req, role) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    throw new MilestoneError('Order not found', 404);
+  }
+
+  if (getOrderRole(order, req.user) !== role) {
+    throw new MilestoneError('Not authorized to update milestones on this order', 403);
+  }
+
+  const milestone = order.milestones.id(req.params.milestoneId);
+  if (!milestone) {
+    throw new MilestoneError('Milestone not found', 404);
+  }
+
+  if (!ACTIVE_ORDER_STATUSES.includes(order.status)) {
+    throw new MilestoneError(`Milestones cannot change while the order is ${order.status}`, 409);
+  }
+
+  return { order, milestone };
+};
+
+const addOrderMessage = (order, user, content) => {
+  order.messages.push({
+    sender: user._id,
+    content,
+    timestamp: new Date()
+  });
+};
+
+// @desc    Deliver a milestone
+// @route   POST /api/orders/:id/milestones/:milestoneId/delivery
+// @access  Private (Freelancer)
+exports.submitMilestoneDelivery = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeDeliveryFiles(req.files);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { message } = req.body;
+    const { order, milestone } = await findMilestone(req, 'seller');
+
+    if (!['pending', 'in_progress'].includes(milestone.status)) {
+      throw new MilestoneError(`Milestone is already ${milestone.status}`, 409);
+    }
+
+    milestone.status = 'delivered';
+    milestone.deliveredAt = new Date();
+    if (message) {
+      milestone.deliveryMessage = message;
+    }
+
+    // Also answers the milestone's outstanding revision requests
+    const delivery = recordDelivery(order, { user: req.user, message, files: req.files, milestone });
+    const event = { milestone: milestone._id, delivery: delivery._id, version: delivery.version };
+
+    addOrderMessage(order, req.user, (message && message.trim()) ? message.trim() : `Milestone delivered: ${milestone.title}`);
+
+    // The order is delivered once the last milestone is in
+    if (allMilestonesDelivered(order)) {
+      await transitionOrder(order, 'delivered', { role: 'seller', user: req.user, delivery, event });
+    } else {
+      if (order.status === 'accepted') {
+        await transitionOrder(order, 'in_progress', { role: 'seller', user: req.user });
+      } else {
+        await order.save();
+      }
+      await recordOrderEvent(order, 'milestone_delivered', { user: req.user, role: 'seller', payload: event });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    removeDeliveryFiles(req.files);
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Submit milestone delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Request a revision on a delivered milestone
+// @route   POST /api/orders/:id/milestones/:milestoneId/revision
+// @access  Private (Client)
+exports.requestMilestoneRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { message } = req.body;
+    const { order, milestone } = await findMilestone(req, 'buyer');
+
+    if (milestone.status !== 'delivered') {
+      throw new MilestoneError('Only a delivered milestone can be sent back for revision', 409);
+    }
+
+    assertRevisionAvailable(order);
+
+    const delivery = getLatestDelivery(order, milestone);
+    const event = { milestone: milestone._id, message, delivery: delivery ? delivery._id : undefined };
+
+    milestone.status = 'in_progress';
+    milestone.revisionRequests.push({
+      message,
+      requestedAt: new Date(),
+      status: 'pending',
+      delivery: delivery ? delivery._id : undefined
+    });
+    const revision = milestone.revisionRequests[milestone.revisionRequests.length - 1];
+
+    addOrderMessage(order, req.user, message.trim());
+
+    // Sends a fully delivered order back to the seller
+    if (order.status === 'delivered') {
+      await transitionOrder(order, 'in_progress', { role: 'buyer', user: req.user, revision, event });
+    } else {
+      await order.save();
+      await recordOrderEvent(order, 'revision_requested', { user: req.user, role: 'buyer', payload: event });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Request milestone revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Approve a milestone and release its payment
+// @route   PATCH /api/orders/:id/milestones/:milestoneId/approve
+// @access  Private (Client)
+exports.approveMilestone = async (req, res) => {
+  try {
+    const { order, milestone } = await findMilestone(req, 'buyer');
+
+    if (milestone.status !== 'delivered') {
+      throw new MilestoneError('Only a delivered milestone can be approved', 409);
+    }
+
+    // Approving the last milestone completes the order, which pays it out
+    const isLast = getOpenMilestones(order).length === 1;
+    if (isLast) {
+      await transitionOrder(order, 'completed', { role: 'buyer', user: req.user, event: { milestone: milestone._id } });
+    } else {
+      // Claim the approval first so a repeated request cannot pay it twice
+      const approvedAt = new Date();
+      const claimed = await Order.updateOne(
+        { _id: order._id, status: order.status, milestones: { $elemMatch: { _id: milestone._id, status: 'delivered' } } },
+        { $set: { 'milestones.$.status': 'approved', 'milestones.$.approvedAt': approvedAt } }
+      );
+      if (claimed.modifiedCount === 0) {
+        throw new MilestoneError('This milestone is no longer waiting for approval', 409);
+      }
+
+      let released;
+      try {
+        released = await releaseOrderFunds(order, milestone.amount);
+      } catch (error) {
+        await Order.updateOne(
+          { _id: order._id, 'milestones._id': milestone._id },
+          { $set: { 'milestones.$.status': 'delivered' }, $unset: { 'milestones.$.approvedAt': 1 } }
+        );
+        throw error;
+      }
+      milestone.status = 'approved';
+      milestone.approvedAt = approvedAt;
+      milestone.releasedAmount = released ? released.amount : 0;
+      await order.save();
+
+      await recordOrderEvent(order, 'milestone_approved', {
+        user: req.user,
+        role: 'buyer',
+        payload: { milestone: milestone._id, releasedAmount: milestone.releasedAmount }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Approve milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
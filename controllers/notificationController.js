@@ -0,0 +1,97 @@
+const Notification = require('../models/Notification');
+
+// @desc    Get the current user's notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') filter.read = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('gigs', 'title slug images price')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, read: false })
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+exports.markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+exports.markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -2,6 +2,18 @@ const { validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Gig = require('../models/Gig');
 const User = require('../models/User');
+const { getOrderRole, transitionOrder } = require('../utils/orderStateMachine');
+const { sendErrorResponse } = require('../utils/errorResponse');
+const { priceGigOrder } = require('../utils/orderPricing');
+const { placeOrder } = require('../utils/orderPipeline');
+const { buildMilestones, assertNoMilestones } = require('../utils/milestones');
+const { buildQuestionnaire, applyAnswers, getMissingAnswers } = require('../utils/requirements');
+const { removeRequirementFiles } = require('../middlewares/requirementUpload');
+const { recordDelivery, getDownloadUrl, getDeliveryFilePath, getLatestDelivery } = require('../utils/deliveries');
+const { assertRevisionAvailable } = require('../utils/revisions');
+const { addOrderFunds, payTip, roundMoney, getSellerEarnings, getGigEarnings } = require('../utils/escrow');
+const { recordOrderEvent, getOrderTimeline } = require('../utils/orderEvents');
+const { removeDeliveryFiles } = require('../middlewares/deliveryUpload');
 
 // @desc    Create a new order
 // @route   POST /api/orders
@@ -13,7 +25,7 @@ exports.createOrder = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { gigId, requirements, amount } = req.body;
+    const { gigId, packageId, extras, requirements = [], answers, milestones } = req.body;
 
     // Check if gig exists and is active
     const gig = await Gig.findById(gigId);
@@ -39,17 +51,34 @@ exports.createOrder = async (req, res) => {
       });
     }
 
-    const order = new Order({
-      gig: gigId,
+    // Retainer gigs are bought through a subscription
+    if (gig.billingInterval) {
+      return res.status(400).json({
+        success: false,
+        message: `This gig is billed every ${gig.billingInterval}; subscribe through /api/subscriptions instead`
+      });
+    }
+
+    // Amount, delivery time and revisions come from the chosen package and extras
+    const pricing = priceGigOrder(gig, { packageId, extras });
+
+    // Answers can come now or later; work waits until the required ones are in
+    const questionnaire = applyAnswers(buildQuestionnaire(gig), answers);
+    const awaitingRequirements = getMissingAnswers(questionnaire).length > 0;
+
+    const order = await placeOrder({
+      gig,
       buyer: req.user._id,
-      seller: gig.seller,
-      amount,
+      pricing,
       requirements,
-      status: 'pending'
+      fields: {
+        questionnaire,
+        status: awaitingRequirements ? 'awaiting_requirements' : 'pending',
+        requirementsSubmittedAt: awaitingRequirements ? undefined : new Date(),
+        ...(milestones ? { milestones: buildMilestones(milestones, pricing.amount) } : {})
+      }
     });
 
-    await order.save();
-
     // Populate gig and seller details
     await order.populate('gig', 'title images');
     await order.populate('seller', 'name profilePicture');
@@ -59,6 +88,9 @@ exports.createOrder = async (req, res) => {
       data: order
     });
   } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
     console.error('Create order error:', error);
     res.status(500).json({
       success: false,
@@ -67,6 +99,65 @@ exports.createOrder = async (req, res) => {
   }
 };
 
+// @desc    Answer the gig's requirement questions
+// @route   POST /api/orders/:id/requirements
+// @access  Private (Client)
+exports.submitRequirements = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      removeRequirementFiles(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (getOrderRole(order, req.user) !== 'buyer') {
+      removeRequirementFiles(req.files);
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to submit requirements for this order'
+      });
+    }
+
+    if (order.status !== 'awaiting_requirements') {
+      removeRequirementFiles(req.files);
+      return res.status(409).json({
+        success: false,
+        message: 'Requirements have already been submitted for this order'
+      });
+    }
+
+    applyAnswers(order.questionnaire, req.body.answers, req.files);
+
+    const missing = getMissingAnswers(order.questionnaire);
+    if (missing.length === 0) {
+      // Hands the order to the seller to accept
+      await transitionOrder(order, 'pending', { role: 'buyer', user: req.user });
+    } else {
+      await order.save();
+    }
+
+    res.json({
+      success: true,
+      data: order,
+      missing: missing.map(question => ({ questionId: question.questionId, question: question.question }))
+    });
+  } catch (error) {
+    removeRequirementFiles(req.files);
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Submit requirements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get all orders (admin only)
 // @route   GET /api/orders
 // @access  Private (Admin)
@@ -106,7 +197,10 @@ exports.getOrder = async (req, res) => {
     const order = await Order.findById(req.params.id)
       .populate('gig', 'title images category')
       .populate('buyer', 'name email profilePicture')
-      .populate('seller', 'name email profilePicture');
+      .populate('seller', 'name email profilePicture')
+      .populate('extensionRequests.requestedBy', 'name profilePicture')
+      .populate('cancellationRequests.requestedBy', 'name profilePicture')
+      .populate('contract', 'title hourlyRate status');
 
     if (!order) {
       return res.status(404).json({
@@ -116,9 +210,7 @@ exports.getOrder = async (req, res) => {
     }
 
     // Check if user is authorized to view this order
-    if (req.user.role !== 'admin' && 
-        order.buyer.toString() !== req.user._id && 
-        order.seller.toString() !== req.user._id) {
+    if (!getOrderRole(order, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this order'
@@ -138,6 +230,51 @@ exports.getOrder = async (req, res) => {
   }
 };
 
+// @desc    Get an order's activity timeline
+// @route   GET /api/orders/:id/timeline
+// @access  Private (Buyer, Seller or Admin)
+exports.getTimeline = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('buyer seller');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!getOrderRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { events, total } = await getOrderTimeline(order._id, { page, limit });
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get order timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get buyer orders
 // @route   GET /api/orders/buyer
 // @access  Private (Client)
@@ -189,8 +326,6 @@ exports.getSellerOrders = async (req, res) => {
 // @access  Private
 exports.updateOrderStatus = async (req, res) => {
   try {
-
-
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
@@ -208,9 +343,8 @@ exports.updateOrderStatus = async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role !== 'admin' && 
-        order.buyer.toString() !== req.user._id.toString() && 
-        order.seller.toString() !== req.user._id.toString()) {
+    const role = getOrderRole(order, req.user);
+    if (!role) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this order'
@@ -226,14 +360,11 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
-    order.status = status;
-    
-    // Set completion date if order is completed
-    if (status === 'completed') {
-      order.completedDate = new Date();
-    }
-
-    await order.save();
+    await transitionOrder(order, status, {
+      role,
+      user: req.user,
+      event: message && message.trim() ? { message: message.trim() } : undefined
+    });
 
     await order.populate('gig', 'title');
     await order.populate('buyer', 'name');
@@ -244,6 +375,9 @@ exports.updateOrderStatus = async (req, res) => {
       data: order
     });
   } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
     console.error('Update order status error:', error);
     res.status(500).json({
       success: false,
@@ -259,6 +393,7 @@ exports.submitDelivery = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      removeDeliveryFiles(req.files);
       return res.status(400).json({ errors: errors.array() });
     }
 
@@ -267,6 +402,7 @@ exports.submitDelivery = async (req, res) => {
     const order = await Order.findById(req.params.id);
 
     if (!order) {
+      removeDeliveryFiles(req.files);
       return res.status(404).json({
         success: false,
         message: 'Order not found'
@@ -274,19 +410,22 @@ exports.submitDelivery = async (req, res) => {
     }
 
     // Check if user is the seller
-    if (order.seller.toString() !== req.user._id) {
+    if (getOrderRole(order, req.user) !== 'seller') {
+      removeDeliveryFiles(req.files);
       return res.status(403).json({
         success: false,
         message: 'Not authorized to submit delivery for this order'
       });
     }
 
-    order.status = 'delivered';
-    order.deliveryDate = new Date();
+    assertNoMilestones(order);
+
     if (message) {
       order.deliveryMessage = message;
     }
 
+    const delivery = recordDelivery(order, { user: req.user, message, files: req.files });
+
     // Add message to order messages
     order.messages.push({
       sender: req.user._id,
@@ -294,13 +433,22 @@ exports.submitDelivery = async (req, res) => {
       timestamp: new Date()
     });
 
-    await order.save();
+    await transitionOrder(order, 'delivered', {
+      role: 'seller',
+      user: req.user,
+      delivery,
+      event: { delivery: delivery._id, version: delivery.version }
+    });
 
     res.json({
       success: true,
       data: order
     });
   } catch (error) {
+    removeDeliveryFiles(req.files);
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
     console.error('Submit delivery error:', error);
     res.status(500).json({
       success: false,
@@ -309,6 +457,98 @@ exports.submitDelivery = async (req, res) => {
   }
 };
 
+// @desc    Get an order's delivery history
+// @route   GET /api/orders/:id/deliveries
+// @access  Private (Buyer, Seller or Admin)
+exports.getDeliveries = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('buyer seller deliveries');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!getOrderRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view deliveries for this order'
+      });
+    }
+
+    const deliveries = order.deliveries.map(delivery => ({
+      ...delivery.toObject(),
+      files: delivery.files.map(file => ({
+        _id: file._id,
+        filename: file.filename,
+        fileType: file.fileType,
+        fileSize: file.fileSize,
+        url: getDownloadUrl(order, delivery, file)
+      }))
+    }));
+
+    res.json({
+      success: true,
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Get deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Download a delivery file
+// @route   GET /api/orders/:id/deliveries/:deliveryId/files/:fileId
+// @access  Private (Buyer, Seller or Admin)
+exports.downloadDeliveryFile = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('buyer seller deliveries');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!getOrderRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download files for this order'
+      });
+    }
+
+    const delivery = order.deliveries.id(req.params.deliveryId);
+    const file = delivery && delivery.files.id(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.download(getDeliveryFilePath(order, file), file.filename, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.code === 'ENOENT' ? 404 : 500).json({
+          success: false,
+          message: error.code === 'ENOENT' ? 'File not found' : 'Server error'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Download delivery file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Request revision
 // @route   POST /api/orders/:id/revision
 // @access  Private (Client)
@@ -331,19 +571,25 @@ exports.requestRevision = async (req, res) => {
     }
 
     // Check if user is the buyer
-    if (order.buyer.toString() !== req.user._id) {
+    if (getOrderRole(order, req.user) !== 'buyer') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to request revision for this order'
       });
     }
 
-    // Add revision request
+    assertNoMilestones(order);
+    assertRevisionAvailable(order);
+
+    // Add revision request against the delivery being reviewed
+    const delivery = getLatestDelivery(order);
     order.revisionRequests.push({
       message,
       requestedAt: new Date(),
-      status: 'pending'
+      status: 'pending',
+      delivery: delivery ? delivery._id : undefined
     });
+    const revision = order.revisionRequests[order.revisionRequests.length - 1];
 
     // Add message to order messages
     if (message && message.trim() && message.trim().length > 0) {
@@ -354,13 +600,22 @@ exports.requestRevision = async (req, res) => {
       });
     }
 
-    await order.save();
+    // Sends the delivered work back to the seller
+    await transitionOrder(order, 'in_progress', {
+      role: 'buyer',
+      user: req.user,
+      revision,
+      event: { message, delivery: delivery ? delivery._id : undefined }
+    });
 
     res.json({
       success: true,
       data: order
     });
   } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
     console.error('Request revision error:', error);
     res.status(500).json({
       success: false,
@@ -369,6 +624,83 @@ exports.requestRevision = async (req, res) => {
   }
 };
 
+// @desc    Buy extra revisions
+// @route   POST /api/orders/:id/revisions/purchase
+// @access  Private (Client)
+exports.purchaseRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (getOrderRole(order, req.user) !== 'buyer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to buy revisions for this order'
+      });
+    }
+
+    if (!['accepted', 'in_progress', 'delivered'].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Revisions cannot be bought while the order is ${order.status}`
+      });
+    }
+
+    if (!order.extraRevisionPrice) {
+      return res.status(400).json({
+        success: false,
+        message: 'The seller does not offer extra revisions on this order'
+      });
+    }
+
+    // The money joins the order's escrow and is paid out with it
+    const amount = roundMoney(order.extraRevisionPrice * quantity);
+    const charge = await addOrderFunds(order, amount, `${quantity} extra revision(s) for order ${order._id}`);
+
+    order.revisionPurchases.push({
+      quantity,
+      unitPrice: order.extraRevisionPrice,
+      amount,
+      chargeId: charge.id,
+      purchasedAt: new Date()
+    });
+    await order.save();
+
+    await recordOrderEvent(order, 'revisions_purchased', {
+      user: req.user,
+      role: 'buyer',
+      payload: { quantity, amount }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Purchase revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Complete order
 // @route   PATCH /api/orders/:id/complete
 // @access  Private (Client)
@@ -384,43 +716,95 @@ exports.completeOrder = async (req, res) => {
     }
 
     // Check if user is the buyer
-    if (order.buyer.toString() !== req.user._id) {
+    if (getOrderRole(order, req.user) !== 'buyer') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to complete this order'
       });
     }
 
-    if (order.status !== 'delivered') {
-      return res.status(400).json({
+    assertNoMilestones(order);
+
+    // Seller and gig stats are updated by the transition
+    await transitionOrder(order, 'completed', { role: 'buyer', user: req.user });
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Complete order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Tip the seller on a completed order
+// @route   POST /api/orders/:id/tips
+// @access  Private (Client)
+exports.addTip = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const amount = roundMoney(parseFloat(req.body.amount));
+    const { note } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: 'Order must be delivered before completion'
+        message: 'Order not found'
       });
     }
 
-    order.status = 'completed';
-    order.completedDate = new Date();
-
-    // Update seller stats
-    const seller = await User.findById(order.seller);
-    seller.totalOrders += 1;
-    seller.totalEarnings += order.amount;
-    await seller.save();
+    if (getOrderRole(order, req.user) !== 'buyer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to tip on this order'
+      });
+    }
 
-    // Update gig stats
-    const gig = await Gig.findById(order.gig);
-    gig.totalOrders += 1;
-    gig.totalEarnings += order.amount;
-    await gig.save();
+    if (order.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Tips can only be added once the order is completed'
+      });
+    }
 
+    const tip = await payTip(order, amount, note);
     await order.save();
 
-    res.json({
+    // Earnings are derived from the ledger, which now includes the tip
+    await User.findByIdAndUpdate(order.seller, { totalEarnings: await getSellerEarnings(order.seller) });
+    // Hourly contract orders have no gig
+    if (order.gig) {
+      await Gig.findByIdAndUpdate(order.gig, { totalEarnings: await getGigEarnings(order.gig) });
+    }
+
+    await recordOrderEvent(order, 'tipped', {
+      user: req.user,
+      role: 'buyer',
+      payload: { tip: tip._id, amount: tip.amount, note }
+    });
+
+    res.status(201).json({
       success: true,
-      data: order
+      data: tip
     });
   } catch (error) {
-    console.error('Complete order error:', error);
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Add tip error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -428,7 +812,9 @@ exports.completeOrder = async (req, res) => {
   }
 };
 
-// @desc    Cancel order
+// @desc    Cancel an order outright: before the seller accepts, when the
+//          work is overdue (buyer) or as an admin. Otherwise see
+//          cancellationController.requestCancellation.
 // @route   PATCH /api/orders/:id/cancel
 // @access  Private
 exports.cancelOrder = async (req, res) => {
@@ -445,30 +831,24 @@ exports.cancelOrder = async (req, res) => {
     }
 
     // Check authorization
-    if (req.user.role !== 'admin' && 
-        order.buyer.toString() !== req.user._id && 
-        order.seller.toString() !== req.user._id) {
+    const role = getOrderRole(order, req.user);
+    if (!role) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to cancel this order'
       });
     }
 
-    order.status = 'cancelled';
-    order.cancelledDate = new Date();
-    order.cancelledBy = req.user.role === 'admin' ? 'admin' : 
-                       order.buyer.toString() === req.user._id ? 'buyer' : 'seller';
-    if (reason) {
-      order.cancellationReason = reason;
-    }
-
-    await order.save();
+    await transitionOrder(order, 'cancelled', { role, user: req.user, reason });
 
     res.json({
       success: true,
       data: order
     });
   } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
     console.error('Cancel order error:', error);
     res.status(500).json({
       success: false,
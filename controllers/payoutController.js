@@ -0,0 +1,436 @@
+const { validationResult } = require('express-validator');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { sendErrorResponse } = require('../utils/errorResponse');
+const { PayoutError, getMinimumPayout, getSellerBalances, withPayoutLock, sendPayout } = require('../utils/payouts');
+
+// @desc    Get balance for the current freelancer
+// @route   GET /api/payouts/balance
+// @access  Private (Freelancer)
+exports.getBalance = async (req, res) => {
+  try {
+    const balances = await getSellerBalances(req.user._id);
+
+    res.json({
+      success: true,
+      data: balances
+    });
+  } catch (error) {
+    console.error('Get balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get payout history for the current freelancer
+// @route   GET /api/payouts
+// @access  Private (Freelancer)
+exports.getMyPayouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const filter = { seller: req.user._id };
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const payouts = await Payout.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payout.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: payouts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Request a withdrawal
+// @route   POST /api/payouts
+// @access  Private (Freelancer)
+exports.requestPayout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const amount = parseFloat(req.body.amount);
+    const { methodId } = req.body;
+
+    const user = await User.findById(req.user._id);
+    const method = methodId
+      ? user.payoutMethods.id(methodId)
+      : user.payoutMethods.find(m => m.isDefault) || user.payoutMethods[0];
+
+    if (!method) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add a payout method before requesting a withdrawal'
+      });
+    }
+
+    if (amount < getMinimumPayout()) {
+      return res.status(400).json({
+        success: false,
+        message: `Minimum withdrawal is $${getMinimumPayout()}`
+      });
+    }
+
+    // The balance check and the new payout happen under the seller's lock,
+    // so parallel requests cannot withdraw the same money twice
+    const payout = await withPayoutLock(req.user._id, async () => {
+      const balances = await getSellerBalances(req.user._id);
+      if (amount > balances.available) {
+        const error = new PayoutError('Amount exceeds available balance');
+        error.details = { data: balances };
+        throw error;
+      }
+
+      return Payout.create({
+        seller: req.user._id,
+        amount,
+        method: {
+          methodId: method._id,
+          type: method.type,
+          label: method.label,
+          accountHolder: method.accountHolder,
+          bankName: method.bankName,
+          accountLast4: method.accountLast4,
+          email: method.email
+        },
+        status: 'requested',
+        history: [{ status: 'requested', changedBy: req.user._id }]
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: payout
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Request payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get saved payout methods
+// @route   GET /api/payouts/methods
+// @access  Private (Freelancer)
+exports.getPayoutMethods = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('payoutMethods');
+
+    res.json({
+      success: true,
+      data: user.payoutMethods
+    });
+  } catch (error) {
+    console.error('Get payout methods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Save a payout method
+// @route   POST /api/payouts/methods
+// @access  Private (Freelancer)
+exports.addPayoutMethod = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, label, accountHolder, bankName, accountNumber, email, isDefault } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    const makeDefault = isDefault === true || user.payoutMethods.length === 0;
+    if (makeDefault) {
+      user.payoutMethods.forEach(m => { m.isDefault = false; });
+    }
+
+    // Only the last four digits of an account number are kept
+    user.payoutMethods.push({
+      type,
+      label,
+      accountHolder,
+      bankName,
+      accountLast4: accountNumber ? accountNumber.toString().slice(-4) : undefined,
+      email,
+      isDefault: makeDefault
+    });
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      data: user.payoutMethods
+    });
+  } catch (error) {
+    console.error('Add payout method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Make a payout method the default
+// @route   PATCH /api/payouts/methods/:methodId/default
+// @access  Private (Freelancer)
+exports.setDefaultPayoutMethod = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const method = user.payoutMethods.id(req.params.methodId);
+
+    if (!method) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout method not found'
+      });
+    }
+
+    user.payoutMethods.forEach(m => { m.isDefault = m._id.equals(method._id); });
+    await user.save();
+
+    res.json({
+      success: true,
+      data: user.payoutMethods
+    });
+  } catch (error) {
+    console.error('Set default payout method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Remove a payout method
+// @route   DELETE /api/payouts/methods/:methodId
+// @access  Private (Freelancer)
+exports.removePayoutMethod = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const method = user.payoutMethods.id(req.params.methodId);
+
+    if (!method) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout method not found'
+      });
+    }
+
+    const wasDefault = method.isDefault;
+    method.deleteOne();
+    if (wasDefault && user.payoutMethods.length > 0) {
+      user.payoutMethods[0].isDefault = true;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      data: user.payoutMethods
+    });
+  } catch (error) {
+    console.error('Remove payout method error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get all payouts
+// @route   GET /api/admin/payouts
+// @access  Private (Admin)
+exports.getAllPayouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const payouts = await Payout.find(filter)
+      .populate('seller', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payout.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: payouts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get all payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get payout history and balance for a user
+// @route   GET /api/admin/users/:id/payouts
+// @access  Private (Admin)
+exports.getUserPayouts = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name email role payoutMethods');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [payouts, balances] = await Promise.all([
+      Payout.find({ seller: user._id })
+        .populate('history.changedBy', 'name')
+        .sort({ createdAt: -1 }),
+      getSellerBalances(user._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        balances,
+        payouts
+      }
+    });
+  } catch (error) {
+    console.error('Get user payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Admin decisions: which status a payout must be in for each action
+const PAYOUT_ACTIONS = {
+  approve: { from: ['requested'], to: 'approved' },
+  reject: { from: ['requested', 'approved'], to: 'rejected' },
+  paid: { from: ['approved'], to: 'paid' }
+};
+
+const reviewPayout = (action) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason, note } = req.body;
+    const { from, to } = PAYOUT_ACTIONS[action];
+
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    if (!from.includes(payout.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot mark a ${payout.status} payout as ${to}`
+      });
+    }
+
+    if (to === 'paid') {
+      await sendPayout(payout);
+    } else {
+      // Claim the decision so two admins cannot both make it
+      const claimed = await Payout.updateOne(
+        { _id: payout._id, status: payout.status },
+        { $set: { status: to } }
+      );
+      if (claimed.modifiedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'This payout was changed by another request'
+        });
+      }
+      payout.reviewedBy = req.user._id;
+      payout.reviewedAt = new Date();
+    }
+
+    if (to === 'rejected') {
+      payout.rejectionReason = reason;
+    }
+
+    payout.status = to;
+    payout.history.push({ status: to, changedBy: req.user._id, note: reason || note });
+    await payout.save();
+
+    res.json({
+      success: true,
+      data: payout
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error(`Payout ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Approve a payout request
+// @route   PATCH /api/admin/payouts/:id/approve
+// @access  Private (Admin)
+exports.approvePayout = reviewPayout('approve');
+
+// @desc    Reject a payout request
+// @route   PATCH /api/admin/payouts/:id/reject
+// @access  Private (Admin)
+exports.rejectPayout = reviewPayout('reject');
+
+// @desc    Mark a payout as paid
+// @route   PATCH /api/admin/payouts/:id/paid
+// @access  Private (Admin)
+exports.markPayoutPaid = reviewPayout('paid');
@@ -3,6 +3,7 @@ const Review = require('../models/Review');
 const Order = require('../models/Order');
 const Gig = require('../models/Gig');
 const User = require('../models/User');
+const { recordOrderEvent } = require('../utils/orderEvents');
 
 // @desc    Create a review
 // @route   POST /api/reviews
@@ -52,6 +53,10 @@ exports.createReview = async (req, res) => {
     const review = new Review({
       order: orderId,
       gig: order.gig,
+      gigSnapshot: {
+        title: order.gigSnapshot && order.gigSnapshot.title,
+        image: order.gigSnapshot && order.gigSnapshot.image
+      },
       reviewer: req.user.id,
       reviewee: order.seller,
       rating,
@@ -61,6 +66,12 @@ exports.createReview = async (req, res) => {
 
     await review.save();
 
+    await recordOrderEvent(order, 'reviewed', {
+      user: req.user,
+      role: 'buyer',
+      payload: { review: review._id, rating: review.rating }
+    });
+
     await review.populate('reviewer', 'name profilePicture');
     await review.populate('reviewee', 'name profilePicture');
 
@@ -0,0 +1,187 @@
+const { validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const { QUERY_FIELDS } = require('../utils/savedSearches');
+
+// Saved searches one user can keep
+const MAX_SAVED_SEARCHES = 20;
+
+// The search fields given in the request body; null or '' clears a field
+const pickQuery = (body) => QUERY_FIELDS.reduce((query, field) => {
+  if (body[field] !== undefined) {
+    query[field] = body[field] === '' || body[field] === null ? undefined : body[field];
+  }
+  return query;
+}, {});
+
+const hasCriteria = (query) => QUERY_FIELDS.some(field => query[field] !== undefined && query[field] !== null && query[field] !== '');
+
+// @desc    Save a gig search
+// @route   POST /api/saved-searches
+// @access  Private (Client)
+exports.createSavedSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const query = pickQuery(req.body);
+    if (!hasCriteria(query)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A saved search needs at least one search field'
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can keep at most ${MAX_SAVED_SEARCHES} saved searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user._id,
+      name: req.body.name,
+      query,
+      alertsEnabled: req.body.alertsEnabled !== undefined ? req.body.alertsEnabled : true
+    });
+
+    res.status(201).json({
+      success: true,
+      data: savedSearch
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get the current user's saved searches
+// @route   GET /api/saved-searches
+// @access  Private (Client)
+exports.getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: savedSearches
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a saved search
+// @route   GET /api/saved-searches/:id
+// @access  Private (Client)
+exports.getSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: savedSearch
+    });
+  } catch (error) {
+    console.error('Get saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Rename a saved search, change its fields or turn alerts on or off
+// @route   PUT /api/saved-searches/:id
+// @access  Private (Client)
+exports.updateSavedSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    const query = { ...savedSearch.query.toObject(), ...pickQuery(req.body) };
+    if (!hasCriteria(query)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A saved search needs at least one search field'
+      });
+    }
+
+    if (req.body.name !== undefined) savedSearch.name = req.body.name;
+    savedSearch.query = query;
+
+    if (req.body.alertsEnabled !== undefined) {
+      // Alerts turned back on start from now, not from when they were paused
+      if (req.body.alertsEnabled && !savedSearch.alertsEnabled) {
+        savedSearch.lastCheckedAt = new Date();
+      }
+      savedSearch.alertsEnabled = req.body.alertsEnabled;
+    }
+
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      data: savedSearch
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private (Client)
+exports.deleteSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,258 @@
+const { validationResult } = require('express-validator');
+const Subscription = require('../models/Subscription');
+const Gig = require('../models/Gig');
+const { sendErrorResponse } = require('../utils/errorResponse');
+const { priceGigOrder } = require('../utils/orderPricing');
+const { buildQuestionnaire, applyAnswers } = require('../utils/requirements');
+const { SubscriptionError, startSubscription, cancelSubscription } = require('../utils/subscriptions');
+
+// Which side of the subscription the user is on
+const getSubscriptionRole = (subscription, user) => {
+  if (user.role === 'admin') return 'admin';
+  const userId = user._id.toString();
+  const buyerId = subscription.buyer._id ? subscription.buyer._id.toString() : subscription.buyer.toString();
+  const sellerId = subscription.seller._id ? subscription.seller._id.toString() : subscription.seller.toString();
+  if (buyerId === userId) return 'buyer';
+  if (sellerId === userId) return 'seller';
+  return null;
+};
+
+// Load a subscription the user may change as one of the given roles
+const findSubscription = async (req, roles) => {
+  const subscription = await Subscription.findById(req.params.id);
+  if (!subscription) {
+    throw new SubscriptionError('Subscription not found', 404);
+  }
+
+  const role = getSubscriptionRole(subscription, req.user);
+  if (!roles.includes(role)) {
+    throw new SubscriptionError('Not authorized to update this subscription', 403);
+  }
+
+  return { subscription, role };
+};
+
+// @desc    Subscribe to a subscription gig and place the first order
+// @route   POST /api/subscriptions
+// @access  Private (Client)
+exports.createSubscription = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { gigId, packageId, extras, requirements = [], answers } = req.body;
+
+    const gig = await Gig.findById(gigId);
+    if (!gig || gig.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Gig not found'
+      });
+    }
+
+    if (!gig.billingInterval) {
+      return res.status(400).json({
+        success: false,
+        message: 'This gig is not sold as a subscription'
+      });
+    }
+
+    if (gig.seller.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot subscribe to your own gig'
+      });
+    }
+
+    const pricing = priceGigOrder(gig, { packageId, extras });
+    const questionnaire = applyAnswers(buildQuestionnaire(gig), answers);
+
+    const { subscription, order } = await startSubscription({
+      gig,
+      buyer: req.user._id,
+      pricing,
+      requirements,
+      questionnaire
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { subscription, order }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Create subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get subscriptions the current user buys or sells
+// @route   GET /api/subscriptions
+// @access  Private
+exports.getSubscriptions = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filter = { $or: [{ buyer: req.user._id }, { seller: req.user._id }] };
+    if (status) filter.status = status;
+
+    const subscriptions = await Subscription.find(filter)
+      .populate('gig', 'title images')
+      .populate('buyer', 'name profilePicture')
+      .populate('seller', 'name profilePicture')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: subscriptions
+    });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a subscription with its orders
+// @route   GET /api/subscriptions/:id
+// @access  Private (Buyer, Seller or Admin)
+exports.getSubscription = async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id)
+      .populate('gig', 'title images')
+      .populate('buyer', 'name profilePicture')
+      .populate('seller', 'name profilePicture')
+      .populate('orders', 'status amount dueDate createdAt');
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    if (!getSubscriptionRole(subscription, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this subscription'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Pause renewals
+// @route   PATCH /api/subscriptions/:id/pause
+// @access  Private (Buyer)
+exports.pauseSubscription = async (req, res) => {
+  try {
+    const { subscription } = await findSubscription(req, ['buyer']);
+
+    // Conditional, so a renewal or cancellation that got in first wins
+    const paused = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'active' },
+      { $set: { status: 'paused', pausedAt: new Date() } },
+      { new: true }
+    );
+    if (!paused) {
+      throw new SubscriptionError(`Only an active subscription can be paused, this one is ${subscription.status}`, 409);
+    }
+
+    res.json({
+      success: true,
+      data: paused
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Pause subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Resume renewals; a period that ended while paused renews right away
+// @route   PATCH /api/subscriptions/:id/resume
+// @access  Private (Buyer)
+exports.resumeSubscription = async (req, res) => {
+  try {
+    const { subscription } = await findSubscription(req, ['buyer']);
+
+    // The next period starts now rather than back when the pause began
+    const now = new Date();
+    const currentPeriodEnd = subscription.currentPeriodEnd < now ? now : subscription.currentPeriodEnd;
+
+    const resumed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: 'paused' },
+      { $set: { status: 'active', currentPeriodEnd, nextRenewalAt: currentPeriodEnd }, $unset: { pausedAt: 1 } },
+      { new: true }
+    );
+    if (!resumed) {
+      throw new SubscriptionError('Only a paused subscription can be resumed', 409);
+    }
+
+    res.json({
+      success: true,
+      data: resumed
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Resume subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Stop renewals; orders already placed carry on
+// @route   PATCH /api/subscriptions/:id/cancel
+// @access  Private (Buyer or Admin)
+exports.cancelSubscription = async (req, res) => {
+  try {
+    const { subscription, role } = await findSubscription(req, ['buyer', 'admin']);
+
+    const cancelled = await cancelSubscription(subscription, { role, reason: req.body.reason });
+    if (!cancelled) {
+      throw new SubscriptionError('Subscription is already cancelled', 409);
+    }
+
+    res.json({
+      success: true,
+      data: cancelled
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendErrorResponse(res, error);
+    }
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
@@ -0,0 +1,40 @@
+const { registerJob, startScheduler } = require('../utils/scheduler');
+const {
+  markLateOrders,
+  autoCompleteDeliveredOrders,
+  autoCancelUnacceptedOrders,
+  autoCancelUnansweredOrders,
+  escalateUnansweredCancellations
+} = require('./orderJobs');
+const { expireCustomOffers } = require('./messageJobs');
+const { expireBuyerRequests } = require('./requestJobs');
+const { renewSubscriptions } = require('./subscriptionJobs');
+const { reconcilePayouts } = require('./payoutJobs');
+const { alertSavedSearches } = require('./searchJobs');
+
+const MINUTE_MS = 60 * 1000;
+
+const getInterval = () => {
+  const minutes = parseFloat(process.env.JOB_INTERVAL_MINUTES);
+  return (isNaN(minutes) ? 5 : minutes) * MINUTE_MS;
+};
+
+// Register every background job and start running them
+const startJobs = () => {
+  const interval = getInterval();
+
+  registerJob('markLateOrders', interval, markLateOrders);
+  registerJob('autoCompleteDeliveredOrders', interval, autoCompleteDeliveredOrders);
+  registerJob('autoCancelUnacceptedOrders', interval, autoCancelUnacceptedOrders);
+  registerJob('autoCancelUnansweredOrders', interval, autoCancelUnansweredOrders);
+  registerJob('escalateUnansweredCancellations', interval, escalateUnansweredCancellations);
+  registerJob('expireCustomOffers', interval, expireCustomOffers);
+  registerJob('expireBuyerRequests', interval, expireBuyerRequests);
+  registerJob('renewSubscriptions', interval, renewSubscriptions);
+  registerJob('reconcilePayouts', interval, reconcilePayouts);
+  registerJob('alertSavedSearches', interval, alertSavedSearches);
+
+  startScheduler();
+};
+
+module.exports = { startJobs };
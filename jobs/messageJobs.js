@@ -0,0 +1,11 @@
+const { expirePendingOffers } = require('../utils/customOffers');
+
+// Close custom offers nobody answered in time
+const expireCustomOffers = async () => {
+  const result = await expirePendingOffers();
+  return result.modifiedCount;
+};
+
+module.exports = {
+  expireCustomOffers
+};
@@ -0,0 +1,128 @@
+const Order = require('../models/Order');
+const { transitionOrder } = require('../utils/orderStateMachine');
+const { CANCELLATION_REQUEST_STATUSES, escalateCancellation } = require('../utils/cancellations');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const getNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Days a buyer has to accept or reject a delivery before it completes itself
+const getReviewWindowDays = () => getNumber('ORDER_REVIEW_WINDOW_DAYS', 3);
+
+// Hours a seller has to accept a new order before it is cancelled
+const getAcceptWindowHours = () => getNumber('ORDER_ACCEPT_WINDOW_HOURS', 72);
+
+// Hours a buyer has to answer the requirement questions of a paid order
+const getRequirementsWindowHours = () => getNumber('ORDER_REQUIREMENTS_WINDOW_HOURS', 168);
+
+// Run a handler per order so one bad order does not stop the batch
+const forEachOrder = async (orders, handler) => {
+  let processed = 0;
+  for (const order of orders) {
+    try {
+      await handler(order);
+      processed += 1;
+    } catch (error) {
+      console.error(`Order job failed for order ${order._id}:`, error.message);
+    }
+  }
+  return processed;
+};
+
+// Flag active orders that passed their due date
+const markLateOrders = async () => {
+  const now = new Date();
+  const orders = await Order.find({
+    status: { $in: ['accepted', 'in_progress'] },
+    dueDate: { $lt: now },
+    isLate: { $ne: true }
+  });
+
+  return forEachOrder(orders, async (order) => {
+    order.isLate = true;
+    order.lateSince = order.dueDate;
+    order.automaticActions.push({
+      action: 'marked_late',
+      reason: `Not delivered by ${order.dueDate.toISOString()}`
+    });
+    await order.save();
+  });
+};
+
+// Complete deliveries the buyer never responded to, exactly like completeOrder
+const autoCompleteDeliveredOrders = async () => {
+  const cutoff = new Date(Date.now() - getReviewWindowDays() * 24 * HOUR_MS);
+  const orders = await Order.find({
+    status: 'delivered',
+    deliveryDate: { $lt: cutoff }
+  });
+
+  return forEachOrder(orders, async (order) => {
+    order.automaticActions.push({
+      action: 'auto_completed',
+      reason: `No response to the delivery within ${getReviewWindowDays()} day(s)`
+    });
+    await transitionOrder(order, 'completed', { role: 'system' });
+  });
+};
+
+// Cancel and refund orders the seller never accepted
+const autoCancelUnacceptedOrders = async () => {
+  const cutoff = new Date(Date.now() - getAcceptWindowHours() * HOUR_MS);
+  // The window opens once the buyer has submitted requirements
+  const orders = await Order.find({
+    status: 'pending',
+    $or: [
+      { requirementsSubmittedAt: { $lt: cutoff } },
+      { requirementsSubmittedAt: { $exists: false }, createdAt: { $lt: cutoff } }
+    ]
+  });
+
+  return forEachOrder(orders, async (order) => {
+    const reason = `Seller did not accept the order within ${getAcceptWindowHours()} hour(s)`;
+    order.automaticActions.push({ action: 'auto_cancelled', reason });
+    await transitionOrder(order, 'cancelled', { role: 'system', reason });
+  });
+};
+
+// Cancel and refund paid orders whose buyer never answered the requirement questions
+const autoCancelUnansweredOrders = async () => {
+  const cutoff = new Date(Date.now() - getRequirementsWindowHours() * HOUR_MS);
+  const orders = await Order.find({
+    status: 'awaiting_requirements',
+    createdAt: { $lt: cutoff }
+  });
+
+  return forEachOrder(orders, async (order) => {
+    const reason = `Requirements were not submitted within ${getRequirementsWindowHours()} hour(s)`;
+    order.automaticActions.push({ action: 'auto_cancelled', reason });
+    await transitionOrder(order, 'cancelled', { role: 'system', reason });
+  });
+};
+
+// Send cancellation requests nobody answered in time to an admin
+const escalateUnansweredCancellations = async () => {
+  const now = new Date();
+  const orders = await Order.find({
+    status: { $in: CANCELLATION_REQUEST_STATUSES },
+    cancellationRequests: { $elemMatch: { status: 'pending', respondBy: { $lt: now } } }
+  });
+
+  return forEachOrder(orders, async (order) => {
+    const request = order.pendingCancellationRequest;
+    const reason = 'Cancellation request was not answered in time';
+    order.automaticActions.push({ action: 'cancellation_escalated', reason });
+    await escalateCancellation(order, request, reason);
+  });
+};
+
+module.exports = {
+  markLateOrders,
+  autoCompleteDeliveredOrders,
+  autoCancelUnacceptedOrders,
+  autoCancelUnansweredOrders,
+  escalateUnansweredCancellations
+};
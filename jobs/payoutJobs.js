@@ -0,0 +1,28 @@
+const Payout = require('../models/Payout');
+const { PAYOUT_RECOVERY_MS, reconcilePayout } = require('../utils/payouts');
+
+// Finish payouts a failed request left behind: ones stuck in processing and
+// ones paid but missing from the ledger
+const reconcilePayouts = async () => {
+  const cutoff = new Date(Date.now() - PAYOUT_RECOVERY_MS);
+  const payouts = await Payout.find({
+    $or: [
+      { status: 'processing', processingAt: { $lt: cutoff } },
+      { status: 'paid', providerReference: { $exists: true }, bookedAt: { $exists: false }, paidAt: { $lt: cutoff } }
+    ]
+  });
+
+  let reconciled = 0;
+  for (const payout of payouts) {
+    try {
+      if (await reconcilePayout(payout)) reconciled += 1;
+    } catch (error) {
+      console.error(`Payout reconciliation failed for ${payout._id}:`, error.message);
+    }
+  }
+  return reconciled;
+};
+
+module.exports = {
+  reconcilePayouts
+};
@@ -0,0 +1,11 @@
+const { expireOpenRequests } = require('../utils/buyerRequests');
+
+// Stop taking proposals on requests past their expiry
+const expireBuyerRequests = async () => {
+  const result = await expireOpenRequests();
+  return result.modifiedCount;
+};
+
+module.exports = {
+  expireBuyerRequests
+};
@@ -0,0 +1,24 @@
+const SavedSearch = require('../models/SavedSearch');
+const { runSavedSearch } = require('../utils/savedSearches');
+
+// Tell users about gigs that went live since their saved searches last ran
+const alertSavedSearches = async () => {
+  const until = new Date();
+  const searches = SavedSearch.find({ alertsEnabled: true })
+    .populate('user', 'name email emailNotifications isActive')
+    .cursor();
+
+  let alerted = 0;
+  for await (const search of searches) {
+    try {
+      if (await runSavedSearch(search, until) > 0) alerted += 1;
+    } catch (error) {
+      console.error(`Saved search alert failed for ${search._id}:`, error.message);
+    }
+  }
+  return alerted;
+};
+
+module.exports = {
+  alertSavedSearches
+};
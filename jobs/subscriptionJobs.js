@@ -0,0 +1,25 @@
+const Subscription = require('../models/Subscription');
+const { renewSubscription } = require('../utils/subscriptions');
+
+// Charge and place the next order for every subscription that is due,
+// including past-due ones waiting on a retry
+const renewSubscriptions = async () => {
+  const subscriptions = await Subscription.find({
+    status: { $in: ['active', 'past_due'] },
+    nextRenewalAt: { $lte: new Date() }
+  });
+
+  let renewed = 0;
+  for (const subscription of subscriptions) {
+    try {
+      if (await renewSubscription(subscription)) renewed += 1;
+    } catch (error) {
+      console.error(`Subscription renewal failed for ${subscription._id}:`, error.message);
+    }
+  }
+  return renewed;
+};
+
+module.exports = {
+  renewSubscriptions
+};
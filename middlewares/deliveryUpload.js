@@ -0,0 +1,118 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { deliveriesDir } = require('../utils/deliveries');
+
+// Delivery files are kept outside the public uploads folder and are only
+// served through GET /api/orders/:id/deliveries/:deliveryId/files/:fileId
+
+const getMaxFileSize = () => {
+  const megabytes = parseFloat(process.env.DELIVERY_MAX_FILE_SIZE_MB);
+  return (isNaN(megabytes) ? 50 : megabytes) * 1024 * 1024;
+};
+
+const MAX_FILES = 10;
+
+const allowedExtensions = [
+  // Archives
+  '.zip', '.rar', '.7z', '.tar', '.gz',
+  // Documents
+  '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.txt', '.md', '.csv', '.rtf',
+  // Images and design files
+  '.jpg', '.jpeg', '.png', '.webp', '.gif', '.svg', '.psd', '.ai', '.eps', '.fig', '.sketch',
+  // Audio and video
+  '.mp3', '.wav', '.mp4', '.mov', '.webm',
+  // Source files
+  '.html', '.css', '.js', '.jsx', '.ts', '.tsx', '.json', '.py', '.java', '.php', '.rb', '.go', '.sql', '.xml', '.yml', '.yaml'
+];
+
+// Each order gets its own folder
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    // The order id becomes a folder name, so it must be a plain ObjectId
+    if (!/^[a-f0-9]{24}$/i.test(req.params.id)) {
+      return cb(new Error('Invalid order ID'));
+    }
+    const orderDir = path.join(deliveriesDir, req.params.id);
+    fs.mkdir(orderDir, { recursive: true }, (error) => cb(error, orderDir));
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    cb(null, `${uniqueSuffix}-${sanitizedFilename}`);
+  }
+});
+
+// Browsers report inconsistent MIME types for archives and source files,
+// so the extension decides
+const fileFilter = (req, file, cb) => {
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+
+  if (!allowedExtensions.includes(fileExtension)) {
+    return cb(new Error(`Invalid file extension. Allowed extensions: ${allowedExtensions.join(', ')}`), false);
+  }
+
+  cb(null, true);
+};
+
+const deliveryUpload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: getMaxFileSize(),
+    files: MAX_FILES
+  }
+});
+
+const handleDeliveryUploadError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: `File too large. Maximum size is ${getMaxFileSize() / (1024 * 1024)}MB.`
+      });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        success: false,
+        message: `Too many files. Maximum ${MAX_FILES} files allowed.`
+      });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Unexpected file field. Upload delivery files as "files".'
+      });
+    }
+  }
+
+  if (error.message.includes('Invalid file extension') || error.message === 'Invalid order ID') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error('Delivery upload error:', error);
+  res.status(500).json({
+    success: false,
+    message: 'File upload failed.'
+  });
+};
+
+// Remove files multer already stored when the delivery is rejected
+const removeDeliveryFiles = (files = []) => {
+  files.forEach(file => {
+    fs.unlink(file.path, (error) => {
+      if (error && error.code !== 'ENOENT') {
+        console.error('Failed to remove delivery file:', error.message);
+      }
+    });
+  });
+};
+
+module.exports = {
+  deliveryUpload,
+  handleDeliveryUploadError,
+  removeDeliveryFiles
+};
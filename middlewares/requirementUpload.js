@@ -0,0 +1,109 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Files buyers attach to requirement answers. They are uploaded under the
+// question id as the field name and served from /uploads/requirements.
+
+const requirementsDir = path.join(__dirname, '../uploads/requirements');
+if (!fs.existsSync(requirementsDir)) {
+  fs.mkdirSync(requirementsDir, { recursive: true });
+}
+
+const getMaxFileSize = () => {
+  const megabytes = parseFloat(process.env.REQUIREMENT_MAX_FILE_SIZE_MB);
+  return (isNaN(megabytes) ? 25 : megabytes) * 1024 * 1024;
+};
+
+const MAX_FILES = 10;
+
+// No markup or scripts: these files are served from a public folder
+const allowedExtensions = [
+  // Archives
+  '.zip', '.rar', '.7z', '.tar', '.gz',
+  // Documents
+  '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.txt', '.md', '.csv', '.rtf', '.odt', '.ods',
+  // Images and design files
+  '.jpg', '.jpeg', '.png', '.webp', '.gif', '.psd', '.ai', '.eps', '.fig', '.sketch',
+  // Audio and video
+  '.mp3', '.wav', '.mp4', '.mov', '.webm'
+];
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, requirementsDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    cb(null, `${req.user._id}-${uniqueSuffix}-${sanitizedFilename}`);
+  }
+});
+
+// Browsers report inconsistent MIME types for archives and documents, so the
+// extension decides
+const fileFilter = (req, file, cb) => {
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+
+  if (!allowedExtensions.includes(fileExtension)) {
+    return cb(new Error(`Invalid file extension. Allowed extensions: ${allowedExtensions.join(', ')}`), false);
+  }
+
+  cb(null, true);
+};
+
+const requirementUpload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: getMaxFileSize(),
+    files: MAX_FILES
+  }
+});
+
+const handleRequirementUploadError = (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: `File too large. Maximum size is ${getMaxFileSize() / (1024 * 1024)}MB.`
+      });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        success: false,
+        message: `Too many files. Maximum ${MAX_FILES} files allowed.`
+      });
+    }
+  }
+
+  if (error.message.includes('Invalid file extension')) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error('Requirement upload error:', error);
+  res.status(500).json({
+    success: false,
+    message: 'File upload failed.'
+  });
+};
+
+// Remove files multer already stored when the answers are rejected
+const removeRequirementFiles = (files = []) => {
+  files.forEach(file => {
+    fs.unlink(file.path, (error) => {
+      if (error && error.code !== 'ENOENT') {
+        console.error('Failed to remove requirement file:', error.message);
+      }
+    });
+  });
+};
+
+module.exports = {
+  requirementUpload,
+  handleRequirementUploadError,
+  removeRequirementFiles
+};
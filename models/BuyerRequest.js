@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Gig = require('./Gig');
+
+// Requests use the same categories sellers list their gigs under
+const CATEGORIES = Gig.schema.path('category').enumValues;
+
+const buyerRequestSchema = new mongoose.Schema({
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Request title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Request description is required'],
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: CATEGORIES
+  },
+  subcategory: {
+    type: String,
+    trim: true
+  },
+  budget: {
+    min: {
+      type: Number,
+      required: true,
+      min: 5
+    },
+    max: {
+      type: Number,
+      required: true,
+      min: 5
+    }
+  },
+  // When the buyer needs the work delivered
+  deadline: {
+    type: Date,
+    required: true
+  },
+  // When the request stops taking proposals
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'fulfilled', 'expired', 'removed'],
+    default: 'open'
+  },
+  proposalCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedProposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Set when an admin takes the request down
+  moderation: {
+    reason: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+buyerRequestSchema.pre('validate', function(next) {
+  if (this.budget && this.budget.max < this.budget.min) {
+    this.invalidate('budget.max', 'Maximum budget must not be less than the minimum');
+  }
+  next();
+});
+
+buyerRequestSchema.index({ status: 1, category: 1, createdAt: -1 });
+buyerRequestSchema.index({ buyer: 1, createdAt: -1 });
+buyerRequestSchema.index({ status: 1, expiresAt: 1 });
+
+buyerRequestSchema.statics.CATEGORIES = CATEGORIES;
+
+module.exports = mongoose.model('BuyerRequest', buyerRequestSchema);
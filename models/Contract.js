@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// An hourly engagement between a client and a freelancer. The freelancer
+// logs time into weekly timesheets; each week the client approves is billed
+// as its own order, see utils/contracts.js.
+const contractSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  // Agreed when the contract is offered; defaults to the freelancer's hourlyRate
+  hourlyRate: {
+    type: Number,
+    required: true,
+    min: 5
+  },
+  // Most hours the freelancer can bill in one week
+  weeklyHourCap: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 80
+  },
+  // offered:  waiting for the freelancer to accept
+  // active:   time can be logged
+  // declined: the freelancer turned the offer down
+  // ended:    no more time can be logged; open weeks can still be billed
+  status: {
+    type: String,
+    enum: ['offered', 'active', 'declined', 'ended'],
+    default: 'offered'
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  acceptedAt: Date,
+  declinedAt: Date,
+  endedAt: Date,
+  endedBy: {
+    type: String,
+    enum: ['client', 'freelancer', 'admin']
+  },
+  endReason: {
+    type: String,
+    maxlength: 500
+  },
+  // Running totals of approved weeks
+  totalHours: {
+    type: Number,
+    default: 0
+  },
+  totalBilled: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+contractSchema.index({ client: 1, status: 1 });
+contractSchema.index({ freelancer: 1, status: 1 });
+
+module.exports = mongoose.model('Contract', contractSchema);
@@ -26,6 +26,10 @@ const conversationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Gig'
   },
+  contract: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract'
+  },
   status: {
     type: String,
     enum: ['active', 'archived', 'blocked'],
@@ -47,5 +51,6 @@ conversationSchema.index({ participants: 1 });
 conversationSchema.index({ lastMessageAt: -1 });
 conversationSchema.index({ order: 1 });
 conversationSchema.index({ gig: 1 });
+conversationSchema.index({ contract: 1 });
 
 module.exports = mongoose.model('Conversation', conversationSchema); 
\ No newline at end of file
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = {
+  filename: String,
+  // Name on disk under private/disputes/<orderId>; see utils/disputes.js
+  storedName: String,
+  url: String,
+  fileType: String,
+  fileSize: Number
+};
+
+const disputeSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedByRole: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  evidence: [attachmentSchema],
+  // Order status when the dispute was opened
+  previousStatus: {
+    type: String
+  },
+  // Set when the dispute came from a declined or unanswered cancellation request
+  cancellationRequest: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  statements: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['buyer', 'seller', 'admin']
+    },
+    content: {
+      type: String,
+      required: true,
+      maxlength: 2000
+    },
+    attachments: [attachmentSchema],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['full_refund', 'partial_refund', 'release_to_seller']
+    },
+    refundAmount: Number,
+    note: String,
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+disputeSchema.index({ order: 1 });
+disputeSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
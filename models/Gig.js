@@ -1,5 +1,111 @@
 const mongoose = require('mongoose');
 
+const packageSchema = new mongoose.Schema({
+  tier: {
+    type: String,
+    enum: ['basic', 'standard', 'premium'],
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    maxlength: 300
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 5
+  },
+  deliveryTime: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 30
+  },
+  revisions: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  },
+  features: [{
+    type: String,
+    trim: true
+  }]
+});
+
+// Optional add-ons a buyer can pick at checkout
+const extraSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  description: {
+    type: String,
+    maxlength: 300
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Negative for faster delivery
+  additionalDays: {
+    type: Number,
+    default: 0,
+    min: -29,
+    max: 30
+  },
+  additionalRevisions: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  }
+});
+
+// A question the buyer answers at checkout before work can start
+const questionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300
+  },
+  type: {
+    type: String,
+    enum: ['text', 'multiple_choice', 'file', 'url'],
+    default: 'text'
+  },
+  // Only used by multiple_choice questions
+  options: [{
+    type: String,
+    trim: true
+  }],
+  allowMultiple: {
+    type: Boolean,
+    default: false
+  },
+  required: {
+    type: Boolean,
+    default: true
+  }
+});
+
+questionSchema.pre('validate', function(next) {
+  if (this.type === 'multiple_choice' && this.options.length < 2) {
+    this.invalidate('options', 'Multiple choice questions need at least two options');
+  }
+  next();
+});
+
 const gigSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -49,6 +155,40 @@ const gigSchema = new mongoose.Schema({
     min: 0,
     max: 10
   },
+  // What the buyer pays for each revision beyond the included ones;
+  // leave empty to not sell extra revisions
+  extraRevisionPrice: {
+    type: Number,
+    min: 1
+  },
+  // Set for retainers: buying starts a subscription that places a new order
+  // at this price every period. Leave empty for one-off gigs.
+  billingInterval: {
+    type: String,
+    enum: ['week', 'month']
+  },
+  // Optional Basic / Standard / Premium tiers. When present, price,
+  // deliveryTime and revisions above mirror the cheapest package.
+  packages: {
+    type: [packageSchema],
+    validate: [
+      {
+        validator: packages => packages.length <= 3,
+        message: 'A gig can have at most three packages'
+      },
+      {
+        validator: packages => new Set(packages.map(p => p.tier)).size === packages.length,
+        message: 'Each package tier can only be used once'
+      }
+    ]
+  },
+  extras: {
+    type: [extraSchema],
+    validate: {
+      validator: extras => extras.length <= 10,
+      message: 'A gig can have at most ten extras'
+    }
+  },
   images: [{
     url: {
       type: String
@@ -82,6 +222,20 @@ const gigSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Copy of the seller's profile skills so search can match them;
+  // kept in sync by utils/gigSearch.js
+  sellerSkills: [{
+    type: String,
+    trim: true
+  }],
+  // Typed questions answered at checkout; see utils/requirements.js
+  questionnaire: {
+    type: [questionSchema],
+    validate: {
+      validator: questions => questions.length <= 20,
+      message: 'A gig can have at most twenty questions'
+    }
+  },
   status: {
     type: String,
     enum: ['draft', 'pending', 'active', 'paused', 'rejected'],
@@ -145,6 +299,10 @@ const gigSchema = new mongoose.Schema({
   // Analytics
   lastViewedAt: {
     type: Date
+  },
+  // When the gig last went live; saved search alerts pick up gigs from here
+  activatedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -170,6 +328,26 @@ gigSchema.pre('save', function(next) {
   next();
 });
 
+gigSchema.pre('save', function(next) {
+  if (this.isModified('status') && this.status === 'active') {
+    this.activatedAt = new Date();
+  }
+  next();
+});
+
+// Keep the top-level pricing in line with the cheapest package so price and
+// delivery filters keep working. Runs before validation so a gig can be
+// created from packages alone.
+gigSchema.pre('validate', function(next) {
+  if (this.packages && this.packages.length > 0) {
+    const cheapest = this.packages.reduce((min, pkg) => (pkg.price < min.price ? pkg : min));
+    this.price = cheapest.price;
+    this.deliveryTime = cheapest.deliveryTime;
+    this.revisions = cheapest.revisions;
+  }
+  next();
+});
+
 // Virtual for primary image
 gigSchema.virtual('primaryImage').get(function() {
   if (!this.images || !Array.isArray(this.images)) {
@@ -233,8 +411,15 @@ gigSchema.methods.removeImage = function(imageIndex) {
 // Indexes for better performance
 gigSchema.index({ status: 1, category: 1 });
 gigSchema.index({ seller: 1, status: 1 });
-// Temporarily disable text index to debug
-// gigSchema.index({ title: 'text', description: 'text', tags: 'text' });
+gigSchema.index({ status: 1, activatedAt: 1 });
+// Full-text search, see utils/gigSearch.js for how the score is blended
+gigSchema.index(
+  { title: 'text', tags: 'text', sellerSkills: 'text', description: 'text' },
+  {
+    name: 'gig_text_search',
+    weights: { title: 10, tags: 6, sellerSkills: 3, description: 1 }
+  }
+);
 // Slug index automatically created by unique: true in schema
 gigSchema.index({ featured: 1, status: 1 });
 gigSchema.index({ rating: -1, totalOrders: -1 });
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const partySchema = {
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: String,
+  email: String,
+  company: String,
+  addressLine1: String,
+  addressLine2: String,
+  city: String,
+  state: String,
+  postalCode: String,
+  country: String,
+  taxId: String
+};
+
+// A numbered invoice for what the buyer paid on an order. Amounts are copied
+// when it is issued; when money moves on the order later, the invoice is
+// voided and replaced the next time it is requested.
+const invoiceSchema = new mongoose.Schema({
+  // Missing only for the moment between claiming the invoice and numbering it
+  number: {
+    type: String
+  },
+  sequence: {
+    type: Number
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'void'],
+    default: 'issued'
+  },
+  buyer: partySchema,
+  seller: partySchema,
+  gigSnapshot: {
+    title: String,
+    category: String,
+    subcategory: String,
+    packageName: String,
+    image: String
+  },
+  lineItems: [{
+    type: {
+      type: String,
+      enum: ['base', 'extra', 'charge', 'tip', 'refund'],
+      required: true
+    },
+    description: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    unitPrice: Number,
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // Prices are tax-inclusive: total = subtotal, of which `tax` is tax
+  subtotal: Number,
+  taxPercent: Number,
+  tax: Number,
+  total: Number,
+  // Kept by the platform out of the seller's share
+  platformFee: Number,
+  // The order's payments it was built from; see getBilledState in utils/invoices.js
+  billedState: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: String,
+  // Reissues point at the invoice they replace and the other way round
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  }
+}, {
+  timestamps: true
+});
+
+// At most one live invoice per order; voided ones stay for the record
+invoiceSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { status: 'issued' } });
+invoiceSchema.index({ number: 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ status: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
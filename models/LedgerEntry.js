@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Each entry moves `amount` out of `creditAccount` and into `debitAccount`,
+// so every posting is balanced by construction. Accounts are plain strings:
+// 'clearing', 'escrow', 'platform', 'payouts', 'buyer:<userId>' and
+// 'seller:<userId>'.
+const ledgerEntrySchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['buyer_charge', 'escrow_hold', 'platform_fee', 'seller_payout', 'tip', 'tip_fee', 'refund', 'withdrawal'],
+    required: true
+  },
+  debitAccount: {
+    type: String,
+    required: true
+  },
+  creditAccount: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  gig: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig'
+  },
+  // Buyer or seller the entry belongs to
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  provider: {
+    type: String
+  },
+  providerReference: {
+    type: String
+  },
+  description: {
+    type: String
+  },
+  // Seller payouts only count towards the withdrawable balance after clearance
+  availableAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// The ledger is append-only
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany'], function(next) {
+  next(new Error('Ledger entries are immutable'));
+});
+
+// Net amount that has flowed into an account
+ledgerEntrySchema.statics.getBalance = async function(account, match = {}) {
+  const [result] = await this.aggregate([
+    { $match: { ...match, $or: [{ debitAccount: account }, { creditAccount: account }] } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [{ $eq: ['$debitAccount', account] }, '$amount', { $multiply: ['$amount', -1] }]
+          }
+        }
+      }
+    }
+  ]);
+  return result ? Math.round(result.balance * 100) / 100 : 0;
+};
+
+// Indexes for better performance
+ledgerEntrySchema.index({ transactionId: 1 });
+ledgerEntrySchema.index({ order: 1, createdAt: 1 });
+ledgerEntrySchema.index({ debitAccount: 1, type: 1 });
+ledgerEntrySchema.index({ creditAccount: 1, type: 1 });
+ledgerEntrySchema.index({ gig: 1, type: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -18,7 +18,7 @@ const messageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'file', 'order_update'],
+    enum: ['text', 'image', 'file', 'order_update', 'custom_offer', 'contract_update'],
     default: 'text'
   },
   attachments: [{
@@ -27,6 +27,61 @@ const messageSchema = new mongoose.Schema({
     fileType: String,
     fileSize: Number
   }],
+  // Tailored quote from the seller, only set on custom_offer messages
+  offer: {
+    gig: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Gig'
+    },
+    description: {
+      type: String,
+      maxlength: 2000
+    },
+    price: {
+      type: Number,
+      min: 5
+    },
+    deliveryDays: {
+      type: Number,
+      min: 1,
+      max: 90
+    },
+    revisions: {
+      type: Number,
+      min: 0,
+      max: 10
+    },
+    expiresAt: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'expired', 'withdrawn']
+    },
+    respondedAt: Date,
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }
+  },
+  // What an order_update message refers to
+  orderUpdate: {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    extensionRequest: mongoose.Schema.Types.ObjectId,
+    cancellationRequest: mongoose.Schema.Types.ObjectId
+  },
+  // What a contract_update message refers to
+  contractUpdate: {
+    contract: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contract'
+    },
+    timesheet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timesheet'
+    }
+  },
   read: {
     type: Boolean,
     default: false
@@ -59,5 +114,6 @@ const messageSchema = new mongoose.Schema({
 messageSchema.index({ conversation: 1, createdAt: -1 });
 messageSchema.index({ sender: 1 });
 messageSchema.index({ read: 1 });
+messageSchema.index({ 'offer.status': 1, 'offer.expiresAt': 1 });
 
 module.exports = mongoose.model('Message', messageSchema); 
\ No newline at end of file
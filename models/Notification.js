@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// An in-app notification. Some are also emailed, see utils/notifications.js.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['saved_search_match'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    maxlength: 2000
+  },
+  // Where the notification leads in the client app
+  link: String,
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch'
+  },
+  gigs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig'
+  }],
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  emailedAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,10 +1,11 @@
 const mongoose = require('mongoose');
 
 const orderSchema = new mongoose.Schema({
+  // Hourly contract orders bill a timesheet and have no gig
   gig: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Gig',
-    required: true
+    required: function() { return this.source !== 'contract'; }
   },
   buyer: {
     type: mongoose.Schema.Types.ObjectId,
@@ -21,15 +22,107 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: 5
   },
+  // How the order was placed
+  source: {
+    type: String,
+    enum: ['gig', 'custom_offer', 'buyer_request', 'subscription', 'contract'],
+    default: 'gig'
+  },
+  customOffer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  buyerRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BuyerRequest'
+  },
+  proposal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal'
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  contract: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract'
+  },
+  timesheet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Timesheet'
+  },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'in_progress', 'delivered', 'completed', 'cancelled', 'disputed'],
+    enum: ['awaiting_requirements', 'pending', 'accepted', 'in_progress', 'delivered', 'completed', 'cancelled', 'disputed'],
     default: 'pending'
   },
   requirements: {
     type: [String],
     required: true
   },
+  // The gig's questions as they were at checkout, with the buyer's answers
+  questionnaire: [{
+    questionId: mongoose.Schema.Types.ObjectId,
+    question: String,
+    type: {
+      type: String,
+      enum: ['text', 'multiple_choice', 'file', 'url']
+    },
+    options: [String],
+    allowMultiple: Boolean,
+    required: Boolean,
+    answer: String,
+    choices: [String],
+    file: {
+      filename: String,
+      url: String,
+      fileType: String,
+      fileSize: Number
+    },
+    answeredAt: Date
+  }],
+  requirementsSubmittedAt: {
+    type: Date
+  },
+  // Escrow state; money movements themselves live in the ledger
+  payment: {
+    provider: String,
+    chargeId: String,
+    status: {
+      type: String,
+      enum: ['unpaid', 'held', 'released', 'refunded', 'partially_refunded'],
+      default: 'unpaid'
+    },
+    heldAmount: {
+      type: Number,
+      default: 0
+    },
+    releasedAmount: {
+      type: Number,
+      default: 0
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    platformFee: {
+      type: Number,
+      default: 0
+    },
+    paidAt: Date,
+    // Charges made after checkout, such as extra revisions
+    additionalCharges: [{
+      chargeId: String,
+      amount: Number,
+      refundedAmount: {
+        type: Number,
+        default: 0
+      },
+      description: String,
+      paidAt: Date
+    }]
+  },
   deliveryFiles: [{
     filename: String,
     url: String,
@@ -41,6 +134,106 @@ const orderSchema = new mongoose.Schema({
   deliveryMessage: {
     type: String
   },
+  // Every delivery attempt, oldest first. Files live in private storage and
+  // are downloaded through the orders API.
+  deliveries: [{
+    version: {
+      type: Number,
+      required: true
+    },
+    milestone: mongoose.Schema.Types.ObjectId,
+    message: String,
+    files: [{
+      filename: String,
+      storedName: String,
+      fileType: String,
+      fileSize: Number
+    }],
+    deliveredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deliveredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // The gig as it was at purchase time; order history reads from this so it
+  // stays correct after the seller edits or deletes the gig
+  gigSnapshot: {
+    title: { type: String, immutable: true },
+    category: { type: String, immutable: true },
+    subcategory: { type: String, immutable: true },
+    price: { type: Number, immutable: true },
+    deliveryTime: { type: Number, immutable: true },
+    revisions: { type: Number, immutable: true },
+    image: { type: String, immutable: true },
+    slug: { type: String, immutable: true }
+  },
+  // Package chosen at checkout, copied so later gig edits do not change it
+  package: {
+    packageId: mongoose.Schema.Types.ObjectId,
+    tier: String,
+    name: String,
+    price: Number,
+    deliveryTime: Number,
+    revisions: Number,
+    features: [String]
+  },
+  // Extras bought with the order, priced as they were at checkout
+  extras: [{
+    extraId: mongoose.Schema.Types.ObjectId,
+    title: String,
+    price: Number,
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    additionalDays: Number,
+    additionalRevisions: Number
+  }],
+  // Days the seller has to deliver once the order is accepted
+  deliveryDays: {
+    type: Number,
+    min: 1
+  },
+  revisionsAllowed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Price of one more revision, copied from the gig at checkout
+  extraRevisionPrice: {
+    type: Number,
+    min: 1
+  },
+  revisionPurchases: [{
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unitPrice: Number,
+    amount: Number,
+    chargeId: String,
+    purchasedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  acceptedDate: {
+    type: Date
+  },
+  dueDate: {
+    type: Date
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  lateSince: {
+    type: Date
+  },
   deliveryDate: {
     type: Date
   },
@@ -52,11 +245,20 @@ const orderSchema = new mongoose.Schema({
   },
   cancelledBy: {
     type: String,
-    enum: ['buyer', 'seller', 'admin']
+    enum: ['buyer', 'seller', 'admin', 'system']
   },
   cancellationReason: {
     type: String
   },
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
+  disputedDate: {
+    type: Date
+  },
+  // Each request points at the delivery it asks to change and, once
+  // answered, the delivery that resolved it
   revisionRequests: [{
     message: String,
     requestedAt: {
@@ -67,6 +269,67 @@ const orderSchema = new mongoose.Schema({
       type: String,
       enum: ['pending', 'completed'],
       default: 'pending'
+    },
+    delivery: mongoose.Schema.Types.ObjectId,
+    resolvedBy: mongoose.Schema.Types.ObjectId,
+    resolvedAt: Date
+  }],
+  // Large orders can be split into milestones that are delivered, reviewed
+  // and paid out one at a time; the order completes with the last one
+  milestones: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    description: {
+      type: String,
+      maxlength: 1000
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 5
+    },
+    dueDate: {
+      type: Date,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'in_progress', 'delivered', 'approved', 'cancelled'],
+      default: 'pending'
+    },
+    deliveryMessage: String,
+    deliveryFiles: [{
+      filename: String,
+      url: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    deliveredAt: Date,
+    revisionRequests: [{
+      message: String,
+      requestedAt: {
+        type: Date,
+        default: Date.now
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'completed'],
+        default: 'pending'
+      },
+      delivery: mongoose.Schema.Types.ObjectId,
+      resolvedBy: mongoose.Schema.Types.ObjectId,
+      resolvedAt: Date
+    }],
+    approvedAt: Date,
+    releasedAmount: {
+      type: Number,
+      default: 0
     }
   }],
   messages: [{
@@ -88,6 +351,134 @@ const orderSchema = new mongoose.Schema({
       default: false
     }
   }],
+  // Proposed changes to the deadline and price; either side proposes, the
+  // other accepts or declines. Accepted entries keep the previous values.
+  extensionRequests: [{
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    requestedByRole: {
+      type: String,
+      enum: ['buyer', 'seller'],
+      required: true
+    },
+    newDueDate: {
+      type: Date,
+      required: true
+    },
+    priceChange: {
+      type: Number,
+      default: 0
+    },
+    reason: {
+      type: String,
+      maxlength: 1000
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'withdrawn'],
+      default: 'pending'
+    },
+    previousDueDate: Date,
+    previousAmount: Number,
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Cancelling work that has started needs both sides. The other party has
+  // until respondBy; a declined or unanswered request goes to an admin as a
+  // dispute. refundAmount is what the buyer gets back, the rest is released.
+  cancellationRequests: [{
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    requestedByRole: {
+      type: String,
+      enum: ['buyer', 'seller'],
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true,
+      maxlength: 1000
+    },
+    refundAmount: {
+      type: Number,
+      min: 0
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'withdrawn', 'escalated'],
+      default: 'pending'
+    },
+    respondBy: {
+      type: Date,
+      required: true
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    dispute: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dispute'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Actions taken by background jobs rather than a user
+  automaticActions: [{
+    action: {
+      type: String,
+      enum: ['marked_late', 'auto_completed', 'auto_cancelled', 'cancellation_escalated'],
+      required: true
+    },
+    reason: String,
+    performedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Extra payments from the buyer once the order is completed. Paid straight
+  // to the seller, minus the tip fee, without going through escrow.
+  tips: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    platformFee: {
+      type: Number,
+      default: 0
+    },
+    sellerAmount: Number,
+    note: {
+      type: String,
+      maxlength: 500
+    },
+    chargeId: String,
+    tippedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   rating: {
     type: Number,
     min: 1,
@@ -104,10 +495,36 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Revisions count across the whole order, milestones included
+orderSchema.virtual('revisionsUsed').get(function() {
+  const milestoneRevisions = (this.milestones || [])
+    .reduce((sum, milestone) => sum + milestone.revisionRequests.length, 0);
+  return (this.revisionRequests || []).length + milestoneRevisions;
+});
+
+orderSchema.virtual('revisionsRemaining').get(function() {
+  const purchased = (this.revisionPurchases || []).reduce((sum, purchase) => sum + purchase.quantity, 0);
+  return Math.max((this.revisionsAllowed || 0) + purchased - this.revisionsUsed, 0);
+});
+
+orderSchema.virtual('pendingExtensionRequest').get(function() {
+  return (this.extensionRequests || []).find(request => request.status === 'pending') || null;
+});
+
+orderSchema.virtual('pendingCancellationRequest').get(function() {
+  return (this.cancellationRequests || []).find(request => request.status === 'pending') || null;
+});
+
 // Indexes for better performance
 orderSchema.index({ buyer: 1, status: 1 });
 orderSchema.index({ seller: 1, status: 1 });
 orderSchema.index({ gig: 1, status: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, dueDate: 1 });
+orderSchema.index({ status: 1, deliveryDate: 1 });
+orderSchema.index({ 'cancellationRequests.status': 1, 'cancellationRequests.respondBy': 1 });
+
+orderSchema.set('toJSON', { virtuals: true });
+orderSchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('Order', orderSchema); 
\ No newline at end of file
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'created',
+  'requirements_submitted',
+  'accepted',
+  'started',
+  'delivered',
+  'revision_requested',
+  'revisions_purchased',
+  'milestone_delivered',
+  'milestone_approved',
+  'extension_requested',
+  'extended',
+  'extension_declined',
+  'extension_withdrawn',
+  'cancellation_requested',
+  'cancellation_declined',
+  'cancellation_withdrawn',
+  'cancelled',
+  'completed',
+  'disputed',
+  'reviewed',
+  'tipped'
+];
+
+// One entry per thing that happened to an order, oldest first. Written
+// alongside the order changes and never edited afterwards.
+const orderEventSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  // Empty for events raised by background jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin', 'system'],
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// The timeline is append-only
+orderEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Order events are immutable'));
+  }
+  next();
+});
+
+orderEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany'], function(next) {
+  next(new Error('Order events are immutable'));
+});
+
+orderEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+orderEventSchema.index({ order: 1, createdAt: 1 });
+
+module.exports = mongoose.model('OrderEvent', orderEventSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // Copy of the payout method at request time
+  method: {
+    methodId: mongoose.Schema.Types.ObjectId,
+    type: {
+      type: String,
+      enum: ['bank_transfer', 'paypal']
+    },
+    label: String,
+    accountHolder: String,
+    bankName: String,
+    accountLast4: String,
+    email: String
+  },
+  // processing: being sent through the payment provider
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'processing', 'rejected', 'paid'],
+    default: 'requested'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String
+  },
+  // When it was last handed to the payment provider
+  processingAt: {
+    type: Date
+  },
+  paidAt: {
+    type: Date
+  },
+  providerReference: {
+    type: String
+  },
+  // When the withdrawal was written to the ledger
+  bookedAt: {
+    type: Date
+  },
+  history: [{
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+payoutSchema.index({ seller: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
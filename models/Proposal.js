@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const proposalSchema = new mongoose.Schema({
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BuyerRequest',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The seller's gig the work will be ordered under
+  gig: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig',
+    required: true
+  },
+  coverLetter: {
+    type: String,
+    required: [true, 'Cover letter is required'],
+    maxlength: [1500, 'Cover letter cannot exceed 1500 characters']
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 5
+  },
+  deliveryDays: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 90
+  },
+  revisions: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'shortlisted', 'accepted', 'rejected', 'withdrawn'],
+    default: 'submitted'
+  },
+  respondedAt: {
+    type: Date
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true
+});
+
+// One proposal per seller per request
+proposalSchema.index({ request: 1, seller: 1 }, { unique: true });
+proposalSchema.index({ request: 1, status: 1 });
+proposalSchema.index({ seller: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Proposal', proposalSchema);
@@ -11,6 +11,11 @@ const reviewSchema = new mongoose.Schema({
     ref: 'Gig',
     required: true
   },
+  // Copied from the order so the review still shows what was bought
+  gigSnapshot: {
+    title: String,
+    image: String
+  },
   reviewer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
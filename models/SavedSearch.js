@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A gig search a user keeps to be told about new gigs matching it. The query
+// takes the same fields as GET /api/gigs/search; see jobs/searchJobs.js for
+// the alerts.
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  query: {
+    q: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    category: String,
+    subcategory: String,
+    minPrice: {
+      type: Number,
+      min: 0
+    },
+    maxPrice: {
+      type: Number,
+      min: 0
+    },
+    rating: {
+      type: Number,
+      min: 0,
+      max: 5
+    },
+    deliveryTime: {
+      type: Number,
+      min: 1
+    }
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Gigs that went live after this are new to the user
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastMatchedAt: Date,
+  totalMatches: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, lastCheckedAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Longest prefix stored for autocomplete; longer queries are narrowed in code
+const MAX_PREFIX_LENGTH = 20;
+
+// A term offered while typing in gig search. Terms from gigs (titles, tags,
+// subcategories) count the active gigs using them; past queries count how
+// often they were searched. See utils/searchSuggestions.js.
+const searchSuggestionSchema = new mongoose.Schema({
+  // Lowercased, single spaced
+  term: {
+    type: String,
+    required: true
+  },
+  // As first seen, for display
+  display: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['title', 'tag', 'subcategory', 'query'],
+    required: true
+  },
+  // Every prefix of the term and of each word in it, so a keystroke is a
+  // single index lookup
+  prefixes: [String],
+  length: {
+    type: Number,
+    required: true
+  },
+  wordCount: {
+    type: Number,
+    required: true
+  },
+  gigCount: {
+    type: Number,
+    default: 0
+  },
+  searchCount: {
+    type: Number,
+    default: 0
+  },
+  // gigCount + searchCount; suggestions are ranked by it
+  weight: {
+    type: Number,
+    default: 0
+  },
+  lastSearchedAt: Date
+}, {
+  timestamps: true
+});
+
+// Fields that only depend on the term, for inserts and upserts
+searchSuggestionSchema.statics.describeTerm = function(term) {
+  const prefixes = new Set();
+  const addPrefixes = (text) => {
+    for (let length = 1; length <= Math.min(text.length, MAX_PREFIX_LENGTH); length++) {
+      prefixes.add(text.slice(0, length));
+    }
+  };
+
+  addPrefixes(term);
+  let index = term.indexOf(' ');
+  while (index !== -1) {
+    addPrefixes(term.slice(index + 1));
+    index = term.indexOf(' ', index + 1);
+  }
+
+  return {
+    prefixes: [...prefixes],
+    length: term.length,
+    wordCount: term.split(' ').length
+  };
+};
+
+searchSuggestionSchema.statics.MAX_PREFIX_LENGTH = MAX_PREFIX_LENGTH;
+
+searchSuggestionSchema.index({ term: 1, kind: 1 }, { unique: true });
+searchSuggestionSchema.index({ prefixes: 1, weight: -1 });
+searchSuggestionSchema.index({ length: 1, weight: -1 });
+
+module.exports = mongoose.model('SearchSuggestion', searchSuggestionSchema);
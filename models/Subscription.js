@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// A recurring purchase of a subscription gig. Every billing period the
+// renewal job charges the buyer and places a new order through the normal
+// order pipeline, at the price agreed when the buyer subscribed.
+const subscriptionSchema = new mongoose.Schema({
+  gig: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gig',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  interval: {
+    type: String,
+    enum: ['week', 'month'],
+    required: true
+  },
+  // What each period's order is priced at and includes
+  amount: {
+    type: Number,
+    required: true,
+    min: 5
+  },
+  deliveryDays: Number,
+  revisions: Number,
+  package: {
+    packageId: mongoose.Schema.Types.ObjectId,
+    tier: String,
+    name: String,
+    price: Number,
+    deliveryTime: Number,
+    revisions: Number,
+    features: [String]
+  },
+  extras: [{
+    extraId: mongoose.Schema.Types.ObjectId,
+    title: String,
+    price: Number,
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    additionalDays: Number,
+    additionalRevisions: Number
+  }],
+  requirements: [String],
+  // active:   renews at nextRenewalAt
+  // past_due: the last renewal failed and is retried until graceUntil
+  // paused:   no renewals until the buyer resumes
+  // cancelled: no more renewals; orders already placed carry on
+  status: {
+    type: String,
+    enum: ['active', 'past_due', 'paused', 'cancelled'],
+    default: 'active'
+  },
+  currentPeriodStart: {
+    type: Date,
+    required: true
+  },
+  currentPeriodEnd: {
+    type: Date,
+    required: true
+  },
+  nextRenewalAt: {
+    type: Date
+  },
+  periodCount: {
+    type: Number,
+    default: 1
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailureReason: String,
+  lastFailedAt: Date,
+  graceUntil: Date,
+  pausedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: String,
+    enum: ['buyer', 'seller', 'admin', 'system']
+  },
+  cancellationReason: String
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ status: 1, nextRenewalAt: 1 });
+subscriptionSchema.index({ buyer: 1, status: 1 });
+subscriptionSchema.index({ seller: 1, status: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const timeEntrySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  hours: {
+    type: Number,
+    required: true,
+    min: 0.25,
+    max: 24
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// One contract week, Monday to Monday in UTC, with the time logged in it.
+// open:      the freelancer is still logging time
+// submitted: waiting for the client to approve or dispute
+// disputed:  sent back by the client; the freelancer can fix it and resubmit
+// approved:  billed through the order in `order`
+const timesheetSchema = new mongoose.Schema({
+  contract: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  freelancer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  weekEnd: {
+    type: Date,
+    required: true
+  },
+  entries: [timeEntrySchema],
+  // Sum of the entries' hours. Entries are only added, changed or removed
+  // together with this total, in one update that checks the weekly cap.
+  totalHours: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'disputed', 'approved'],
+    default: 'open'
+  },
+  // Fixed when the week is approved
+  hourlyRate: Number,
+  amount: Number,
+  submittedAt: Date,
+  disputedAt: Date,
+  disputeReason: {
+    type: String,
+    maxlength: 1000
+  },
+  approvedAt: Date,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true
+});
+
+timesheetSchema.index({ contract: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ client: 1, status: 1 });
+
+timesheetSchema.set('toJSON', { virtuals: true });
+timesheetSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
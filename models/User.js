@@ -82,6 +82,51 @@ const UserSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Shown on invoices; falls back to name and email when empty
+  billingDetails: {
+    fullName: { type: String, trim: true },
+    company: { type: String, trim: true },
+    addressLine1: { type: String, trim: true },
+    addressLine2: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+    country: { type: String, trim: true },
+    taxId: { type: String, trim: true }
+  },
+  // Where withdrawals are sent
+  payoutMethods: [{
+    type: {
+      type: String,
+      enum: ['bank_transfer', 'paypal'],
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true
+    },
+    accountHolder: String,
+    bankName: String,
+    accountLast4: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    isDefault: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Held while a withdrawal request checks the balance, see utils/payouts.js
+  payoutLockedUntil: {
+    type: Date,
+    select: false
+  },
   // Account status
   isVerified: {
     type: Boolean,
@@ -113,7 +158,8 @@ const UserSchema = new mongoose.Schema({
     newOrders: { type: Boolean, default: true },
     messages: { type: Boolean, default: true },
     reviews: { type: Boolean, default: true },
-    marketing: { type: Boolean, default: false }
+    marketing: { type: Boolean, default: false },
+    savedSearches: { type: Boolean, default: true }
   },
   // Verification
   emailVerified: {
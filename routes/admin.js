@@ -12,6 +12,16 @@ const {
   updateReviewStatus,
   getAnalytics
 } = require('../controllers/adminController');
+const {
+  getAllPayouts,
+  getUserPayouts,
+  approvePayout,
+  rejectPayout,
+  markPayoutPaid
+} = require('../controllers/payoutController');
+const { getDisputes, resolveDispute } = require('../controllers/disputeController');
+const { getAllRequests, moderateRequest } = require('../controllers/buyerRequestController');
+const { getInvoices, voidInvoice, reissueInvoice } = require('../controllers/invoiceController');
 const { protect, authorizeRoles } = require('../middlewares/auth');
 
 const router = express.Router();
@@ -32,6 +42,7 @@ router.put('/users/:id', [
   body('isSuspended').optional().isBoolean().withMessage('isSuspended must be a boolean')
 ], updateUser);
 router.delete('/users/:id', deleteUser);
+router.get('/users/:id/payouts', getUserPayouts);
 
 // Gig management
 router.get('/gigs', getGigs);
@@ -43,6 +54,42 @@ router.patch('/gigs/:id/status', [
 // Order management
 router.get('/orders', getOrders);
 
+// Invoices
+router.get('/invoices', getInvoices);
+router.patch('/invoices/:id/void', [
+  body('reason').notEmpty().withMessage('A reason is required to void an invoice').isLength({ max: 500 }).withMessage('Reason too long')
+], voidInvoice);
+router.post('/invoices/:id/reissue', [
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason too long')
+], reissueInvoice);
+
+// Dispute management
+router.get('/disputes', getDisputes);
+router.patch('/disputes/:id/resolve', [
+  body('outcome').isIn(['full_refund', 'partial_refund', 'release_to_seller']).withMessage('Invalid outcome'),
+  body('refundAmount').if(body('outcome').equals('partial_refund')).isFloat({ gt: 0 }).withMessage('Refund amount is required for a partial refund'),
+  body('note').notEmpty().withMessage('A note explaining the decision is required')
+], resolveDispute);
+
+// Buyer request moderation
+router.get('/requests', getAllRequests);
+router.patch('/requests/:id/status', [
+  body('status').isIn(['open', 'removed']).withMessage('Invalid status'),
+  body('reason').if(body('status').equals('removed')).notEmpty().withMessage('A reason is required to remove a request')
+], moderateRequest);
+
+// Payout management
+router.get('/payouts', getAllPayouts);
+router.patch('/payouts/:id/approve', [
+  body('note').optional().isString().withMessage('Note must be a string')
+], approvePayout);
+router.patch('/payouts/:id/reject', [
+  body('reason').notEmpty().withMessage('Rejection reason is required')
+], rejectPayout);
+router.patch('/payouts/:id/paid', [
+  body('note').optional().isString().withMessage('Note must be a string')
+], markPayoutPaid);
+
 // Review management
 router.get('/reviews', getReviews);
 router.patch('/reviews/:id/status', [
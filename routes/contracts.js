@@ -0,0 +1,62 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createContract,
+  getContracts,
+  getContract,
+  acceptContract,
+  declineContract,
+  endContract,
+  getTimesheets,
+  logTime,
+  updateTimeEntry,
+  deleteTimeEntry,
+  submitTimesheet,
+  approveTimesheet,
+  disputeTimesheet
+} = require('../controllers/contractController');
+const { protect, authorizeRoles } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.post('/', [
+  body('freelancerId').isMongoId().withMessage('Valid freelancer ID is required'),
+  body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 100 }).withMessage('Title must be at most 100 characters'),
+  body('description').optional().isString().isLength({ max: 2000 }).withMessage('Description must be at most 2000 characters'),
+  body('hourlyRate').optional().isFloat({ min: 5 }).withMessage('Hourly rate must be at least $5'),
+  body('weeklyHourCap').isFloat({ min: 1, max: 80 }).withMessage('Weekly hour cap must be between 1 and 80')
+], authorizeRoles('client'), createContract);
+
+router.get('/', getContracts);
+router.get('/:id', getContract);
+
+router.patch('/:id/accept', authorizeRoles('freelancer'), acceptContract);
+router.patch('/:id/decline', authorizeRoles('freelancer'), declineContract);
+router.patch('/:id/end', [
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], endContract);
+
+// Time entries
+router.post('/:id/time-entries', [
+  body('date').isISO8601().withMessage('Valid date is required'),
+  body('hours').isFloat({ min: 0.25, max: 24 }).withMessage('Hours must be between 0.25 and 24'),
+  body('description').trim().notEmpty().withMessage('Description is required').isLength({ max: 500 }).withMessage('Description must be at most 500 characters')
+], authorizeRoles('freelancer'), logTime);
+router.put('/:id/time-entries/:entryId', [
+  body('hours').optional().isFloat({ min: 0.25, max: 24 }).withMessage('Hours must be between 0.25 and 24'),
+  body('description').optional().trim().notEmpty().withMessage('Description cannot be empty').isLength({ max: 500 }).withMessage('Description must be at most 500 characters')
+], authorizeRoles('freelancer'), updateTimeEntry);
+router.delete('/:id/time-entries/:entryId', authorizeRoles('freelancer'), deleteTimeEntry);
+
+// Weekly timesheets
+router.get('/:id/timesheets', getTimesheets);
+router.patch('/:id/timesheets/:timesheetId/submit', authorizeRoles('freelancer'), submitTimesheet);
+router.patch('/:id/timesheets/:timesheetId/approve', authorizeRoles('client'), approveTimesheet);
+router.patch('/:id/timesheets/:timesheetId/dispute', [
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters')
+], authorizeRoles('client'), disputeTimesheet);
+
+module.exports = router;
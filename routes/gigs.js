@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const { 
   createGig, 
   getGigs, 
@@ -8,6 +8,7 @@ const {
   deleteGig, 
   getUserGigs,
   searchGigs,
+  suggestGigs,
   updateGigStatus,
   addImages,
   setPrimaryImage,
@@ -22,6 +23,10 @@ const router = express.Router();
 // Public routes
 router.get('/', getGigs);
 router.get('/search', searchGigs);
+router.get('/suggest', [
+  query('q').trim().notEmpty().withMessage('Search text is required').isLength({ max: 100 }).withMessage('Search text must be at most 100 characters'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+], suggestGigs);
 router.get('/:id', getGig);
 
 // Simple gig creation route for testing (before protect middleware)
@@ -49,7 +54,26 @@ router.put('/:id', [
   body('description').optional().isLength({ min: 50, max: 2000 }).withMessage('Description must be between 50 and 2000 characters'),
   body('price').optional().isNumeric().withMessage('Price must be a number').isFloat({ min: 5 }).withMessage('Price must be at least $5'),
   body('deliveryTime').optional().isInt({ min: 1, max: 30 }).withMessage('Delivery time must be between 1 and 30 days'),
-  body('revisions').optional().isInt({ min: 0, max: 10 }).withMessage('Revisions must be between 0 and 10')
+  body('revisions').optional().isInt({ min: 0, max: 10 }).withMessage('Revisions must be between 0 and 10'),
+  body('extraRevisionPrice').optional({ values: 'null' }).isFloat({ min: 1 }).withMessage('Extra revision price must be at least $1'),
+  body('billingInterval').optional({ values: 'null' }).isIn(['week', 'month']).withMessage('Billing interval must be week or month'),
+  body('packages').optional().isArray({ max: 3 }).withMessage('A gig can have at most three packages'),
+  body('packages.*.tier').isIn(['basic', 'standard', 'premium']).withMessage('Invalid package tier'),
+  body('packages.*.name').notEmpty().withMessage('Package name is required'),
+  body('packages.*.price').isFloat({ min: 5 }).withMessage('Package price must be at least $5'),
+  body('packages.*.deliveryTime').isInt({ min: 1, max: 30 }).withMessage('Package delivery time must be between 1 and 30 days'),
+  body('packages.*.revisions').optional().isInt({ min: 0, max: 10 }).withMessage('Package revisions must be between 0 and 10'),
+  body('packages.*.features').optional().isArray().withMessage('Package features must be an array'),
+  body('extras').optional().isArray({ max: 10 }).withMessage('A gig can have at most ten extras'),
+  body('extras.*.title').notEmpty().withMessage('Extra title is required'),
+  body('extras.*.price').isFloat({ min: 1 }).withMessage('Extra price must be at least $1'),
+  body('extras.*.additionalDays').optional().isInt({ min: -29, max: 30 }).withMessage('Additional days must be between -29 and 30'),
+  body('extras.*.additionalRevisions').optional().isInt({ min: 0, max: 10 }).withMessage('Additional revisions must be between 0 and 10'),
+  body('questionnaire').optional().isArray({ max: 20 }).withMessage('A gig can have at most twenty questions'),
+  body('questionnaire.*.question').notEmpty().withMessage('Question text is required'),
+  body('questionnaire.*.type').optional().isIn(['text', 'multiple_choice', 'file', 'url']).withMessage('Invalid question type'),
+  body('questionnaire.*.options').optional().isArray().withMessage('Question options must be an array'),
+  body('questionnaire.*.required').optional().isBoolean().withMessage('Required must be a boolean')
 ], authorizeRoles('freelancer'), canModifyGig, updateGig);
 
 router.delete('/:id', authorizeRoles('freelancer'), canModifyGig, deleteGig);
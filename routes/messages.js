@@ -5,9 +5,13 @@ const {
   getMessages, 
   sendMessage, 
   markAsRead,
-  createConversation
+  createConversation,
+  sendOffer,
+  acceptOffer,
+  declineOffer,
+  withdrawOffer
 } = require('../controllers/messageController');
-const { protect } = require('../middlewares/auth');
+const { protect, authorizeRoles } = require('../middlewares/auth');
 
 const router = express.Router();
 
@@ -32,6 +36,21 @@ router.post('/conversations/:conversationId/messages', [
   body('content').notEmpty().withMessage('Message content is required').isLength({ max: 2000 }).withMessage('Message too long')
 ], sendMessage);
 
+// Custom offers
+router.post('/conversations/:conversationId/offers', [
+  body('description').notEmpty().withMessage('Offer description is required').isLength({ max: 2000 }).withMessage('Description too long'),
+  body('price').isFloat({ min: 5 }).withMessage('Price must be at least $5'),
+  body('deliveryDays').isInt({ min: 1, max: 90 }).withMessage('Delivery time must be between 1 and 90 days'),
+  body('revisions').optional().isInt({ min: 0, max: 10 }).withMessage('Revisions must be between 0 and 10'),
+  body('gigId').optional().isMongoId().withMessage('Valid gig ID is required'),
+  body('expiresInHours').optional().isFloat({ min: 1, max: 720 }).withMessage('Offers can stay open between 1 hour and 30 days')
+], authorizeRoles('freelancer'), sendOffer);
+router.patch('/offers/:messageId/accept', [
+  body('requirements').optional().isArray().withMessage('Requirements must be an array')
+], authorizeRoles('client'), acceptOffer);
+router.patch('/offers/:messageId/decline', authorizeRoles('client'), declineOffer);
+router.patch('/offers/:messageId/withdraw', authorizeRoles('freelancer'), withdrawOffer);
+
 // Mark messages as read
 router.patch('/conversations/:conversationId/read', markAsRead);
 
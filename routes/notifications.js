@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+const { protect } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getNotifications);
+router.patch('/read-all', markAllNotificationsRead);
+router.patch('/:id/read', markNotificationRead);
+
+module.exports = router;
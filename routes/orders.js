@@ -2,19 +2,47 @@ const express = require('express');
 const { body } = require('express-validator');
 const { 
   createOrder, 
+  submitRequirements,
   getOrders, 
   getOrder, 
+  getTimeline,
   updateOrderStatus,
   submitDelivery,
+  getDeliveries,
+  downloadDeliveryFile,
   requestRevision,
+  purchaseRevisions,
   completeOrder,
+  addTip,
   cancelOrder,
   getBuyerOrders,
   getSellerOrders,
   getOrderMessages,
   sendOrderMessage
 } = require('../controllers/orderController');
+const { openDispute, getOrderDispute, downloadDisputeFile, addStatement } = require('../controllers/disputeController');
+const {
+  submitMilestoneDelivery,
+  requestMilestoneRevision,
+  approveMilestone
+} = require('../controllers/milestoneController');
+const {
+  requestExtension,
+  acceptExtension,
+  declineExtension,
+  withdrawExtension
+} = require('../controllers/extensionController');
+const {
+  requestCancellation,
+  acceptCancellation,
+  declineCancellation,
+  withdrawCancellation
+} = require('../controllers/cancellationController');
+const { getInvoice } = require('../controllers/invoiceController');
 const { protect, authorizeRoles } = require('../middlewares/auth');
+const { disputeUpload, handleDisputeUploadError } = require('../middlewares/disputeUpload');
+const { requirementUpload, handleRequirementUploadError } = require('../middlewares/requirementUpload');
+const { deliveryUpload, handleDeliveryUploadError } = require('../middlewares/deliveryUpload');
 
 const router = express.Router();
 
@@ -24,11 +52,18 @@ router.use(protect);
 // Client routes
 router.post('/', [
   body('gigId').isMongoId().withMessage('Valid gig ID is required'),
-  body('requirements').notEmpty().withMessage('Requirements are required'),
-  body('amount').isNumeric().withMessage('Amount must be a number').isFloat({ min: 5 }).withMessage('Amount must be at least $5')
+  body('requirements').if(body('answers').not().exists()).notEmpty().withMessage('Requirements are required'),
+  body('answers').optional().custom(value => typeof value === 'object').withMessage('Answers must be a list or an object keyed by question ID'),
+  body('packageId').optional().isMongoId().withMessage('Valid package ID is required'),
+  body('extras').optional().isArray({ max: 10 }).withMessage('Extras must be an array'),
+  body('milestones').optional().isArray({ min: 2, max: 10 }).withMessage('Milestones must be an array of 2 to 10 items'),
+  body('milestones.*.title').optional().trim().notEmpty().withMessage('Milestone title is required'),
+  body('milestones.*.amount').optional().isFloat({ min: 5 }).withMessage('Milestone amount must be at least $5'),
+  body('milestones.*.dueDate').optional().isISO8601().withMessage('Milestone due date must be a valid date')
 ], authorizeRoles('client'), createOrder);
 
 router.get('/buyer', authorizeRoles('client'), getBuyerOrders);
+router.post('/:id/requirements', authorizeRoles('client'), requirementUpload.any(), handleRequirementUploadError, submitRequirements);
 
 // Freelancer routes
 router.get('/seller', authorizeRoles('freelancer'), getSellerOrders);
@@ -36,26 +71,79 @@ router.get('/seller', authorizeRoles('freelancer'), getSellerOrders);
 // Shared routes
 router.get('/', getOrders);
 router.get('/:id', getOrder);
+router.get('/:id/timeline', getTimeline);
+router.get('/:id/invoice', getInvoice);
 
 router.patch('/:id/status', [
   body('status').isIn(['pending', 'accepted', 'in_progress', 'delivered', 'completed', 'cancelled']).withMessage('Invalid status'),
   body('message').optional().isString().withMessage('Message must be a string')
 ], authorizeRoles('freelancer', 'client', 'admin'), updateOrderStatus);
 
-router.post('/:id/delivery', [
+router.post('/:id/delivery', authorizeRoles('freelancer'), deliveryUpload.array('files', 10), handleDeliveryUploadError, [
   body('message').optional().isString().withMessage('Message must be a string')
-], authorizeRoles('freelancer'), submitDelivery);
+], submitDelivery);
+
+router.get('/:id/deliveries', getDeliveries);
+router.get('/:id/deliveries/:deliveryId/files/:fileId', downloadDeliveryFile);
 
 router.post('/:id/revision', [
   body('message').notEmpty().withMessage('Revision message is required')
 ], authorizeRoles('client'), requestRevision);
 
+router.post('/:id/revisions/purchase', [
+  body('quantity').optional().isInt({ min: 1, max: 5 }).withMessage('You can buy between 1 and 5 revisions at a time')
+], authorizeRoles('client'), purchaseRevisions);
+
 router.patch('/:id/complete', authorizeRoles('client'), completeOrder);
+router.post('/:id/tips', [
+  body('amount').isFloat({ min: 1, max: 1000 }).withMessage('Tip must be between $1 and $1000'),
+  body('note').optional().isString().isLength({ max: 500 }).withMessage('Note too long')
+], authorizeRoles('client'), addTip);
+
+// Milestone routes
+router.post('/:id/milestones/:milestoneId/delivery', authorizeRoles('freelancer'), deliveryUpload.array('files', 10), handleDeliveryUploadError, [
+  body('message').optional().isString().withMessage('Message must be a string')
+], submitMilestoneDelivery);
+
+router.post('/:id/milestones/:milestoneId/revision', [
+  body('message').notEmpty().withMessage('Revision message is required')
+], authorizeRoles('client'), requestMilestoneRevision);
+
+router.patch('/:id/milestones/:milestoneId/approve', authorizeRoles('client'), approveMilestone);
+
+// Deadline changes
+router.post('/:id/extensions', [
+  body('newDueDate').isISO8601().withMessage('New due date must be a valid date'),
+  body('priceChange').optional().isFloat().withMessage('Price change must be a number'),
+  body('reason').optional().isString().isLength({ max: 1000 }).withMessage('Reason too long')
+], authorizeRoles('freelancer', 'client'), requestExtension);
+router.patch('/:id/extensions/:requestId/accept', acceptExtension);
+router.patch('/:id/extensions/:requestId/decline', declineExtension);
+router.patch('/:id/extensions/:requestId/withdraw', withdrawExtension);
 
 router.patch('/:id/cancel', [
   body('reason').optional().isString().withMessage('Reason must be a string')
 ], cancelOrder);
 
+router.post('/:id/cancellations', [
+  body('reason').notEmpty().withMessage('Cancellation reason is required').isLength({ max: 1000 }).withMessage('Reason too long'),
+  body('refundAmount').optional().isFloat({ min: 0 }).withMessage('Refund amount must be a positive number')
+], authorizeRoles('freelancer', 'client'), requestCancellation);
+router.patch('/:id/cancellations/:requestId/accept', acceptCancellation);
+router.patch('/:id/cancellations/:requestId/decline', declineCancellation);
+router.patch('/:id/cancellations/:requestId/withdraw', withdrawCancellation);
+
+// Disputes
+router.post('/:id/dispute', disputeUpload.array('evidence', 5), handleDisputeUploadError, [
+  body('reason').isString().withMessage('Dispute reason must be text').notEmpty().withMessage('Dispute reason is required').isLength({ max: 200 }).withMessage('Reason too long'),
+  body('description').optional().isString().withMessage('Description must be text').isLength({ max: 2000 }).withMessage('Description too long')
+], authorizeRoles('freelancer', 'client'), openDispute);
+router.get('/:id/dispute', getOrderDispute);
+router.get('/:id/dispute/files/:fileId', downloadDisputeFile);
+router.post('/:id/dispute/statements', disputeUpload.array('attachments', 5), handleDisputeUploadError, [
+  body('content').isString().withMessage('Statement content must be text').notEmpty().withMessage('Statement content is required').isLength({ max: 2000 }).withMessage('Statement too long')
+], addStatement);
+
 // Order messages
 router.get('/:id/messages', getOrderMessages);
 router.post('/:id/messages', [
@@ -0,0 +1,42 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getBalance,
+  getMyPayouts,
+  requestPayout,
+  getPayoutMethods,
+  addPayoutMethod,
+  setDefaultPayoutMethod,
+  removePayoutMethod
+} = require('../controllers/payoutController');
+const { protect, authorizeRoles } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// All routes are for freelancers
+router.use(protect);
+router.use(authorizeRoles('freelancer'));
+
+router.get('/balance', getBalance);
+
+// Payout methods
+router.get('/methods', getPayoutMethods);
+router.post('/methods', [
+  body('type').isIn(['bank_transfer', 'paypal']).withMessage('Invalid payout method type'),
+  body('label').optional().isString().isLength({ max: 50 }).withMessage('Label must be at most 50 characters'),
+  body('email').if(body('type').equals('paypal')).isEmail().withMessage('Valid PayPal email is required'),
+  body('accountHolder').if(body('type').equals('bank_transfer')).notEmpty().withMessage('Account holder is required'),
+  body('accountNumber').if(body('type').equals('bank_transfer')).isLength({ min: 4 }).withMessage('Valid account number is required'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean')
+], addPayoutMethod);
+router.patch('/methods/:methodId/default', setDefaultPayoutMethod);
+router.delete('/methods/:methodId', removePayoutMethod);
+
+// Withdrawals
+router.get('/', getMyPayouts);
+router.post('/', [
+  body('amount').isFloat({ min: 1 }).withMessage('Amount must be a positive number'),
+  body('methodId').optional().isMongoId().withMessage('Valid payout method ID is required')
+], requestPayout);
+
+module.exports = router;
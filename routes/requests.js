@@ -0,0 +1,64 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createRequest,
+  getRequests,
+  getMyRequests,
+  getRequest,
+  closeRequest,
+  createProposal,
+  getRequestProposals,
+  getMyProposals,
+  shortlistProposal,
+  rejectProposal,
+  acceptProposal,
+  withdrawProposal
+} = require('../controllers/buyerRequestController');
+const BuyerRequest = require('../models/BuyerRequest');
+const { protect, authorizeRoles } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Client routes
+router.post('/', [
+  body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  body('description').notEmpty().withMessage('Description is required').isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+  body('category').isIn(BuyerRequest.CATEGORIES).withMessage('Invalid category'),
+  body('subcategory').optional().isString().withMessage('Subcategory must be a string'),
+  body('budgetMin').isFloat({ min: 5 }).withMessage('Minimum budget must be at least $5'),
+  body('budgetMax').isFloat({ min: 5 }).withMessage('Maximum budget must be at least $5')
+    .custom((value, { req }) => parseFloat(value) >= parseFloat(req.body.budgetMin)).withMessage('Maximum budget must not be less than the minimum'),
+  body('deadline').isISO8601().withMessage('Deadline must be a valid date'),
+  body('expiresInDays').optional().isFloat({ min: 1, max: 60 }).withMessage('Requests can stay open between 1 and 60 days')
+], authorizeRoles('client'), createRequest);
+
+router.get('/mine', authorizeRoles('client'), getMyRequests);
+
+// Freelancer routes
+router.get('/', authorizeRoles('freelancer', 'admin'), getRequests);
+router.get('/proposals/mine', authorizeRoles('freelancer'), getMyProposals);
+router.patch('/proposals/:proposalId/withdraw', authorizeRoles('freelancer'), withdrawProposal);
+
+router.post('/:id/proposals', [
+  body('gigId').isMongoId().withMessage('Valid gig ID is required'),
+  body('coverLetter').notEmpty().withMessage('Cover letter is required').isLength({ max: 1500 }).withMessage('Cover letter cannot exceed 1500 characters'),
+  body('price').isFloat({ min: 5 }).withMessage('Price must be at least $5'),
+  body('deliveryDays').isInt({ min: 1, max: 90 }).withMessage('Delivery time must be between 1 and 90 days'),
+  body('revisions').optional().isInt({ min: 0, max: 10 }).withMessage('Revisions must be between 0 and 10')
+], authorizeRoles('freelancer'), createProposal);
+
+// Shared routes
+router.get('/:id', getRequest);
+router.patch('/:id/close', authorizeRoles('client'), closeRequest);
+
+router.get('/:id/proposals', authorizeRoles('client', 'admin'), getRequestProposals);
+router.patch('/:id/proposals/:proposalId/shortlist', authorizeRoles('client'), shortlistProposal);
+router.patch('/:id/proposals/:proposalId/reject', authorizeRoles('client'), rejectProposal);
+router.patch('/:id/proposals/:proposalId/accept', [
+  body('requirements').optional().isArray().withMessage('Requirements must be an array')
+], authorizeRoles('client'), acceptProposal);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Gig = require('../models/Gig');
+const {
+  createSavedSearch,
+  getSavedSearches,
+  getSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} = require('../controllers/savedSearchController');
+const { protect, authorizeRoles } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// null or '' clears a field when updating
+const optionalField = (field) => body(field).optional({ values: 'falsy' });
+
+const queryValidation = [
+  optionalField('q').isString().isLength({ max: 100 }).withMessage('Search text must be at most 100 characters'),
+  optionalField('category').isIn(Gig.schema.path('category').enumValues).withMessage('Invalid category'),
+  optionalField('subcategory').isString().isLength({ max: 100 }).withMessage('Subcategory must be at most 100 characters'),
+  optionalField('minPrice').isFloat({ min: 0 }).withMessage('Minimum price must be 0 or more'),
+  optionalField('maxPrice').isFloat({ min: 0 }).withMessage('Maximum price must be 0 or more'),
+  optionalField('rating').isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
+  optionalField('deliveryTime').isInt({ min: 1 }).withMessage('Delivery time must be at least 1 day'),
+  body('alertsEnabled').optional().isBoolean().withMessage('alertsEnabled must be true or false')
+];
+
+// All routes are for clients
+router.use(protect, authorizeRoles('client'));
+
+router.post('/', [
+  body('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required and must be at most 100 characters'),
+  ...queryValidation
+], createSavedSearch);
+
+router.get('/', getSavedSearches);
+router.get('/:id', getSavedSearch);
+
+router.put('/:id', [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be 1 to 100 characters'),
+  ...queryValidation
+], updateSavedSearch);
+
+router.delete('/:id', deleteSavedSearch);
+
+module.exports = router;
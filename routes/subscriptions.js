@@ -0,0 +1,35 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  createSubscription,
+  getSubscriptions,
+  getSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription
+} = require('../controllers/subscriptionController');
+const { protect, authorizeRoles } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.post('/', [
+  body('gigId').isMongoId().withMessage('Valid gig ID is required'),
+  body('requirements').if(body('answers').not().exists()).notEmpty().withMessage('Requirements are required'),
+  body('answers').optional().custom(value => typeof value === 'object').withMessage('Answers must be a list or an object keyed by question ID'),
+  body('packageId').optional().isMongoId().withMessage('Valid package ID is required'),
+  body('extras').optional().isArray({ max: 10 }).withMessage('Extras must be an array')
+], authorizeRoles('client'), createSubscription);
+
+router.get('/', getSubscriptions);
+router.get('/:id', getSubscription);
+
+router.patch('/:id/pause', authorizeRoles('client'), pauseSubscription);
+router.patch('/:id/resume', authorizeRoles('client'), resumeSubscription);
+router.patch('/:id/cancel', [
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], authorizeRoles('client', 'admin'), cancelSubscription);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// Usage: node scripts/backfillGigSearch.js
+// Copies each seller's skills onto their gigs, builds the weighted text index
+// gig search relies on and recounts search suggestions. Safe to run more than once.
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Gig = require('../models/Gig');
+const User = require('../models/User');
+const { syncSellerSkills } = require('../utils/gigSearch');
+const { rebuildGigSuggestions } = require('../utils/searchSuggestions');
+
+async function backfill() {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/freelance-marketplace');
+  console.log('Connected to MongoDB');
+
+  const sellerIds = await Gig.distinct('seller');
+  const sellers = await User.find({ _id: { $in: sellerIds } }).select('skills');
+  for (const seller of sellers) {
+    await syncSellerSkills(seller._id, seller.skills);
+  }
+  console.log(`Copied skills for ${sellers.length} seller(s)`);
+
+  // Drops indexes no longer in the schema, such as an older text index
+  await Gig.syncIndexes();
+  console.log('Gig indexes are in sync');
+
+  const terms = await rebuildGigSuggestions();
+  console.log(`Rebuilt ${terms} search suggestion(s)`);
+
+  process.exit(0);
+}
+
+backfill().catch(e => { console.error(e); process.exit(1); });
@@ -0,0 +1,41 @@
+// Usage: node scripts/backfillOrderSnapshots.js
+// Gives orders created before gig snapshots existed a snapshot of their gig as
+// it is now, and copies it onto their reviews. Orders whose gig is gone are skipped.
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Gig = require('../models/Gig');
+const Review = require('../models/Review');
+const { buildGigSnapshot } = require('../utils/orderPricing');
+
+async function backfill() {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/freelance-marketplace');
+  console.log('Connected to MongoDB');
+
+  const orders = await Order.find({ 'gigSnapshot.title': { $exists: false } });
+  console.log(`Found ${orders.length} order(s) without a gig snapshot`);
+
+  let updated = 0;
+  let skipped = 0;
+  for (const order of orders) {
+    const gig = await Gig.findById(order.gig);
+    if (!gig) {
+      skipped += 1;
+      continue;
+    }
+
+    const gigSnapshot = buildGigSnapshot(gig, { package: order.package && order.package.packageId ? order.package : undefined });
+    // The snapshot is immutable in the schema, so write it with the raw driver
+    await Order.collection.updateOne({ _id: order._id }, { $set: { gigSnapshot } });
+    await Review.updateMany(
+      { order: order._id, 'gigSnapshot.title': { $exists: false } },
+      { $set: { gigSnapshot: { title: gigSnapshot.title, image: gigSnapshot.image } } }
+    );
+    updated += 1;
+  }
+
+  console.log(`Backfilled ${updated} order(s), skipped ${skipped} with a deleted gig`);
+  process.exit(0);
+}
+
+backfill().catch(e => { console.error(e); process.exit(1); });
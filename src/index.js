@@ -23,6 +23,7 @@ const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
 const path = require('path');
 const fs = require('fs');
+const { startJobs } = require('../jobs');
 
 const app = express();
 
@@ -116,7 +117,13 @@ app.get('/api/health', (req, res) => res.status(200).json({ status: 'ok' }));
 
 // MongoDB connection
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    // Background jobs (deadlines, auto-completion); set JOBS_ENABLED=false to run them elsewhere
+    if (process.env.JOBS_ENABLED !== 'false') {
+      startJobs();
+    }
+  })
   .catch(err => { console.error('MongoDB connection error:', err); process.exit(1); });
 
 // Import routes
@@ -127,6 +134,12 @@ const orderRoutes = require('../routes/orders');
 const messageRoutes = require('../routes/messages');
 const reviewRoutes = require('../routes/reviews');
 const adminRoutes = require('../routes/admin');
+const payoutRoutes = require('../routes/payouts');
+const requestRoutes = require('../routes/requests');
+const subscriptionRoutes = require('../routes/subscriptions');
+const contractRoutes = require('../routes/contracts');
+const savedSearchRoutes = require('../routes/savedSearches');
+const notificationRoutes = require('../routes/notifications');
 
 // Handle OPTIONS requests for CORS preflight
 app.options('*', cors(corsOptions));
@@ -139,6 +152,12 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/requests', requestRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/contracts', contractRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/notifications', notificationRoutes);
 const uploadsPath = path.join(__dirname, '../uploads');
 app.use('/uploads', (req, res, next) => {
   const origin = req.headers.origin;
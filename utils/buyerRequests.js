@@ -0,0 +1,39 @@
+const BuyerRequest = require('../models/BuyerRequest');
+const Proposal = require('../models/Proposal');
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+// Days a request takes proposals unless the buyer picks another window
+const getRequestExpiryDays = () => readNumber(process.env.REQUEST_EXPIRY_DAYS, 14);
+
+// Proposals a freelancer may send in any rolling 24 hours
+const getDailyProposalLimit = () => readNumber(process.env.MAX_PROPOSALS_PER_DAY, 10);
+
+// Proposals a single request accepts before it stops taking more
+const getRequestProposalLimit = () => readNumber(process.env.MAX_PROPOSALS_PER_REQUEST, 50);
+
+const countRecentProposals = (sellerId) => Proposal.countDocuments({
+  seller: sellerId,
+  createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+});
+
+// Mark open requests past their expiry as expired
+const expireOpenRequests = (filter = {}) => BuyerRequest.updateMany(
+  {
+    ...filter,
+    status: 'open',
+    expiresAt: { $lte: new Date() }
+  },
+  { $set: { status: 'expired' } }
+);
+
+module.exports = {
+  getRequestExpiryDays,
+  getDailyProposalLimit,
+  getRequestProposalLimit,
+  countRecentProposals,
+  expireOpenRequests
+};
@@ -0,0 +1,51 @@
+const Dispute = require('../models/Dispute');
+const { transitionOrder } = require('./orderStateMachine');
+
+// Statuses in which cancelling needs the other party to agree. Earlier on
+// either side can cancel outright; later only an admin can.
+const CANCELLATION_REQUEST_STATUSES = ['accepted', 'in_progress', 'delivered'];
+
+// Hours the other party has to answer before the request goes to an admin
+const getCancellationResponseHours = () => {
+  const hours = parseFloat(process.env.CANCELLATION_RESPONSE_HOURS);
+  return isNaN(hours) ? 48 : hours;
+};
+
+// Hand a declined or unanswered cancellation to an admin as a dispute on
+// behalf of whoever asked for it. Saves the order and the dispute.
+const escalateCancellation = async (order, request, reason) => {
+  const dispute = new Dispute({
+    order: order._id,
+    openedBy: request.requestedBy,
+    openedByRole: request.requestedByRole,
+    reason,
+    description: request.reason,
+    previousStatus: order.status,
+    cancellationRequest: request._id
+  });
+
+  await dispute.save();
+
+  request.status = 'escalated';
+  request.dispute = dispute._id;
+  order.dispute = dispute._id;
+
+  try {
+    await transitionOrder(order, 'disputed', {
+      role: 'system',
+      reason,
+      event: { dispute: dispute._id, cancellationRequest: request._id }
+    });
+  } catch (error) {
+    await Dispute.deleteOne({ _id: dispute._id });
+    throw error;
+  }
+
+  return dispute;
+};
+
+module.exports = {
+  CANCELLATION_REQUEST_STATUSES,
+  getCancellationResponseHours,
+  escalateCancellation
+};
@@ -0,0 +1,168 @@
+const Contract = require('../models/Contract');
+const Order = require('../models/Order');
+const Timesheet = require('../models/Timesheet');
+const { ErrorResponse } = require('./errorResponse');
+const { holdOrderFunds, refundOrderFunds, getHeldBalance, roundMoney } = require('./escrow');
+const { transitionOrder } = require('./orderStateMachine');
+const { recordOrderEvent } = require('./orderEvents');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Orders have a $5 minimum, so smaller weeks cannot be billed
+const MIN_BILLABLE_AMOUNT = 5;
+
+class ContractError extends ErrorResponse {
+  constructor(message, statusCode = 400) {
+    super(message, statusCode);
+  }
+}
+
+// Monday 00:00 UTC of the week the date falls in
+const getWeekStart = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+  return new Date(start.getTime() - daysSinceMonday * DAY_MS);
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const getTimesheetAmount = (timesheet, hourlyRate) => roundMoney(timesheet.totalHours * hourlyRate);
+
+// The timesheet for the week the date falls in, opened on first use
+const findOrOpenTimesheet = async (contract, date) => {
+  const weekStart = getWeekStart(date);
+  const existing = await Timesheet.findOne({ contract: contract._id, weekStart });
+  if (existing) return existing;
+
+  try {
+    return await Timesheet.create({
+      contract: contract._id,
+      client: contract.client,
+      freelancer: contract.freelancer,
+      weekStart,
+      weekEnd: new Date(weekStart.getTime() + 7 * DAY_MS)
+    });
+  } catch (error) {
+    // Another request opened the same week first
+    if (error.code === 11000) {
+      return Timesheet.findOne({ contract: contract._id, weekStart });
+    }
+    throw error;
+  }
+};
+
+// Undo a billing that failed part way. Whatever the client paid is refunded
+// and the week goes back to submitted so it can be approved again. Once the
+// freelancer has been paid, the week stays billed to the order instead.
+const abandonBilling = async (order, timesheet) => {
+  if (order.payment && order.payment.releasedAmount > 0) {
+    await Timesheet.updateOne({ _id: timesheet._id }, { $set: { order: order._id } });
+    return;
+  }
+
+  if (getHeldBalance(order) > 0) {
+    try {
+      await refundOrderFunds(order, undefined, 'Timesheet billing failed');
+    } catch (error) {
+      // The week stays claimed so it cannot be charged a second time
+      console.error(`Refund for timesheet order ${order._id} failed:`, error.message);
+      return;
+    }
+    // Kept so the charge and its refund still point at an order
+    await Order.updateOne({ _id: order._id }, {
+      $set: {
+        status: 'cancelled',
+        cancelledDate: new Date(),
+        cancelledBy: 'system',
+        cancellationReason: 'Timesheet billing failed',
+        payment: order.payment
+      }
+    });
+  } else {
+    await Order.deleteOne({ _id: order._id });
+  }
+
+  await Timesheet.updateOne(
+    { _id: timesheet._id, status: 'approved' },
+    { $set: { status: 'submitted' }, $unset: { approvedAt: 1 } }
+  );
+};
+
+// Bill an approved week: charge the client for the hours at the contract
+// rate, place an order for them and complete it straight away so the money
+// goes to the freelancer. The timesheet is claimed first so it is only billed
+// once, and the order is saved before the charge so a failure after it can be
+// refunded; see abandonBilling.
+const billTimesheet = async (contract, timesheet, user) => {
+  const claimed = await Timesheet.findOneAndUpdate(
+    { _id: timesheet._id, status: 'submitted' },
+    { $set: { status: 'approved', approvedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ContractError('This timesheet is no longer waiting for approval', 409);
+  }
+
+  const hours = claimed.totalHours;
+  const amount = getTimesheetAmount(claimed, contract.hourlyRate);
+  const week = `week of ${formatDate(claimed.weekStart)}`;
+
+  const order = new Order({
+    buyer: contract.client,
+    seller: contract.freelancer,
+    amount,
+    source: 'contract',
+    contract: contract._id,
+    timesheet: claimed._id,
+    gigSnapshot: {
+      title: `${contract.title}: ${hours} hours at $${contract.hourlyRate}/hour, ${week}`,
+      price: amount
+    },
+    requirements: claimed.entries.map(entry => `${formatDate(entry.date)} (${entry.hours}h): ${entry.description}`),
+    status: 'delivered',
+    deliveryDate: claimed.submittedAt
+  });
+
+  try {
+    await order.save();
+    await holdOrderFunds(order);
+    await order.save();
+
+    await recordOrderEvent(order, 'created', {
+      user: { _id: contract.client },
+      role: 'buyer',
+      payload: { source: order.source, amount, status: order.status, contract: contract._id, timesheet: claimed._id }
+    });
+
+    // The client's approval stands in for accepting a delivery
+    await transitionOrder(order, 'completed', {
+      role: 'buyer',
+      user,
+      event: { timesheet: claimed._id }
+    });
+  } catch (error) {
+    await abandonBilling(order, claimed);
+    throw error;
+  }
+
+  claimed.hourlyRate = contract.hourlyRate;
+  claimed.amount = amount;
+  claimed.order = order._id;
+  await claimed.save();
+
+  await Contract.updateOne(
+    { _id: contract._id },
+    { $inc: { totalHours: hours, totalBilled: amount } }
+  );
+
+  return { timesheet: claimed, order };
+};
+
+module.exports = {
+  MIN_BILLABLE_AMOUNT,
+  ContractError,
+  getWeekStart,
+  getTimesheetAmount,
+  findOrOpenTimesheet,
+  billTimesheet
+};
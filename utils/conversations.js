@@ -0,0 +1,106 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+// Update the conversation after a new message: last message and unread counts
+const recordMessage = async (conversation, message, senderId) => {
+  conversation.lastMessage = message._id;
+  conversation.lastMessageAt = new Date();
+
+  // Increment unread count for other participants
+  conversation.participants.forEach(participantId => {
+    if (participantId.toString() !== senderId.toString()) {
+      const currentCount = conversation.unreadCount.get(participantId.toString()) || 0;
+      conversation.unreadCount.set(participantId.toString(), currentCount + 1);
+    }
+  });
+
+  await conversation.save();
+};
+
+// The conversation linked to an order, falling back to the buyer and seller's
+// existing thread and creating one when they have never talked
+const findOrderConversation = async (order) => {
+  let conversation = await Conversation.findOne({ order: order._id });
+  if (conversation) return conversation;
+
+  conversation = await Conversation.findOne({
+    participants: { $all: [order.buyer, order.seller] },
+    status: { $ne: 'blocked' }
+  });
+  if (conversation) {
+    if (!conversation.order) conversation.order = order._id;
+    return conversation;
+  }
+
+  return new Conversation({
+    participants: [order.buyer, order.seller],
+    order: order._id,
+    gig: order.gig,
+    status: 'active'
+  });
+};
+
+// Post a system-style update message into a conversation
+const postUpdate = async (conversation, senderId, content, fields) => {
+  if (conversation.isNew) {
+    await conversation.save();
+  }
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    content,
+    ...fields
+  });
+
+  await recordMessage(conversation, message, senderId);
+  return message;
+};
+
+// Post an order_update message into the order's conversation
+const postOrderUpdate = async (order, senderId, content, orderUpdate = {}) => {
+  const conversation = await findOrderConversation(order);
+  return postUpdate(conversation, senderId, content, {
+    messageType: 'order_update',
+    orderUpdate: { order: order._id, ...orderUpdate }
+  });
+};
+
+// The conversation linked to a contract, reusing the client and freelancer's
+// existing thread when there is one
+const findContractConversation = async (contract) => {
+  let conversation = contract.conversation && await Conversation.findById(contract.conversation);
+  if (conversation) return conversation;
+
+  conversation = await Conversation.findOne({
+    participants: { $all: [contract.client, contract.freelancer] },
+    status: { $ne: 'blocked' }
+  });
+  if (conversation) {
+    if (!conversation.contract) conversation.contract = contract._id;
+    return conversation;
+  }
+
+  return new Conversation({
+    participants: [contract.client, contract.freelancer],
+    contract: contract._id,
+    status: 'active'
+  });
+};
+
+// Post a contract_update message into the contract's conversation
+const postContractUpdate = async (contract, senderId, content, contractUpdate = {}) => {
+  const conversation = await findContractConversation(contract);
+  return postUpdate(conversation, senderId, content, {
+    messageType: 'contract_update',
+    contractUpdate: { contract: contract._id, ...contractUpdate }
+  });
+};
+
+module.exports = {
+  recordMessage,
+  findOrderConversation,
+  postOrderUpdate,
+  findContractConversation,
+  postContractUpdate
+};
@@ -0,0 +1,23 @@
+const Message = require('../models/Message');
+
+// Hours a custom offer stays open unless the seller picks another window
+const getOfferExpiryHours = () => {
+  const hours = parseFloat(process.env.OFFER_EXPIRY_HOURS);
+  return isNaN(hours) ? 72 : hours;
+};
+
+// Mark pending offers past their expiry as expired
+const expirePendingOffers = (filter = {}) => Message.updateMany(
+  {
+    ...filter,
+    messageType: 'custom_offer',
+    'offer.status': 'pending',
+    'offer.expiresAt': { $lte: new Date() }
+  },
+  { $set: { 'offer.status': 'expired' } }
+);
+
+module.exports = {
+  getOfferExpiryHours,
+  expirePendingOffers
+};
@@ -0,0 +1,73 @@
+const path = require('path');
+
+// Root folder for delivery files; never served statically
+const deliveriesDir = path.join(__dirname, '../private/deliveries');
+
+const getDownloadUrl = (order, delivery, file) =>
+  `/api/orders/${order._id}/deliveries/${delivery._id}/files/${file._id}`;
+
+const getDeliveryFilePath = (order, file) =>
+  path.join(deliveriesDir, order._id.toString(), file.storedName);
+
+const inScope = (item, milestone) =>
+  (item.milestone ? item.milestone.toString() : undefined) === (milestone ? milestone._id.toString() : undefined);
+
+// Most recent delivery for the whole order, or for one milestone
+const getLatestDelivery = (order, milestone) => {
+  const deliveries = (order.deliveries || []).filter(delivery => inScope(delivery, milestone));
+  return deliveries[deliveries.length - 1];
+};
+
+// Record a delivery attempt with its files. Whole-order deliveries and each
+// milestone are versioned separately, so every revision round keeps its own set.
+// The order is not saved here.
+const recordDelivery = (order, { user, message, files = [], milestone }) => {
+  const previous = order.deliveries.filter(delivery => inScope(delivery, milestone));
+
+  order.deliveries.push({
+    version: previous.length + 1,
+    milestone: milestone ? milestone._id : undefined,
+    message,
+    files: files.map(file => ({
+      filename: file.originalname,
+      storedName: file.filename,
+      fileType: file.mimetype,
+      fileSize: file.size
+    })),
+    deliveredBy: user._id,
+    deliveredAt: new Date()
+  });
+  const delivery = order.deliveries[order.deliveries.length - 1];
+
+  // The new delivery answers the outstanding revision requests it follows
+  const revisionRequests = milestone ? milestone.revisionRequests : order.revisionRequests;
+  revisionRequests.forEach(revision => {
+    if (revision.status === 'pending') {
+      revision.status = 'completed';
+      revision.resolvedBy = delivery._id;
+      revision.resolvedAt = delivery.deliveredAt;
+    }
+  });
+
+  // deliveryFiles keeps pointing at the latest set for existing clients
+  const latestFiles = delivery.files.map(file => ({
+    filename: file.filename,
+    url: getDownloadUrl(order, delivery, file),
+    uploadedAt: delivery.deliveredAt
+  }));
+  if (milestone) {
+    milestone.deliveryFiles = latestFiles;
+  } else {
+    order.deliveryFiles = latestFiles;
+  }
+
+  return delivery;
+};
+
+module.exports = {
+  deliveriesDir,
+  getDownloadUrl,
+  getDeliveryFilePath,
+  getLatestDelivery,
+  recordDelivery
+};
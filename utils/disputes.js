@@ -0,0 +1,22 @@
+const path = require('path');
+
+// Root folder for dispute evidence; never served statically
+const disputesDir = path.join(__dirname, '../private/disputes');
+
+const getDisputeFileUrl = (orderId, fileId) => `/api/orders/${orderId}/dispute/files/${fileId}`;
+
+const getDisputeFilePath = (orderId, file) =>
+  path.join(disputesDir, orderId.toString(), file.storedName);
+
+// Every file on a dispute: the opening evidence and each statement's attachments
+const getDisputeFiles = (dispute) => [
+  ...dispute.evidence,
+  ...dispute.statements.flatMap(statement => statement.attachments)
+];
+
+module.exports = {
+  disputesDir,
+  getDisputeFileUrl,
+  getDisputeFilePath,
+  getDisputeFiles
+};
@@ -10,4 +10,11 @@ class ErrorResponse extends Error {
   }
 }
 
-module.exports = { ErrorResponse };
+// Reply with an operational error; subclasses can add fields through `details`
+const sendErrorResponse = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...error.details
+});
+
+module.exports = { ErrorResponse, sendErrorResponse };
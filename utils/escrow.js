@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const LedgerEntry = require('../models/LedgerEntry');
+const { getPaymentProvider } = require('./payments');
+const { ErrorResponse } = require('./errorResponse');
+
+const CURRENCY = 'USD';
+
+// Raised when the payment provider declines a charge or refund
+class PaymentError extends ErrorResponse {
+  constructor(message) {
+    super(message, 402);
+  }
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const getPlatformFeePercent = () => {
+  const percent = parseFloat(process.env.PLATFORM_FEE_PERCENT);
+  return isNaN(percent) ? 10 : percent;
+};
+
+// Tips carry their own fee, separate from the fee on orders
+const getTipFeePercent = () => {
+  const percent = parseFloat(process.env.TIP_FEE_PERCENT);
+  return isNaN(percent) ? 0 : percent;
+};
+
+const getClearanceDays = () => {
+  const days = parseInt(process.env.PAYOUT_CLEARANCE_DAYS);
+  return isNaN(days) ? 14 : days;
+};
+
+const calculatePlatformFee = (amount, percent = getPlatformFeePercent()) => roundMoney(amount * percent / 100);
+
+const buyerAccount = (userId) => `buyer:${userId}`;
+const sellerAccount = (userId) => `seller:${userId}`;
+
+// Ledger types that credit a seller with money they earned
+const SELLER_EARNING_TYPES = ['seller_payout', 'tip'];
+
+const getAvailableAt = () => new Date(Date.now() + getClearanceDays() * 24 * 60 * 60 * 1000);
+
+// Write a set of ledger entries that belong to the same money movement
+const postTransaction = async (entries, shared = {}) => {
+  const transactionId = crypto.randomUUID();
+  return LedgerEntry.insertMany(entries.map(entry => ({
+    currency: CURRENCY,
+    ...shared,
+    ...entry,
+    transactionId
+  })));
+};
+
+// Money still sitting in escrow for an order
+const getHeldBalance = (order) => {
+  const payment = order.payment || {};
+  return roundMoney((payment.heldAmount || 0) - (payment.releasedAmount || 0) - (payment.refundedAmount || 0));
+};
+
+const updatePaymentStatus = (order) => {
+  const { payment } = order;
+  if (getHeldBalance(order) > 0) return;
+  payment.status = payment.refundedAmount > 0 && payment.releasedAmount > 0
+    ? 'partially_refunded'
+    : payment.refundedAmount > 0 ? 'refunded' : 'released';
+};
+
+// Charge the buyer and post the money into escrow for the order
+const chargeIntoEscrow = async (order, amount, description) => {
+  const provider = getPaymentProvider();
+
+  const charge = await provider.charge({
+    amount,
+    currency: CURRENCY,
+    customer: order.buyer.toString(),
+    description,
+    metadata: { orderId: order._id.toString() }
+  });
+
+  if (charge.status !== 'succeeded') {
+    throw new PaymentError(charge.failureReason || 'Payment failed');
+  }
+
+  await postTransaction([
+    { type: 'buyer_charge', creditAccount: buyerAccount(order.buyer), debitAccount: 'clearing', user: order.buyer, amount, description },
+    { type: 'escrow_hold', creditAccount: 'clearing', debitAccount: 'escrow', user: order.buyer, amount, description }
+  ], { order: order._id, gig: order.gig, provider: provider.name, providerReference: charge.id });
+
+  return { provider, charge };
+};
+
+// Charge the buyer and hold the money in escrow. The order is not saved here.
+const holdOrderFunds = async (order) => {
+  const amount = roundMoney(order.amount);
+  const { provider, charge } = await chargeIntoEscrow(order, amount, `Order ${order._id}`);
+
+  order.payment = {
+    provider: provider.name,
+    chargeId: charge.id,
+    status: 'held',
+    heldAmount: amount,
+    releasedAmount: 0,
+    refundedAmount: 0,
+    platformFee: 0,
+    paidAt: new Date(),
+    additionalCharges: []
+  };
+
+  return order.payment;
+};
+
+// Charge for something bought after checkout, e.g. an extra revision, and add
+// it to what the order holds. Returns the provider charge; the order is not saved.
+const addOrderFunds = async (order, amount, description) => {
+  const chargeAmount = roundMoney(amount);
+  const { charge } = await chargeIntoEscrow(order, chargeAmount, description);
+
+  order.amount = roundMoney(order.amount + chargeAmount);
+  order.payment.heldAmount = roundMoney(order.payment.heldAmount + chargeAmount);
+  order.payment.status = 'held';
+  order.payment.additionalCharges.push({
+    chargeId: charge.id,
+    amount: chargeAmount,
+    refundedAmount: 0,
+    description,
+    paidAt: new Date()
+  });
+
+  return charge;
+};
+
+const sumAmounts = (items, field) => roundMoney(items.reduce((sum, item) => sum + (item[field] || 0), 0));
+
+// Charges an order was paid with, newest first, and how much each can still refund
+const getRefundableCharges = (order) => {
+  const { payment } = order;
+  const additional = payment.additionalCharges || [];
+
+  const original = {
+    chargeId: payment.chargeId,
+    remaining: roundMoney(payment.heldAmount - sumAmounts(additional, 'amount')
+      - (payment.refundedAmount - sumAmounts(additional, 'refundedAmount')))
+  };
+
+  return [
+    ...additional.map(record => ({
+      chargeId: record.chargeId,
+      remaining: roundMoney(record.amount - record.refundedAmount),
+      record
+    })).reverse(),
+    original
+  ];
+};
+
+// Pay the seller out of escrow, minus the platform fee.
+// Defaults to everything still held; returns null when nothing is held.
+const releaseOrderFunds = async (order, amount) => {
+  const held = getHeldBalance(order);
+  const releaseAmount = roundMoney(Math.min(amount === undefined ? held : amount, held));
+  if (releaseAmount <= 0) return null;
+
+  const fee = calculatePlatformFee(releaseAmount);
+  const payout = roundMoney(releaseAmount - fee);
+
+  const entries = [];
+  if (fee > 0) {
+    entries.push({ type: 'platform_fee', creditAccount: 'escrow', debitAccount: 'platform', amount: fee });
+  }
+  if (payout > 0) {
+    entries.push({ type: 'seller_payout', creditAccount: 'escrow', debitAccount: sellerAccount(order.seller), user: order.seller, amount: payout, availableAt: getAvailableAt() });
+  }
+  await postTransaction(entries, { order: order._id, gig: order.gig });
+
+  order.payment.releasedAmount = roundMoney(order.payment.releasedAmount + releaseAmount);
+  order.payment.platformFee = roundMoney((order.payment.platformFee || 0) + fee);
+  updatePaymentStatus(order);
+
+  return { amount: releaseAmount, fee, payout };
+};
+
+// Give money held in escrow back to the buyer.
+// Defaults to everything still held; returns null when nothing is held.
+const refundOrderFunds = async (order, amount, reason) => {
+  const held = getHeldBalance(order);
+  const refundAmount = roundMoney(Math.min(amount === undefined ? held : amount, held));
+  if (refundAmount <= 0) return null;
+
+  const provider = getPaymentProvider();
+
+  // A refund can span several charges; each provider refund is booked as it succeeds
+  let remaining = refundAmount;
+  for (const charge of getRefundableCharges(order)) {
+    const part = roundMoney(Math.min(remaining, charge.remaining));
+    if (part <= 0) continue;
+
+    const refund = await provider.refund({ chargeId: charge.chargeId, amount: part, reason });
+    if (refund.status !== 'succeeded') {
+      throw new PaymentError(refund.failureReason || 'Refund failed');
+    }
+
+    await postTransaction([
+      { type: 'refund', creditAccount: 'escrow', debitAccount: buyerAccount(order.buyer), user: order.buyer, amount: part, description: reason }
+    ], { order: order._id, gig: order.gig, provider: provider.name, providerReference: refund.id });
+
+    if (charge.record) {
+      charge.record.refundedAmount = roundMoney(charge.record.refundedAmount + part);
+    }
+    order.payment.refundedAmount = roundMoney(order.payment.refundedAmount + part);
+
+    remaining = roundMoney(remaining - part);
+    if (remaining <= 0) break;
+  }
+
+  updatePaymentStatus(order);
+
+  return { amount: roundMoney(refundAmount - remaining) };
+};
+
+// Charge the buyer for a tip on a finished order. It skips escrow and goes
+// straight to the seller, minus the tip fee. The order is not saved here.
+const payTip = async (order, amount, note) => {
+  const tipAmount = roundMoney(amount);
+  const provider = getPaymentProvider();
+  const description = `Tip for order ${order._id}`;
+
+  const charge = await provider.charge({
+    amount: tipAmount,
+    currency: CURRENCY,
+    customer: order.buyer.toString(),
+    description,
+    metadata: { orderId: order._id.toString(), tip: true }
+  });
+
+  if (charge.status !== 'succeeded') {
+    throw new PaymentError(charge.failureReason || 'Payment failed');
+  }
+
+  const fee = calculatePlatformFee(tipAmount, getTipFeePercent());
+  const sellerAmount = roundMoney(tipAmount - fee);
+
+  const entries = [
+    { type: 'buyer_charge', creditAccount: buyerAccount(order.buyer), debitAccount: 'clearing', user: order.buyer, amount: tipAmount, description }
+  ];
+  if (fee > 0) {
+    entries.push({ type: 'tip_fee', creditAccount: 'clearing', debitAccount: 'platform', amount: fee, description });
+  }
+  if (sellerAmount > 0) {
+    entries.push({ type: 'tip', creditAccount: 'clearing', debitAccount: sellerAccount(order.seller), user: order.seller, amount: sellerAmount, description, availableAt: getAvailableAt() });
+  }
+  await postTransaction(entries, { order: order._id, gig: order.gig, provider: provider.name, providerReference: charge.id });
+
+  order.tips.push({
+    amount: tipAmount,
+    platformFee: fee,
+    sellerAmount,
+    note,
+    chargeId: charge.id,
+    tippedAt: new Date()
+  });
+
+  return order.tips[order.tips.length - 1];
+};
+
+// Lifetime earnings paid out to a seller, tips included
+const getSellerEarnings = (sellerId) => LedgerEntry.getBalance(sellerAccount(sellerId), { type: { $in: SELLER_EARNING_TYPES } });
+
+// Seller earnings that came from a single gig
+const getGigEarnings = async (gigId) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { gig: gigId, type: { $in: SELLER_EARNING_TYPES } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return result ? roundMoney(result.total) : 0;
+};
+
+module.exports = {
+  CURRENCY,
+  SELLER_EARNING_TYPES,
+  PaymentError,
+  roundMoney,
+  calculatePlatformFee,
+  buyerAccount,
+  sellerAccount,
+  postTransaction,
+  getHeldBalance,
+  holdOrderFunds,
+  addOrderFunds,
+  releaseOrderFunds,
+  refundOrderFunds,
+  payTip,
+  getSellerEarnings,
+  getGigEarnings
+};
@@ -0,0 +1,229 @@
+const Gig = require('../models/Gig');
+
+// How much each signal counts towards a gig's relevance; they add up to 1.
+// Without a search term the text signal is zero for every gig, so ranking
+// falls back to quality and freshness.
+const RELEVANCE_WEIGHTS = {
+  text: 0.6,
+  rating: 0.2,
+  orders: 0.12,
+  recency: 0.08
+};
+
+// Reviews needed before a rating counts in full; fewer reviews damp it
+const RATING_CONFIDENCE_REVIEWS = 5;
+
+// Order count at which the orders signal tops out
+const ORDERS_SATURATION = 100;
+
+// Age at which a gig's recency signal has halved
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SELLER_FIELDS = 'name profilePicture averageRating totalReviews';
+
+// Facet bucket edges; each bucket runs from one edge up to the next and the
+// last one has no upper bound
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+const DELIVERY_BUCKETS = [1, 2, 4, 8, 15];
+// Rating facets are "this or better", matching the rating filter
+const RATING_THRESHOLDS = [4.5, 4, 3];
+const TOP_TAGS = 20;
+
+// Literal text for use inside a $regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The active gigs a search asks for: text, category, subcategory, tag, price
+// range, minimum rating and longest delivery time. Shared by gig search and
+// saved search alerts so both match the same gigs.
+const buildSearchFilter = ({ q, category, subcategory, tag, minPrice, maxPrice, rating, deliveryTime } = {}) => {
+  const filter = { status: 'active' };
+
+  // Text search
+  if (q) {
+    filter.$text = { $search: q };
+  }
+
+  // Category filter
+  if (category) {
+    filter.category = category;
+  }
+  if (subcategory) {
+    filter.subcategory = subcategory;
+  }
+  if (tag) {
+    filter.tags = { $regex: `^${escapeRegex(tag)}$`, $options: 'i' };
+  }
+
+  // Price filter
+  if (minPrice || maxPrice) {
+    filter.price = {};
+    if (minPrice) filter.price.$gte = parseFloat(minPrice);
+    if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+  }
+
+  // Rating filter
+  if (rating) {
+    filter.rating = { $gte: parseFloat(rating) };
+  }
+
+  // Delivery time filter
+  if (deliveryTime && !isNaN(parseInt(deliveryTime))) {
+    filter.deliveryTime = { $lte: parseInt(deliveryTime) };
+  }
+
+  return filter;
+};
+
+// Each signal scaled to 0..1
+const buildRelevanceExpression = (hasText, now) => {
+  // Text scores are unbounded, so squash them
+  const text = hasText
+    ? { $divide: [{ $meta: 'textScore' }, { $add: [{ $meta: 'textScore' }, 1] }] }
+    : 0;
+
+  const reviews = { $ifNull: ['$totalReviews', 0] };
+  const rating = {
+    $multiply: [
+      { $divide: [{ $ifNull: ['$rating', 0] }, 5] },
+      { $divide: [reviews, { $add: [reviews, RATING_CONFIDENCE_REVIEWS] }] }
+    ]
+  };
+
+  const orders = {
+    $min: [1, {
+      $divide: [
+        { $ln: { $add: [{ $ifNull: ['$totalOrders', 0] }, 1] } },
+        Math.log(ORDERS_SATURATION + 1)
+      ]
+    }]
+  };
+
+  const ageDays = { $max: [0, { $divide: [{ $subtract: [now, '$createdAt'] }, DAY_MS] }] };
+  const recency = { $pow: [0.5, { $divide: [ageDays, RECENCY_HALF_LIFE_DAYS] }] };
+
+  return {
+    $add: [
+      { $multiply: [text, RELEVANCE_WEIGHTS.text] },
+      { $multiply: [rating, RELEVANCE_WEIGHTS.rating] },
+      { $multiply: [orders, RELEVANCE_WEIGHTS.orders] },
+      { $multiply: [recency, RELEVANCE_WEIGHTS.recency] }
+    ]
+  };
+};
+
+// Aggregations skip schema casting, so cast the filter like find() would
+const castFilter = (filter) => Gig.find().cast(Gig, filter);
+
+// A page of gigs matching the filter, best match first. The filter may hold a
+// $text search. Returns populated gig documents with their relevance score.
+const findGigsByRelevance = async (filter, { skip = 0, limit = 12 } = {}) => {
+  const match = castFilter(filter);
+
+  const [ranked, total] = await Promise.all([
+    Gig.aggregate([
+      { $match: match },
+      { $addFields: { relevance: buildRelevanceExpression(Boolean(filter.$text), new Date()) } },
+      { $sort: { relevance: -1, _id: 1 } },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: { relevance: 1 } }
+    ]),
+    Gig.countDocuments(filter)
+  ]);
+
+  const gigs = await Gig.find({ _id: { $in: ranked.map(gig => gig._id) } })
+    .populate('seller', SELLER_FIELDS);
+  const byId = new Map(gigs.map(gig => [gig._id.toString(), gig]));
+
+  const results = ranked
+    .map(({ _id, relevance }) => {
+      const gig = byId.get(_id.toString());
+      if (!gig) return null;
+      const json = gig.toJSON();
+      json.relevance = Math.round(relevance * 1000) / 1000;
+      return json;
+    })
+    .filter(Boolean);
+
+  return { gigs: results, total };
+};
+
+// Values past the last edge fall into $bucket's default, keyed by that edge
+const bucketBy = (field, edges) => ({
+  $bucket: { groupBy: field, boundaries: edges, default: edges[edges.length - 1] }
+});
+
+// $bucket output keyed by lower edge -> { min, max, count } for every bucket,
+// empty ones included
+const formatBuckets = (buckets, edges) => {
+  const counts = new Map(buckets.map(bucket => [bucket._id, bucket.count]));
+  return edges.map((min, index) => ({
+    min,
+    max: index < edges.length - 1 ? edges[index + 1] : null,
+    count: counts.get(min) || 0
+  }));
+};
+
+// Filter counts for everything matching the filter, in one round trip:
+// categories, subcategories, price and delivery time buckets, ratings and
+// the most used tags
+const getGigFacets = async (filter) => {
+  const [facets] = await Gig.aggregate([
+    { $match: castFilter(filter) },
+    {
+      $facet: {
+        categories: [
+          { $sortByCount: '$category' }
+        ],
+        subcategories: [
+          { $group: { _id: { category: '$category', subcategory: '$subcategory' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, '_id.subcategory': 1 } }
+        ],
+        price: [bucketBy('$price', PRICE_BUCKETS)],
+        deliveryTime: [bucketBy('$deliveryTime', DELIVERY_BUCKETS)],
+        rating: [
+          {
+            $group: RATING_THRESHOLDS.reduce((group, threshold, index) => ({
+              ...group,
+              [`r${index}`]: { $sum: { $cond: [{ $gte: ['$rating', threshold] }, 1, 0] } }
+            }), { _id: null })
+          }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $sortByCount: { $toLower: '$tags' } },
+          { $limit: TOP_TAGS }
+        ]
+      }
+    }
+  ]);
+
+  const ratingCounts = facets.rating[0] || {};
+
+  return {
+    categories: facets.categories.map(({ _id, count }) => ({ value: _id, count })),
+    subcategories: facets.subcategories.map(({ _id, count }) => ({ value: _id.subcategory, category: _id.category, count })),
+    price: formatBuckets(facets.price, PRICE_BUCKETS),
+    deliveryTime: formatBuckets(facets.deliveryTime, DELIVERY_BUCKETS),
+    rating: RATING_THRESHOLDS.map((min, index) => ({ min, count: ratingCounts[`r${index}`] || 0 })),
+    tags: facets.tags.map(({ _id, count }) => ({ value: _id, count }))
+  };
+};
+
+// Gigs carry a copy of their seller's skills so the text index can search them
+const syncSellerSkills = (sellerId, skills) => Gig.updateMany(
+  { seller: sellerId },
+  { $set: { sellerSkills: skills || [] } }
+);
+
+module.exports = {
+  RELEVANCE_WEIGHTS,
+  SELLER_FIELDS,
+  escapeRegex,
+  buildSearchFilter,
+  findGigsByRelevance,
+  getGigFacets,
+  syncSellerSkills
+};
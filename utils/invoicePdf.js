@@ -0,0 +1,93 @@
+const PDFDocument = require('pdfkit');
+
+const formatMoney = (amount, currency) => `${currency} ${amount.toFixed(2)}`;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const partyLines = (party) => [
+  party.company,
+  party.name,
+  party.addressLine1,
+  party.addressLine2,
+  [party.postalCode, party.city].filter(Boolean).join(' '),
+  [party.state, party.country].filter(Boolean).join(', '),
+  party.taxId && `Tax ID: ${party.taxId}`,
+  party.email
+].filter(Boolean);
+
+// Render an invoice as an A4 PDF into a writable stream, e.g. the response
+const writeInvoicePdf = (invoice, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  const money = (amount) => formatMoney(amount, invoice.currency);
+
+  doc.fontSize(20).text('Invoice', { align: 'right' });
+  doc.fontSize(10)
+    .text(`Number: ${invoice.number}`, { align: 'right' })
+    .text(`Issued: ${formatDate(invoice.issuedAt)}`, { align: 'right' });
+  if (invoice.status === 'void') {
+    doc.fillColor('red').text(`VOID${invoice.voidReason ? ` - ${invoice.voidReason}` : ''}`, { align: 'right' }).fillColor('black');
+  }
+
+  // Seller on the left, buyer on the right
+  const partiesTop = doc.y + 20;
+  doc.fontSize(11).text('From', 50, partiesTop);
+  doc.fontSize(10).text(partyLines(invoice.seller).join('\n'), 50, partiesTop + 15, { width: 230 });
+  const sellerBottom = doc.y;
+  doc.fontSize(11).text('Bill to', 315, partiesTop);
+  doc.fontSize(10).text(partyLines(invoice.buyer).join('\n'), 315, partiesTop + 15, { width: 230 });
+  doc.y = Math.max(sellerBottom, doc.y);
+
+  doc.moveDown(2);
+  doc.x = 50;
+  doc.fontSize(11).text(invoice.gigSnapshot.title || 'Order', { width: 495 });
+  doc.moveDown();
+
+  // Line items
+  const columns = { description: 50, quantity: 330, unitPrice: 380, amount: 465 };
+  const row = (values, options = {}) => {
+    const y = doc.y;
+    doc.fontSize(10);
+    if (options.bold) doc.font('Helvetica-Bold');
+    doc.text(values.description, columns.description, y, { width: 270 });
+    const bottom = doc.y;
+    doc.text(values.quantity, columns.quantity, y, { width: 40, align: 'right' });
+    doc.text(values.unitPrice, columns.unitPrice, y, { width: 75, align: 'right' });
+    doc.text(values.amount, columns.amount, y, { width: 80, align: 'right' });
+    doc.font('Helvetica');
+    doc.y = Math.max(bottom, doc.y) + 4;
+  };
+
+  row({ description: 'Description', quantity: 'Qty', unitPrice: 'Unit price', amount: 'Amount' }, { bold: true });
+  invoice.lineItems.forEach(item => row({
+    description: item.description,
+    quantity: String(item.quantity),
+    unitPrice: money(item.unitPrice),
+    amount: money(item.amount)
+  }));
+
+  doc.moveDown();
+  const totals = [
+    ['Subtotal', money(invoice.subtotal)],
+    [`Tax included (${invoice.taxPercent}%)`, money(invoice.tax)],
+    ['Total', money(invoice.total)]
+  ];
+  totals.forEach(([label, value], index) => {
+    const y = doc.y;
+    doc.font(index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+    doc.text(label, 250, y, { width: 205, align: 'right' });
+    doc.text(value, columns.amount, y, { width: 80, align: 'right' });
+    doc.font('Helvetica');
+    doc.y += 4;
+  });
+
+  doc.moveDown(2);
+  doc.x = 50;
+  doc.fontSize(8).fillColor('gray')
+    .text(`Platform fee of ${money(invoice.platformFee)} was deducted from the seller's earnings and is not charged to the buyer.`, { width: 495 });
+
+  doc.end();
+};
+
+module.exports = { writeInvoicePdf };
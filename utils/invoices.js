@@ -0,0 +1,272 @@
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const { ErrorResponse } = require('./errorResponse');
+const { CURRENCY, roundMoney } = require('./escrow');
+
+class InvoiceError extends ErrorResponse {
+  constructor(message, statusCode = 400) {
+    super(message, statusCode);
+  }
+}
+
+// Tax already included in what the buyer paid, e.g. VAT
+const getTaxPercent = () => {
+  const percent = parseFloat(process.env.INVOICE_TAX_PERCENT);
+  return isNaN(percent) ? 0 : percent;
+};
+
+// Invoices still without a number after this long were left behind by a
+// request that failed part way, and are numbered by the next one
+const NUMBERING_TIMEOUT_MS = 30 * 1000;
+
+const formatInvoiceNumber = (sequence) => `INV-${String(sequence).padStart(6, '0')}`;
+
+const sumAmounts = (items, field = 'amount') => roundMoney(items.reduce((sum, item) => sum + (item[field] || 0), 0));
+
+// Only orders the buyer has been charged for get an invoice
+const isInvoiceable = (order) => Boolean(order.payment && order.payment.chargeId);
+
+// The order's money as the invoice shows it. When this changes after issue,
+// e.g. a tip, an extra charge or a refund, the invoice is replaced.
+const getBilledState = (order) => {
+  const { payment } = order;
+  return [
+    payment.heldAmount,
+    payment.refundedAmount,
+    payment.platformFee || 0,
+    (payment.additionalCharges || []).length,
+    (order.tips || []).length
+  ].join('|');
+};
+
+const buildParty = (user) => {
+  const billing = (user && user.billingDetails) || {};
+  return {
+    user: user && user._id,
+    name: billing.fullName || (user && user.name),
+    email: user && user.email,
+    company: billing.company,
+    addressLine1: billing.addressLine1,
+    addressLine2: billing.addressLine2,
+    city: billing.city,
+    state: billing.state,
+    postalCode: billing.postalCode,
+    country: billing.country,
+    taxId: billing.taxId
+  };
+};
+
+// What the buyer paid for, built from the money that actually moved: the
+// checkout charge split into base price and extras, later charges (extra
+// revisions, price changes), tips and anything refunded
+const buildLineItems = (order) => {
+  const { payment } = order;
+  const additional = payment.additionalCharges || [];
+  const snapshot = order.gigSnapshot || {};
+
+  const extras = (order.extras || []).map(extra => ({
+    type: 'extra',
+    description: extra.title,
+    quantity: extra.quantity,
+    unitPrice: extra.price,
+    amount: roundMoney(extra.price * extra.quantity)
+  }));
+
+  const checkout = roundMoney(payment.heldAmount - sumAmounts(additional));
+  const base = roundMoney(checkout - sumAmounts(extras));
+  const packageName = order.package && order.package.name;
+
+  const items = [
+    {
+      type: 'base',
+      description: packageName ? `${snapshot.title} (${packageName})` : snapshot.title || 'Gig order',
+      quantity: 1,
+      unitPrice: base,
+      amount: base
+    },
+    ...extras,
+    ...additional.map(charge => ({
+      type: 'charge',
+      description: charge.description,
+      quantity: 1,
+      unitPrice: charge.amount,
+      amount: charge.amount
+    })),
+    ...(order.tips || []).map(tip => ({
+      type: 'tip',
+      description: 'Tip',
+      quantity: 1,
+      unitPrice: tip.amount,
+      amount: tip.amount
+    }))
+  ];
+
+  if (payment.refundedAmount > 0) {
+    items.push({
+      type: 'refund',
+      description: 'Refunded',
+      quantity: 1,
+      unitPrice: -payment.refundedAmount,
+      amount: -payment.refundedAmount
+    });
+  }
+
+  return items;
+};
+
+const buildInvoiceData = async (order) => {
+  const [buyer, seller] = await Promise.all([
+    User.findById(order.buyer),
+    User.findById(order.seller)
+  ]);
+
+  const lineItems = buildLineItems(order);
+  const subtotal = sumAmounts(lineItems);
+  const taxPercent = getTaxPercent();
+  const snapshot = order.gigSnapshot || {};
+
+  return {
+    order: order._id,
+    buyer: buildParty(buyer),
+    seller: buildParty(seller),
+    gigSnapshot: {
+      title: snapshot.title,
+      category: snapshot.category,
+      subcategory: snapshot.subcategory,
+      packageName: order.package && order.package.name,
+      image: snapshot.image
+    },
+    lineItems,
+    currency: CURRENCY,
+    subtotal,
+    taxPercent,
+    tax: roundMoney(subtotal * taxPercent / (100 + taxPercent)),
+    total: subtotal,
+    platformFee: roundMoney((order.payment.platformFee || 0) + sumAmounts(order.tips || [], 'platformFee')),
+    billedState: getBilledState(order)
+  };
+};
+
+// Give an invoice the next number. Only the first request to number it
+// succeeds; a number taken by a request that lost, or that failed before
+// saving it, is skipped.
+const numberInvoice = async (invoice) => {
+  const sequence = await Counter.next('invoice');
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, number: { $exists: false } },
+    { $set: { sequence, number: formatInvoiceNumber(sequence) } },
+    { new: true }
+  );
+  return numbered || Invoice.findById(invoice._id);
+};
+
+// Create and number a new invoice for the order. Returns null when another
+// request issued one first. The number is only taken once the invoice exists,
+// so a failed issue does not use one up.
+const issueInvoice = async (order, { replaces } = {}) => {
+  let invoice;
+  try {
+    invoice = await Invoice.create({ ...(await buildInvoiceData(order)), replaces });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return numberInvoice(invoice);
+};
+
+// Void an invoice the order's payments have moved past and issue its
+// replacement. Returns whichever invoice is live afterwards.
+const refreshInvoice = async (invoice, order) => {
+  const voided = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: 'issued' },
+    { $set: { status: 'void', voidedAt: new Date(), voidReason: 'The payments on the order changed' } }
+  );
+  if (!voided) {
+    return Invoice.findOne({ order: order._id, status: 'issued' });
+  }
+
+  const replacement = await issueInvoice(order, { replaces: invoice._id });
+  if (!replacement) {
+    return Invoice.findOne({ order: order._id, status: 'issued' });
+  }
+
+  await Invoice.updateOne({ _id: invoice._id }, { $set: { replacedBy: replacement._id } });
+  return replacement;
+};
+
+// The order's live invoice, issued on first request and replaced whenever
+// money has moved on the order since
+const getOrderInvoice = async (order) => {
+  let invoice = await Invoice.findOne({ order: order._id, status: 'issued' });
+
+  if (!invoice) {
+    if (await Invoice.exists({ order: order._id, status: 'void', replacedBy: { $exists: false } })) {
+      throw new InvoiceError('The invoice for this order was voided', 404);
+    }
+    if (!isInvoiceable(order)) {
+      throw new InvoiceError('This order has not been paid yet', 409);
+    }
+    invoice = await issueInvoice(order) || await Invoice.findOne({ order: order._id, status: 'issued' });
+  }
+
+  // Left without a number by a request that failed part way
+  if (invoice && !invoice.number && Date.now() - invoice.createdAt.getTime() > NUMBERING_TIMEOUT_MS) {
+    invoice = await numberInvoice(invoice);
+  }
+
+  if (!invoice || !invoice.number) {
+    throw new InvoiceError('The invoice is still being issued, try again shortly', 409);
+  }
+
+  if (invoice.billedState !== getBilledState(order)) {
+    invoice = await refreshInvoice(invoice, order);
+    if (!invoice || !invoice.number) {
+      throw new InvoiceError('The invoice is still being issued, try again shortly', 409);
+    }
+  }
+
+  return invoice;
+};
+
+const voidInvoice = async (invoice, { user, reason }) => {
+  invoice.status = 'void';
+  invoice.voidedAt = new Date();
+  invoice.voidedBy = user._id;
+  invoice.voidReason = reason;
+  await invoice.save();
+  return invoice;
+};
+
+// Void the invoice if it is still live and issue a fresh one from the order
+const reissueInvoice = async (invoice, order, { user, reason }) => {
+  if (invoice.replacedBy) {
+    throw new InvoiceError('This invoice has already been reissued', 409);
+  }
+
+  if (invoice.status === 'issued') {
+    await voidInvoice(invoice, { user, reason: reason || 'Reissued' });
+  }
+
+  const replacement = await issueInvoice(order, { replaces: invoice._id });
+  if (!replacement) {
+    throw new InvoiceError('The order already has a live invoice', 409);
+  }
+
+  invoice.replacedBy = replacement._id;
+  await invoice.save();
+  return replacement;
+};
+
+module.exports = {
+  InvoiceError,
+  formatInvoiceNumber,
+  isInvoiceable,
+  getBilledState,
+  buildLineItems,
+  issueInvoice,
+  getOrderInvoice,
+  voidInvoice,
+  reissueInvoice
+};
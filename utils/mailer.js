@@ -0,0 +1,49 @@
+const nodemailer = require('nodemailer');
+
+let activeTransporter = null;
+
+// SMTP from the SMTP_* settings. Without SMTP_HOST emails are only logged, so
+// development does not need a mail server.
+const getTransporter = () => {
+  if (!activeTransporter) {
+    if (process.env.SMTP_HOST) {
+      const port = parseInt(process.env.SMTP_PORT) || 587;
+      activeTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    } else {
+      activeTransporter = nodemailer.createTransport({ jsonTransport: true });
+    }
+  }
+  return activeTransporter;
+};
+
+const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@freelance-marketplace.local',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (!process.env.SMTP_HOST) {
+    console.log(`Email to ${to} not sent, SMTP_HOST is not set: ${subject}`);
+  }
+  return info;
+};
+
+// Swap the transporter at runtime, e.g. from tests
+const setTransporter = (transporter) => {
+  activeTransporter = transporter;
+};
+
+module.exports = {
+  sendEmail,
+  setTransporter
+};
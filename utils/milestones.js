@@ -0,0 +1,70 @@
+const { ErrorResponse } = require('./errorResponse');
+const { roundMoney } = require('./escrow');
+
+const MIN_MILESTONES = 2;
+const MAX_MILESTONES = 10;
+
+// Raised when a milestone plan or action does not fit the order
+class MilestoneError extends ErrorResponse {
+  constructor(message, statusCode = 400) {
+    super(message, statusCode);
+  }
+}
+
+const hasMilestones = (order) => Boolean(order.milestones && order.milestones.length > 0);
+
+// Milestones whose work is not finished yet
+const getOpenMilestones = (order) => (order.milestones || [])
+  .filter(milestone => !['approved', 'cancelled'].includes(milestone.status));
+
+// True once every milestone has been handed in or signed off
+const allMilestonesDelivered = (order) => getOpenMilestones(order)
+  .every(milestone => milestone.status === 'delivered');
+
+// Milestone orders are delivered, revised and approved per milestone
+const assertNoMilestones = (order) => {
+  if (hasMilestones(order)) {
+    throw new MilestoneError('This order is split into milestones; use the milestone endpoints instead');
+  }
+};
+
+// Check the buyer's plan against the order total and turn it into milestones
+const buildMilestones = (input, totalAmount) => {
+  if (!Array.isArray(input) || input.length < MIN_MILESTONES || input.length > MAX_MILESTONES) {
+    throw new MilestoneError(`Orders can be split into ${MIN_MILESTONES} to ${MAX_MILESTONES} milestones`);
+  }
+
+  const milestones = input.map((item, index) => {
+    const title = typeof item.title === 'string' ? item.title.trim() : '';
+    const amount = roundMoney(parseFloat(item.amount));
+    const dueDate = new Date(item.dueDate);
+
+    if (!title) {
+      throw new MilestoneError(`Milestone ${index + 1} needs a title`);
+    }
+    if (isNaN(amount) || amount < 5) {
+      throw new MilestoneError(`Milestone ${index + 1} must be at least $5`);
+    }
+    if (isNaN(dueDate.getTime()) || dueDate <= new Date()) {
+      throw new MilestoneError(`Milestone ${index + 1} needs a due date in the future`);
+    }
+
+    return { title, description: item.description, amount, dueDate };
+  });
+
+  const total = roundMoney(milestones.reduce((sum, milestone) => sum + milestone.amount, 0));
+  if (total !== roundMoney(totalAmount)) {
+    throw new MilestoneError(`Milestone amounts add up to ${total} but the order costs ${roundMoney(totalAmount)}`);
+  }
+
+  return milestones;
+};
+
+module.exports = {
+  MilestoneError,
+  hasMilestones,
+  getOpenMilestones,
+  allMilestonesDelivered,
+  assertNoMilestones,
+  buildMilestones
+};
@@ -0,0 +1,31 @@
+const Notification = require('../models/Notification');
+const { sendEmail } = require('./mailer');
+
+// Create an in-app notification and, when the user has the matching
+// emailNotifications preference on, email it too. The user needs email and
+// emailNotifications loaded. A failed email is logged; the in-app
+// notification stands either way.
+const notify = async (user, { emailPreference, emailText, ...fields }) => {
+  const notification = await Notification.create({ user: user._id, ...fields });
+
+  const preferences = user.emailNotifications || {};
+  if (!emailPreference || preferences[emailPreference] === false || !user.email) {
+    return notification;
+  }
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: fields.title,
+      text: emailText || fields.message
+    });
+    notification.emailedAt = new Date();
+    await notification.save();
+  } catch (error) {
+    console.error(`Notification email failed for user ${user._id}:`, error.message);
+  }
+
+  return notification;
+};
+
+module.exports = { notify };
@@ -0,0 +1,30 @@
+const OrderEvent = require('../models/OrderEvent');
+
+// Append an event to the order's timeline.
+// user:    who did it; leave out for background jobs
+// role:    their side of the order ('buyer', 'seller', 'admin' or 'system')
+// payload: whatever the event needs to be understood on its own
+const recordOrderEvent = (order, type, { user, role, payload = {} } = {}) => OrderEvent.create({
+  order: order._id,
+  type,
+  actor: user ? user._id : undefined,
+  actorRole: role || 'system',
+  payload
+});
+
+// A page of an order's timeline, oldest first
+const getOrderTimeline = async (orderId, { page = 1, limit = 20 } = {}) => {
+  const filter = { order: orderId };
+  const [events, total] = await Promise.all([
+    OrderEvent.find(filter)
+      .populate('actor', 'name profilePicture')
+      .sort({ createdAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    OrderEvent.countDocuments(filter)
+  ]);
+
+  return { events, total };
+};
+
+module.exports = { recordOrderEvent, getOrderTimeline };
@@ -0,0 +1,52 @@
+const Order = require('../models/Order');
+const { holdOrderFunds } = require('./escrow');
+const { buildGigSnapshot } = require('./orderPricing');
+const { recordOrderEvent } = require('./orderEvents');
+
+// Every way of buying (gig checkout, custom offers, ...) creates its order
+// here: price it, snapshot the gig, save, charge into escrow.
+//
+// pricing:   result of priceGigOrder, or an equivalent for negotiated prices
+// snapshot:  fields that override the gig snapshot, e.g. a custom offer price
+// fields:    anything else to store on the order (source, references, ...)
+const placeOrder = async ({ gig, buyer, pricing, requirements, snapshot = {}, fields = {} }) => {
+  const order = new Order({
+    gig: gig._id,
+    buyer,
+    seller: gig.seller,
+    amount: pricing.amount,
+    gigSnapshot: { ...buildGigSnapshot(gig, pricing), ...snapshot },
+    package: pricing.package,
+    extras: pricing.extras || [],
+    requirements,
+    deliveryDays: pricing.deliveryDays,
+    revisionsAllowed: pricing.revisions,
+    extraRevisionPrice: gig.extraRevisionPrice,
+    status: 'pending',
+    ...fields
+  });
+
+  // Saved before the charge so every charge has an order to refund from; an
+  // order whose charge fails is removed again
+  await order.save();
+
+  // Charge the buyer up front; the money waits in escrow until completion
+  try {
+    await holdOrderFunds(order);
+  } catch (error) {
+    await Order.deleteOne({ _id: order._id });
+    throw error;
+  }
+
+  await order.save();
+
+  await recordOrderEvent(order, 'created', {
+    user: { _id: buyer },
+    role: 'buyer',
+    payload: { source: order.source, amount: order.amount, status: order.status }
+  });
+
+  return order;
+};
+
+module.exports = { placeOrder };
@@ -0,0 +1,118 @@
+const { ErrorResponse } = require('./errorResponse');
+const { roundMoney } = require('./escrow');
+
+// Raised when the buyer's selection does not match what the gig offers
+class PricingError extends ErrorResponse {
+  constructor(message) {
+    super(message, 400);
+  }
+}
+
+const basePricing = (gig, packageId) => {
+  if (gig.packages && gig.packages.length > 0) {
+    if (!packageId) {
+      throw new PricingError('Please choose a package for this gig');
+    }
+
+    const pkg = gig.packages.id(packageId);
+    if (!pkg) {
+      throw new PricingError('Package not found on this gig');
+    }
+
+    return {
+      amount: pkg.price,
+      deliveryDays: pkg.deliveryTime,
+      revisions: pkg.revisions,
+      package: {
+        packageId: pkg._id,
+        tier: pkg.tier,
+        name: pkg.name,
+        price: pkg.price,
+        deliveryTime: pkg.deliveryTime,
+        revisions: pkg.revisions,
+        features: pkg.features
+      }
+    };
+  }
+
+  return {
+    amount: gig.price,
+    deliveryDays: gig.deliveryTime,
+    revisions: gig.revisions,
+    package: undefined
+  };
+};
+
+// Selected extras can be plain ids or { extraId, quantity }
+const resolveExtras = (gig, selected = []) => {
+  const seen = new Set();
+
+  return selected.map(item => {
+    const extraId = typeof item === 'object' && item !== null ? item.extraId : item;
+    const quantity = typeof item === 'object' && item !== null && item.quantity !== undefined ? parseInt(item.quantity) : 1;
+
+    const extra = gig.extras && gig.extras.id(extraId);
+    if (!extra) {
+      throw new PricingError('Extra not found on this gig');
+    }
+    if (seen.has(extra._id.toString())) {
+      throw new PricingError(`Extra '${extra.title}' was selected more than once`);
+    }
+    if (isNaN(quantity) || quantity < 1 || quantity > 10) {
+      throw new PricingError('Extra quantity must be between 1 and 10');
+    }
+    seen.add(extra._id.toString());
+
+    return {
+      extraId: extra._id,
+      title: extra.title,
+      price: extra.price,
+      quantity,
+      additionalDays: extra.additionalDays,
+      additionalRevisions: extra.additionalRevisions
+    };
+  });
+};
+
+// Work out what an order for a gig costs and what it includes, using only the
+// gig's current data. Anything price-related the client sends is ignored.
+const priceGigOrder = (gig, { packageId, extras } = {}) => {
+  const base = basePricing(gig, packageId);
+  const lineItems = resolveExtras(gig, extras);
+
+  const totals = lineItems.reduce((sum, item) => ({
+    amount: sum.amount + item.price * item.quantity,
+    deliveryDays: sum.deliveryDays + item.additionalDays * item.quantity,
+    revisions: sum.revisions + item.additionalRevisions * item.quantity
+  }), { amount: base.amount, deliveryDays: base.deliveryDays, revisions: base.revisions });
+
+  return {
+    amount: roundMoney(totals.amount),
+    // Express delivery cannot take an order below a single day
+    deliveryDays: Math.max(totals.deliveryDays, 1),
+    revisions: totals.revisions,
+    package: base.package,
+    extras: lineItems
+  };
+};
+
+// Copy of the gig stored on the order, using the package the buyer chose
+const buildGigSnapshot = (gig, pricing = {}) => {
+  const pkg = pricing.package;
+  return {
+    title: gig.title,
+    category: gig.category,
+    subcategory: gig.subcategory,
+    price: pkg ? pkg.price : gig.price,
+    deliveryTime: pkg ? pkg.deliveryTime : gig.deliveryTime,
+    revisions: pkg ? pkg.revisions : gig.revisions,
+    image: gig.primaryImage,
+    slug: gig.slug
+  };
+};
+
+module.exports = {
+  PricingError,
+  priceGigOrder,
+  buildGigSnapshot
+};
@@ -0,0 +1,270 @@
+const Gig = require('../models/Gig');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { ErrorResponse } = require('./errorResponse');
+const {
+  releaseOrderFunds,
+  refundOrderFunds,
+  getSellerEarnings,
+  getGigEarnings
+} = require('./escrow');
+const { getOpenMilestones, allMilestonesDelivered } = require('./milestones');
+const { getMissingAnswers } = require('./requirements');
+const { recordOrderEvent } = require('./orderEvents');
+
+// Raised when an order is asked to move to a status it cannot reach
+class OrderTransitionError extends ErrorResponse {
+  constructor(from, to, allowedTransitions, reason) {
+    super(`Cannot move order from '${from}' to '${to}'${reason ? `: ${reason}` : ''}`, 409);
+    this.from = from;
+    this.to = to;
+    this.allowedTransitions = allowedTransitions;
+    this.details = { currentStatus: from, allowedTransitions };
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Side effects run after the status has been changed, before the order is saved
+
+// The seller's acceptance window opens once the buyer has told them what they need
+const markRequirementsSubmitted = async (order) => {
+  order.requirementsSubmittedAt = new Date();
+};
+
+// The delivery clock starts when the seller accepts
+const markAccepted = async (order) => {
+  order.acceptedDate = new Date();
+  if (order.deliveryDays) {
+    order.dueDate = new Date(order.acceptedDate.getTime() + order.deliveryDays * DAY_MS);
+  }
+};
+
+// The delivery itself, and the revision requests it answers, are recorded by
+// recordDelivery before the move
+const markDelivered = async (order) => {
+  order.deliveryDate = new Date();
+};
+
+const markCompleted = async (order, { refundAmount, reason } = {}) => {
+  order.completedDate = new Date();
+
+  // A dispute can settle with part of the money going back to the buyer
+  if (refundAmount) {
+    await refundOrderFunds(order, refundAmount, reason || 'Partial refund');
+  }
+
+  // Milestones still open are signed off and paid with the order
+  for (const milestone of getOpenMilestones(order)) {
+    const released = await releaseOrderFunds(order, milestone.amount);
+    milestone.status = 'approved';
+    milestone.approvedAt = order.completedDate;
+    milestone.releasedAmount = released ? released.amount : 0;
+  }
+
+  // Pay the seller whatever is still held in escrow
+  await releaseOrderFunds(order);
+
+  // Update seller stats; earnings are derived from the ledger
+  const seller = await User.findById(order.seller);
+  if (seller) {
+    seller.totalOrders += 1;
+    seller.totalEarnings = await getSellerEarnings(order.seller);
+    await seller.save();
+  }
+
+  // Update gig stats; hourly contract orders have no gig
+  const gig = order.gig && await Gig.findById(order.gig);
+  if (gig) {
+    gig.totalOrders += 1;
+    gig.totalEarnings = await getGigEarnings(gig._id);
+    await gig.save();
+  }
+};
+
+const markCancelled = async (order, { role, reason, refundAmount }) => {
+  order.cancelledDate = new Date();
+  order.cancelledBy = role;
+  if (reason) {
+    order.cancellationReason = reason;
+  }
+
+  // Milestones already approved stay paid; the rest are dropped
+  getOpenMilestones(order).forEach(milestone => {
+    milestone.status = 'cancelled';
+  });
+
+  // Return anything still held in escrow to the buyer, unless both sides
+  // agreed on a partial refund; the seller then keeps the rest
+  await refundOrderFunds(order, refundAmount, reason || 'Order cancelled');
+  if (refundAmount !== undefined) {
+    await releaseOrderFunds(order);
+  }
+};
+
+const markDisputed = async (order) => {
+  order.disputedDate = new Date();
+};
+
+// Guards return a reason when a move is not possible yet.
+// Work is handed in through the delivery endpoints, which keep its files and
+// version; a milestone order only counts as delivered once every milestone is in.
+const requireDelivery = (order, { delivery }) => {
+  if (!delivery) return 'submit a delivery instead';
+  return allMilestonesDelivered(order) ? null : 'every milestone must be delivered first';
+};
+
+// Delivered work only goes back to the seller with a revision request, which
+// counts against the order's revision allowance
+const requireRevisionRequest = (order, { revision }) => (
+  revision && revision.status === 'pending' ? null : 'request a revision instead'
+);
+
+const requireAnswers = (order) => (
+  getMissingAnswers(order.questionnaire).length === 0 ? null : 'required questions are not answered yet'
+);
+
+// Once the seller has accepted, a party can only cancel alone when the work
+// is overdue; otherwise the other side has to accept a cancellation request
+const requireCancellationAgreed = (order, { role, agreed }) => {
+  if (agreed || role === 'admin' || role === 'system') return null;
+  if (role === 'buyer' && order.isLate && order.status !== 'delivered') return null;
+  return 'the other party has to agree to a cancellation request';
+};
+
+// from status -> to status -> who may make the move, what happens when they do
+// and the event it leaves on the order's timeline
+const ORDER_TRANSITIONS = {
+  awaiting_requirements: {
+    pending: { roles: ['buyer'], effect: markRequirementsSubmitted, guard: requireAnswers, event: 'requirements_submitted' },
+    // system: the buyer never answered the questions
+    cancelled: { roles: ['buyer', 'seller', 'admin', 'system'], effect: markCancelled, event: 'cancelled' }
+  },
+  pending: {
+    accepted: { roles: ['seller', 'admin'], effect: markAccepted, event: 'accepted' },
+    // system: never accepted within the acceptance window
+    cancelled: { roles: ['buyer', 'seller', 'admin', 'system'], effect: markCancelled, event: 'cancelled' }
+  },
+  accepted: {
+    in_progress: { roles: ['seller', 'admin'], event: 'started' },
+    delivered: { roles: ['seller'], effect: markDelivered, guard: requireDelivery, event: 'delivered' },
+    cancelled: { roles: ['buyer', 'seller', 'admin'], effect: markCancelled, guard: requireCancellationAgreed, event: 'cancelled' },
+    // system: a cancellation request was declined or left unanswered
+    disputed: { roles: ['buyer', 'seller', 'system'], effect: markDisputed, event: 'disputed' }
+  },
+  in_progress: {
+    delivered: { roles: ['seller'], effect: markDelivered, guard: requireDelivery, event: 'delivered' },
+    cancelled: { roles: ['buyer', 'seller', 'admin'], effect: markCancelled, guard: requireCancellationAgreed, event: 'cancelled' },
+    disputed: { roles: ['buyer', 'seller', 'system'], effect: markDisputed, event: 'disputed' }
+  },
+  delivered: {
+    // Buyer sends the work back for a revision
+    in_progress: { roles: ['buyer'], guard: requireRevisionRequest, event: 'revision_requested' },
+    // system: buyer did not respond within the review window
+    completed: { roles: ['buyer', 'admin', 'system'], effect: markCompleted, event: 'completed' },
+    cancelled: { roles: ['buyer', 'seller', 'admin'], effect: markCancelled, guard: requireCancellationAgreed, event: 'cancelled' },
+    disputed: { roles: ['buyer', 'seller', 'system'], effect: markDisputed, event: 'disputed' }
+  },
+  // Only an admin settles a dispute, see disputeController.resolveDispute
+  disputed: {
+    completed: { roles: ['admin'], effect: markCompleted, event: 'completed' },
+    cancelled: { roles: ['admin'], effect: markCancelled, event: 'cancelled' }
+  },
+  completed: {},
+  cancelled: {}
+};
+
+// Work out which side of the order a user is on. Background jobs act as 'system'.
+const getOrderRole = (order, user) => {
+  if (!user) return null;
+  if (user.role === 'admin') return 'admin';
+
+  const userId = user._id.toString();
+  const buyerId = order.buyer._id ? order.buyer._id.toString() : order.buyer.toString();
+  const sellerId = order.seller._id ? order.seller._id.toString() : order.seller.toString();
+
+  if (buyerId === userId) return 'buyer';
+  if (sellerId === userId) return 'seller';
+  return null;
+};
+
+// Statuses the given role may move the order to next
+const getAllowedTransitions = (order, role) => {
+  const transitions = ORDER_TRANSITIONS[order.status] || {};
+  return Object.keys(transitions).filter(to => transitions[to].roles.includes(role));
+};
+
+const canTransition = (order, to, role) => getAllowedTransitions(order, role).includes(to);
+
+// Take the move for this request: the status only changes if nobody else
+// moved the order first, so side effects such as paying the seller run once
+const claimTransition = async (order, from, to, role) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    { $set: { status: to } },
+    { new: true, projection: { _id: 1 } }
+  );
+  if (!claimed) {
+    const current = await Order.findById(order._id).select('status');
+    const status = current ? current.status : from;
+    throw new OrderTransitionError(status, to, getAllowedTransitions({ status }, role), 'the order was changed by another request');
+  }
+};
+
+// Put a claimed order back to where it was when its side effects fail. Money
+// that already moved stays on the order's books, so a retry does not move it again.
+const releaseTransition = async (order, from, to) => {
+  order.status = from;
+  await Order.updateOne(
+    { _id: order._id, status: to },
+    { $set: { status: from, ...(order.payment ? { payment: order.payment } : {}) } }
+  );
+};
+
+// Move an order to a new status, run the transition's side effects, save it and
+// add the move to the timeline. `context.event` is merged into the event payload.
+const transitionOrder = async (order, to, context = {}) => {
+  const from = order.status;
+  const { role, user, reason, event: eventPayload } = context;
+
+  if (!canTransition(order, to, role)) {
+    throw new OrderTransitionError(from, to, getAllowedTransitions(order, role));
+  }
+
+  const { effect, guard, event } = ORDER_TRANSITIONS[from][to];
+
+  const blocked = guard && guard(order, context);
+  if (blocked) {
+    throw new OrderTransitionError(from, to, getAllowedTransitions(order, role), blocked);
+  }
+
+  await claimTransition(order, from, to, role);
+
+  order.status = to;
+  try {
+    if (effect) {
+      await effect(order, context);
+    }
+    await order.save();
+  } catch (error) {
+    await releaseTransition(order, from, to);
+    throw error;
+  }
+
+  await recordOrderEvent(order, event, {
+    user,
+    role: role || 'system',
+    payload: { from, to, ...(reason ? { reason } : {}), ...eventPayload }
+  });
+
+  return order;
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  OrderTransitionError,
+  getOrderRole,
+  getAllowedTransitions,
+  canTransition,
+  transitionOrder
+};
@@ -0,0 +1,26 @@
+// Interface every payment provider implements. Amounts are in major currency
+// units; each method resolves to `{ id, status }` where status is
+// 'succeeded' or 'failed'.
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Take money from a buyer: { amount, currency, customer, description, metadata }
+  async charge() {
+    throw new Error(`${this.name} provider does not implement charge()`);
+  }
+
+  // Return money from an earlier charge: { chargeId, amount, reason }
+  async refund() {
+    throw new Error(`${this.name} provider does not implement refund()`);
+  }
+
+  // Send money to a seller: { amount, currency, destination, idempotencyKey, metadata }.
+  // A repeat call with the same idempotencyKey returns the first transfer.
+  async payout() {
+    throw new Error(`${this.name} provider does not implement payout()`);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+// Local provider for development and tests. Nothing leaves the server; every
+// call succeeds unless the amount is invalid or a refund exceeds its charge.
+class FakePaymentProvider extends PaymentProvider {
+  constructor() {
+    super('fake');
+    this.charges = new Map();
+    this.payouts = new Map();
+  }
+
+  createId(prefix) {
+    return `fake_${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  async charge({ amount }) {
+    if (!(amount > 0)) {
+      return { id: this.createId('ch'), status: 'failed', failureReason: 'Invalid amount' };
+    }
+
+    const id = this.createId('ch');
+    this.charges.set(id, { amount, refunded: 0 });
+    return { id, status: 'succeeded' };
+  }
+
+  async refund({ chargeId, amount }) {
+    const charge = this.charges.get(chargeId);
+
+    // Charges made before a restart are not in memory; accept their refunds
+    if (charge) {
+      if (charge.refunded + amount > charge.amount + 0.001) {
+        return { id: this.createId('re'), status: 'failed', failureReason: 'Refund exceeds charge' };
+      }
+      charge.refunded += amount;
+    }
+
+    return { id: this.createId('re'), status: 'succeeded' };
+  }
+
+  async payout({ amount, idempotencyKey }) {
+    if (!(amount > 0)) {
+      return { id: this.createId('po'), status: 'failed', failureReason: 'Invalid amount' };
+    }
+    if (idempotencyKey && this.payouts.has(idempotencyKey)) {
+      return this.payouts.get(idempotencyKey);
+    }
+
+    const result = { id: this.createId('po'), status: 'succeeded' };
+    if (idempotencyKey) this.payouts.set(idempotencyKey, result);
+    return result;
+  }
+}
+
+module.exports = FakePaymentProvider;
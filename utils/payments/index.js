@@ -0,0 +1,32 @@
+const PaymentProvider = require('./PaymentProvider');
+const FakePaymentProvider = require('./fakeProvider');
+
+// Providers selectable through PAYMENT_PROVIDER
+const providers = {
+  fake: FakePaymentProvider
+};
+
+let activeProvider = null;
+
+const getPaymentProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.PAYMENT_PROVIDER || 'fake';
+    const Provider = providers[name];
+    if (!Provider) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    activeProvider = new Provider();
+  }
+  return activeProvider;
+};
+
+// Swap the provider at runtime, e.g. from tests
+const setPaymentProvider = (provider) => {
+  activeProvider = provider;
+};
+
+module.exports = {
+  PaymentProvider,
+  getPaymentProvider,
+  setPaymentProvider
+};
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { getPaymentProvider } = require('./payments');
+const { ErrorResponse } = require('./errorResponse');
+const { CURRENCY, SELLER_EARNING_TYPES, PaymentError, roundMoney, sellerAccount, postTransaction } = require('./escrow');
+
+const getMinimumPayout = () => {
+  const amount = parseFloat(process.env.MIN_PAYOUT_AMOUNT);
+  return isNaN(amount) ? 20 : amount;
+};
+
+// Payouts that have not been paid yet still reserve part of the balance
+const OPEN_PAYOUT_STATUSES = ['requested', 'approved', 'processing'];
+
+// How long a withdrawal request may hold the seller's payout lock; a request
+// that dies holding it only blocks the seller this long
+const PAYOUT_LOCK_MS = 30 * 1000;
+
+class PayoutError extends ErrorResponse {
+  constructor(message, statusCode = 400) {
+    super(message, statusCode);
+  }
+}
+
+// available: cleared earnings the seller can withdraw now
+// pending:   earnings still inside the clearance period
+// reserved:  requested or approved payouts that have not been paid yet
+// withdrawn: payouts already sent
+const getSellerBalances = async (sellerId) => {
+  const account = sellerAccount(sellerId);
+  const now = new Date();
+
+  const [earnings, withdrawals, open] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { debitAccount: account, type: { $in: SELLER_EARNING_TYPES } } },
+      {
+        $group: {
+          _id: null,
+          cleared: { $sum: { $cond: [{ $gt: ['$availableAt', now] }, 0, '$amount'] } },
+          pending: { $sum: { $cond: [{ $gt: ['$availableAt', now] }, '$amount', 0] } }
+        }
+      }
+    ]),
+    LedgerEntry.aggregate([
+      { $match: { creditAccount: account, type: 'withdrawal' } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]),
+    Payout.aggregate([
+      { $match: { seller: new mongoose.Types.ObjectId(sellerId.toString()), status: { $in: OPEN_PAYOUT_STATUSES } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const cleared = earnings.length > 0 ? earnings[0].cleared : 0;
+  const pending = earnings.length > 0 ? earnings[0].pending : 0;
+  const withdrawn = withdrawals.length > 0 ? withdrawals[0].total : 0;
+  const reserved = open.length > 0 ? open[0].total : 0;
+
+  return {
+    currency: CURRENCY,
+    available: roundMoney(Math.max(cleared - withdrawn - reserved, 0)),
+    pending: roundMoney(pending),
+    reserved: roundMoney(reserved),
+    withdrawn: roundMoney(withdrawn),
+    minimumPayout: getMinimumPayout()
+  };
+};
+
+// Run fn while holding the seller's payout lock, so two withdrawal requests
+// cannot both spend the same available balance
+const withPayoutLock = async (sellerId, fn) => {
+  const now = new Date();
+  const locked = await User.findOneAndUpdate(
+    { _id: sellerId, $or: [{ payoutLockedUntil: null }, { payoutLockedUntil: { $lte: now } }] },
+    { $set: { payoutLockedUntil: new Date(now.getTime() + PAYOUT_LOCK_MS) } },
+    { projection: { _id: 1 } }
+  );
+  if (!locked) {
+    throw new PayoutError('Another withdrawal request is being processed, try again shortly', 409);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await User.updateOne({ _id: sellerId }, { $unset: { payoutLockedUntil: 1 } });
+  }
+};
+
+// Payouts still processing or unbooked after this long were left behind by a
+// request that failed part way, and are finished by reconcilePayouts
+const PAYOUT_RECOVERY_MS = 15 * 60 * 1000;
+
+// Book a paid payout in the ledger. The ledger is checked for the provider
+// reference first, so booking a payout again after a failure is harmless.
+const bookPayout = async (payout) => {
+  const booked = await LedgerEntry.exists({ type: 'withdrawal', providerReference: payout.providerReference });
+  if (!booked) {
+    await postTransaction([
+      { type: 'withdrawal', creditAccount: sellerAccount(payout.seller), debitAccount: 'payouts', user: payout.seller, amount: payout.amount }
+    ], { provider: getPaymentProvider().name, providerReference: payout.providerReference, description: `Payout ${payout._id}` });
+  }
+
+  payout.bookedAt = new Date();
+  await Payout.updateOne({ _id: payout._id }, { $set: { bookedAt: payout.bookedAt } });
+};
+
+// Ask the provider to send a processing payout. The payout id is the
+// idempotency key, so asking again for a payout that already went out returns
+// the original transfer. Once sent, the payout is saved as paid before it is
+// booked, so the transfer is on record even if booking fails.
+const deliverPayout = async (payout) => {
+  const provider = getPaymentProvider();
+
+  let result;
+  try {
+    result = await provider.payout({
+      amount: payout.amount,
+      currency: payout.currency,
+      destination: payout.method,
+      idempotencyKey: payout._id.toString(),
+      metadata: { payoutId: payout._id.toString(), sellerId: payout.seller.toString() }
+    });
+    if (result.status !== 'succeeded') {
+      throw new PaymentError(result.failureReason || 'Payout failed');
+    }
+  } catch (error) {
+    await Payout.updateOne(
+      { _id: payout._id, status: 'processing' },
+      { $set: { status: 'approved' }, $unset: { processingAt: 1 } }
+    );
+    payout.status = 'approved';
+    payout.processingAt = undefined;
+    throw error;
+  }
+
+  payout.status = 'paid';
+  payout.paidAt = new Date();
+  payout.providerReference = result.id;
+  await Payout.updateOne(
+    { _id: payout._id, status: 'processing' },
+    { $set: { status: 'paid', paidAt: payout.paidAt, providerReference: result.id } }
+  );
+
+  await bookPayout(payout);
+  return result;
+};
+
+// Send an approved payout through the provider and book it in the ledger.
+// The payout is claimed as processing first so only one request sends it; if
+// the provider does not send it, it goes back to approved.
+const sendPayout = async (payout) => {
+  const processingAt = new Date();
+  const claimed = await Payout.updateOne(
+    { _id: payout._id, status: 'approved' },
+    { $set: { status: 'processing', processingAt } }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new PayoutError('This payout is no longer waiting to be paid', 409);
+  }
+  payout.status = 'processing';
+  payout.processingAt = processingAt;
+
+  return deliverPayout(payout);
+};
+
+// Finish a payout a failed request left behind: one stuck in processing is
+// sent again, which the idempotency key makes safe, and one that was paid but
+// never booked is booked. Returns false when another run got to it first.
+const reconcilePayout = async (payout) => {
+  if (payout.status === 'paid') {
+    await bookPayout(payout);
+    return true;
+  }
+
+  const processingAt = new Date();
+  const claimed = await Payout.updateOne(
+    { _id: payout._id, status: 'processing', processingAt: payout.processingAt },
+    { $set: { processingAt } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+  payout.processingAt = processingAt;
+
+  await deliverPayout(payout);
+  return true;
+};
+
+module.exports = {
+  OPEN_PAYOUT_STATUSES,
+  PAYOUT_RECOVERY_MS,
+  PayoutError,
+  getMinimumPayout,
+  getSellerBalances,
+  withPayoutLock,
+  sendPayout,
+  reconcilePayout
+};
@@ -0,0 +1,140 @@
+const { ErrorResponse } = require('./errorResponse');
+
+const MAX_ANSWER_LENGTH = 2000;
+
+// Raised when the buyer's answers do not fit the gig's questionnaire
+class RequirementsError extends ErrorResponse {
+  constructor(errors) {
+    super('Requirement answers are invalid', 400);
+    this.details = { errors };
+  }
+}
+
+// Copy the gig's questions onto the order so later edits do not change them
+const buildQuestionnaire = (gig) => (gig.questionnaire || []).map(question => ({
+  questionId: question._id,
+  question: question.question,
+  type: question.type,
+  options: question.options,
+  allowMultiple: question.allowMultiple,
+  required: question.required
+}));
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Answers arrive as [{ questionId, answer }] or as { questionId: answer }
+const normalizeAnswers = (answers) => {
+  if (!answers) return {};
+  if (typeof answers === 'string') {
+    try {
+      answers = JSON.parse(answers);
+    } catch (error) {
+      return {};
+    }
+  }
+  if (Array.isArray(answers)) {
+    return answers.reduce((map, item) => {
+      if (item && item.questionId) map[item.questionId] = item.answer;
+      return map;
+    }, {});
+  }
+  return typeof answers === 'object' ? answers : {};
+};
+
+// Turn one raw answer into the fields stored on the question, or an error
+// message. File questions are only answered by a file uploaded in the request.
+const readAnswer = (question, value, upload) => {
+  if (upload && question.type !== 'file') {
+    return { error: 'This question does not take a file' };
+  }
+
+  switch (question.type) {
+    case 'text': {
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (!text) return { error: 'Answer must be text' };
+      if (text.length > MAX_ANSWER_LENGTH) return { error: `Answer cannot exceed ${MAX_ANSWER_LENGTH} characters` };
+      return { answer: text };
+    }
+    case 'url': {
+      const url = typeof value === 'string' ? value.trim() : '';
+      if (!isHttpUrl(url)) return { error: 'Answer must be a valid http(s) URL' };
+      return { answer: url };
+    }
+    case 'multiple_choice': {
+      const choices = Array.isArray(value) ? value : [value];
+      if (choices.length === 0 || choices.some(choice => !question.options.includes(choice))) {
+        return { error: `Choose from: ${question.options.join(', ')}` };
+      }
+      if (!question.allowMultiple && choices.length > 1) return { error: 'Choose a single option' };
+      return { choices };
+    }
+    case 'file': {
+      if (!upload) return { error: 'Upload a file for this question' };
+      return { file: upload };
+    }
+    default:
+      return { error: 'Unknown question type' };
+  }
+};
+
+// Fill in the order's questionnaire. Answers can come in several requests;
+// each call only touches the questions it answers.
+const applyAnswers = (questionnaire, rawAnswers, files = []) => {
+  const answers = normalizeAnswers(rawAnswers);
+
+  // Uploaded files use the question id as their field name
+  const uploads = {};
+  files.forEach(file => {
+    uploads[file.fieldname] = {
+      filename: file.originalname,
+      url: `/uploads/requirements/${file.filename}`,
+      fileType: file.mimetype,
+      fileSize: file.size
+    };
+  });
+
+  const errors = [];
+  new Set([...Object.keys(answers), ...Object.keys(uploads)]).forEach(questionId => {
+    const question = questionnaire.find(item => item.questionId.toString() === questionId);
+    if (!question) {
+      errors.push({ questionId, message: 'Question not found on this order' });
+      return;
+    }
+
+    const { error, ...fields } = readAnswer(question, answers[questionId], uploads[questionId]);
+    if (error) {
+      errors.push({ questionId, question: question.question, message: error });
+      return;
+    }
+
+    Object.assign(question, fields, { answeredAt: new Date() });
+  });
+
+  if (errors.length > 0) {
+    throw new RequirementsError(errors);
+  }
+
+  return questionnaire;
+};
+
+const isAnswered = (question) => Boolean(
+  question.answer || (question.choices && question.choices.length > 0) || (question.file && question.file.url)
+);
+
+// Required questions the buyer still has to answer
+const getMissingAnswers = (questionnaire = []) => questionnaire
+  .filter(question => question.required && !isAnswered(question));
+
+module.exports = {
+  RequirementsError,
+  buildQuestionnaire,
+  applyAnswers,
+  getMissingAnswers
+};
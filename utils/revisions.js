@@ -0,0 +1,26 @@
+const { ErrorResponse } = require('./errorResponse');
+
+// Raised when the buyer has used every revision the order includes
+class RevisionLimitError extends ErrorResponse {
+  constructor(order) {
+    super('No revisions left on this order', 409);
+    this.details = {
+      revisionsAllowed: order.revisionsAllowed,
+      revisionsUsed: order.revisionsUsed,
+      revisionsRemaining: 0,
+      // null when the seller does not sell extra revisions
+      extraRevisionPrice: order.extraRevisionPrice || null
+    };
+  }
+}
+
+const assertRevisionAvailable = (order) => {
+  if (order.revisionsRemaining <= 0) {
+    throw new RevisionLimitError(order);
+  }
+};
+
+module.exports = {
+  RevisionLimitError,
+  assertRevisionAvailable
+};
@@ -0,0 +1,90 @@
+const Gig = require('../models/Gig');
+const SavedSearch = require('../models/SavedSearch');
+const { buildSearchFilter } = require('./gigSearch');
+const { notify } = require('./notifications');
+
+// Fields of a saved query, named as in GET /api/gigs/search
+const QUERY_FIELDS = ['q', 'category', 'subcategory', 'minPrice', 'maxPrice', 'rating', 'deliveryTime'];
+
+// Most gigs listed in one alert; the count covers the rest
+const MAX_GIGS_PER_ALERT = 10;
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Query string that opens the saved search in the client app
+const toSearchParams = (query) => {
+  const params = new URLSearchParams();
+  QUERY_FIELDS.forEach(field => {
+    if (query[field] !== undefined && query[field] !== null && query[field] !== '') {
+      params.set(field, query[field]);
+    }
+  });
+  return params.toString();
+};
+
+// Active gigs matching the search that went live after it was last checked
+// and no later than `until`. The user's own gigs are left out.
+const findNewMatches = async (search, until) => {
+  const filter = {
+    ...buildSearchFilter(search.query),
+    activatedAt: { $gt: search.lastCheckedAt, $lte: until },
+    seller: { $ne: search.user._id }
+  };
+
+  const [gigs, total] = await Promise.all([
+    Gig.find(filter).sort({ activatedAt: -1 }).limit(MAX_GIGS_PER_ALERT).select('title slug price'),
+    Gig.countDocuments(filter)
+  ]);
+  return { gigs, total };
+};
+
+const describeMatches = (search, gigs, total) => {
+  const title = `${total} new gig${total === 1 ? '' : 's'} for "${search.name}"`;
+  const lines = gigs.map(gig => `- ${gig.title} ($${gig.price}): ${getClientUrl()}/gigs/${gig._id}`);
+  if (total > gigs.length) {
+    lines.push(`...and ${total - gigs.length} more`);
+  }
+  const link = `/search?${toSearchParams(search.query)}`;
+
+  return {
+    title,
+    message: gigs.map(gig => gig.title).join(', '),
+    link,
+    emailText: `${title}:\n\n${lines.join('\n')}\n\nSee all results: ${getClientUrl()}${link}`
+  };
+};
+
+// Check one saved search for gigs that went live since its last run and let
+// the user know about them. Returns the number of new matches.
+const runSavedSearch = async (search, until = new Date()) => {
+  const user = search.user;
+  const { gigs, total } = user && user.isActive !== false
+    ? await findNewMatches(search, until)
+    : { gigs: [], total: 0 };
+
+  if (total > 0) {
+    await notify(user, {
+      type: 'saved_search_match',
+      savedSearch: search._id,
+      gigs: gigs.map(gig => gig._id),
+      emailPreference: 'savedSearches',
+      ...describeMatches(search, gigs, total)
+    });
+  }
+
+  // Written directly so an edit made while the job ran is not overwritten
+  await SavedSearch.updateOne(
+    { _id: search._id },
+    {
+      $set: { lastCheckedAt: until, ...(total > 0 ? { lastMatchedAt: until } : {}) },
+      $inc: { totalMatches: total }
+    }
+  );
+
+  return total;
+};
+
+module.exports = {
+  QUERY_FIELDS,
+  runSavedSearch
+};
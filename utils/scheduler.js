@@ -0,0 +1,61 @@
+// Minimal in-process job runner. Each job runs on its own interval and a job
+// never overlaps with itself; a slow run simply skips the next tick.
+const jobs = new Map();
+
+const registerJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job '${name}' is already registered`);
+  }
+  jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastError: null });
+};
+
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job || job.running) return;
+
+  job.running = true;
+  try {
+    await job.handler();
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`Job '${name}' failed:`, error);
+  } finally {
+    job.lastRunAt = new Date();
+    job.running = false;
+  }
+};
+
+const startScheduler = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    // Do not keep the process alive just for background jobs
+    job.timer.unref();
+  });
+  console.log(`Scheduler started with ${jobs.size} job(s)`);
+};
+
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+// Snapshot of every job for health checks
+const getJobStatus = () => Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt,
+  lastError
+}));
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobStatus
+};
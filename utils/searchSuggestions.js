@@ -0,0 +1,227 @@
+const Gig = require('../models/Gig');
+const SearchSuggestion = require('../models/SearchSuggestion');
+
+// Past queries only show up once enough people searched for them
+const MIN_QUERY_SEARCHES = 3;
+
+const MAX_TERM_LENGTH = 100;
+
+// Most candidates compared when looking for a typo correction
+const CORRECTION_CANDIDATES = 500;
+
+const normalizeTerm = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Suggestions that are shown: everything from gigs, and popular queries
+const VISIBLE = { $or: [{ kind: { $ne: 'query' } }, { searchCount: { $gte: MIN_QUERY_SEARCHES } }] };
+
+// The terms an active gig contributes, keyed by kind and term. Gigs that are
+// not live contribute nothing.
+const getGigTerms = (gig) => {
+  const terms = new Map();
+  if (!gig || gig.status !== 'active') return terms;
+
+  const add = (kind, value) => {
+    const term = normalizeTerm(value);
+    if (term && term.length <= MAX_TERM_LENGTH) {
+      terms.set(`${kind}:${term}`, { kind, term, display: String(value).trim() });
+    }
+  };
+
+  add('title', gig.title);
+  add('subcategory', gig.subcategory);
+  (gig.tags || []).forEach(tag => add('tag', tag));
+  return terms;
+};
+
+const applyTermChanges = async (before, after) => {
+  const changes = [];
+  before.forEach((entry, key) => {
+    if (!after.has(key)) changes.push({ ...entry, change: -1 });
+  });
+  after.forEach((entry, key) => {
+    if (!before.has(key)) changes.push({ ...entry, change: 1 });
+  });
+  if (changes.length === 0) return;
+
+  await SearchSuggestion.bulkWrite(changes.map(({ kind, term, display, change }) => ({
+    updateOne: {
+      filter: { term, kind },
+      update: {
+        $inc: { gigCount: change, weight: change },
+        $setOnInsert: { display, ...SearchSuggestion.describeTerm(term) }
+      },
+      upsert: change > 0
+    }
+  })), { ordered: false });
+
+  // Terms no live gig uses any more
+  await SearchSuggestion.deleteMany({
+    term: { $in: changes.filter(({ change }) => change < 0).map(({ term }) => term) },
+    kind: { $ne: 'query' },
+    gigCount: { $lte: 0 }
+  });
+};
+
+// Move gig counts from the terms a gig had to the terms it has now. Take
+// `before` with getGigTerms ahead of changing the gig. Suggestions are
+// derived data, so a failure here is logged rather than failing the gig write;
+// scripts/backfillGigSearch.js rebuilds them.
+const updateGigSuggestions = async (before, gig) => {
+  try {
+    await applyTermChanges(before, getGigTerms(gig));
+  } catch (error) {
+    console.error(`Search suggestion update failed for gig ${gig._id}:`, error.message);
+  }
+};
+
+// Count a search that found gigs, so popular queries can be suggested
+const recordSearchQuery = (query) => {
+  const term = normalizeTerm(query);
+  if (term.length < 2 || term.length > MAX_TERM_LENGTH) return Promise.resolve();
+
+  return SearchSuggestion.updateOne(
+    { term, kind: 'query' },
+    {
+      $inc: { searchCount: 1, weight: 1 },
+      $set: { lastSearchedAt: new Date() },
+      $setOnInsert: { display: term, ...SearchSuggestion.describeTerm(term) }
+    },
+    { upsert: true }
+  );
+};
+
+// Optimal string alignment distance: edits, with swapped neighbours as one
+const editDistance = (a, b) => {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+const allowedEdits = (term) => (term.length <= 4 ? 1 : 2);
+
+// The closest known term within a couple of typos, most used first
+const closestTerm = (term, candidates) => {
+  let best = null;
+  for (const candidate of candidates) {
+    if (candidate.term === term) return null;
+    const distance = editDistance(term, candidate.term);
+    if (distance <= allowedEdits(term) && (!best || distance < best.distance)) {
+      best = { term: candidate.term, distance };
+    }
+  }
+  return best && best.term;
+};
+
+const findCandidates = (minLength, maxLength, filter = {}) => SearchSuggestion.find({
+  ...VISIBLE,
+  ...filter,
+  length: { $gte: minLength, $lte: maxLength }
+})
+  .sort({ weight: -1 })
+  .limit(CORRECTION_CANDIDATES)
+  .select('term')
+  .lean();
+
+// "Did you mean" for a query nothing starts with: first the query as a whole,
+// then word by word against single-word terms
+const getCorrection = async (term) => {
+  const limit = allowedEdits(term);
+  const whole = closestTerm(term, await findCandidates(term.length - limit, term.length + limit));
+  if (whole) return whole;
+
+  const words = term.split(' ');
+  if (words.length < 2) return null;
+
+  const lengths = words.map(word => word.length);
+  const candidates = await findCandidates(Math.min(...lengths) - 2, Math.max(...lengths) + 2, { wordCount: 1 });
+  const corrected = words.map(word => closestTerm(word, candidates) || word);
+  const correction = corrected.join(' ');
+  return correction !== term ? correction : null;
+};
+
+// Autocomplete for what has been typed so far, plus a correction when
+// nothing matches
+const getSuggestions = async (query, limit = 8) => {
+  const term = normalizeTerm(query);
+  if (!term) return { suggestions: [], didYouMean: null };
+
+  const prefix = term.slice(0, SearchSuggestion.MAX_PREFIX_LENGTH);
+  const matches = await SearchSuggestion.find({ prefixes: prefix, ...VISIBLE })
+    .sort({ weight: -1 })
+    .limit(limit * 3)
+    .select('term display kind')
+    .lean();
+
+  // Stored prefixes stop at MAX_PREFIX_LENGTH; check the rest here
+  const startsWith = new RegExp(`(^| )${escapeRegex(term)}`);
+  const seen = new Set();
+  const suggestions = [];
+  for (const match of matches) {
+    if (seen.has(match.term) || !startsWith.test(match.term)) continue;
+    seen.add(match.term);
+    suggestions.push({ text: match.display, type: match.kind });
+    if (suggestions.length === limit) break;
+  }
+
+  const didYouMean = suggestions.length === 0 ? await getCorrection(term) : null;
+
+  return { suggestions, didYouMean };
+};
+
+// Recount every gig-derived suggestion from the active gigs, e.g. after a
+// backfill. Past queries are kept.
+const rebuildGigSuggestions = async () => {
+  await SearchSuggestion.deleteMany({ kind: { $ne: 'query' } });
+
+  const counts = new Map();
+  const cursor = Gig.find({ status: 'active' }).select('title subcategory tags status').cursor();
+  for await (const gig of cursor) {
+    getGigTerms(gig).forEach((entry, key) => {
+      const existing = counts.get(key);
+      if (existing) {
+        existing.gigCount += 1;
+      } else {
+        counts.set(key, { ...entry, gigCount: 1 });
+      }
+    });
+  }
+
+  const docs = [...counts.values()].map(({ kind, term, display, gigCount }) => ({
+    kind,
+    term,
+    display,
+    gigCount,
+    weight: gigCount,
+    ...SearchSuggestion.describeTerm(term)
+  }));
+  if (docs.length > 0) {
+    await SearchSuggestion.insertMany(docs, { ordered: false });
+  }
+
+  return docs.length;
+};
+
+module.exports = {
+  getGigTerms,
+  updateGigSuggestions,
+  recordSearchQuery,
+  getSuggestions,
+  rebuildGigSuggestions
+};
@@ -0,0 +1,222 @@
+const Subscription = require('../models/Subscription');
+const Order = require('../models/Order');
+const Gig = require('../models/Gig');
+const { ErrorResponse } = require('./errorResponse');
+const { PaymentError } = require('./escrow');
+const { placeOrder } = require('./orderPipeline');
+const { transitionOrder } = require('./orderStateMachine');
+const { getMissingAnswers } = require('./requirements');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Statuses in which a subscription keeps renewing
+const RENEWING_STATUSES = ['active', 'past_due'];
+
+class SubscriptionError extends ErrorResponse {
+  constructor(message, statusCode = 400) {
+    super(message, statusCode);
+  }
+}
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+// Hours between attempts to charge a renewal that failed
+const getRenewalRetryHours = () => readNumber(process.env.SUBSCRIPTION_RETRY_HOURS, 24);
+
+// Days after the period ends that failed renewals keep being retried
+const getGracePeriodDays = () => readNumber(process.env.SUBSCRIPTION_GRACE_DAYS, 7);
+
+const addInterval = (date, interval) => {
+  const next = new Date(date);
+  if (interval === 'week') {
+    next.setDate(next.getDate() + 7);
+  } else {
+    next.setMonth(next.getMonth() + 1);
+  }
+  return next;
+};
+
+// Place one period's order at the subscribed price. Throws PaymentError when
+// the buyer cannot be charged; nothing is saved in that case.
+const placePeriodOrder = (subscription, gig, questionnaire = []) => {
+  const awaitingRequirements = getMissingAnswers(questionnaire).length > 0;
+
+  return placeOrder({
+    gig,
+    buyer: subscription.buyer,
+    pricing: {
+      amount: subscription.amount,
+      deliveryDays: subscription.deliveryDays,
+      revisions: subscription.revisions,
+      package: subscription.package,
+      extras: subscription.extras
+    },
+    requirements: subscription.requirements,
+    fields: {
+      source: 'subscription',
+      subscription: subscription._id,
+      questionnaire,
+      status: awaitingRequirements ? 'awaiting_requirements' : 'pending',
+      requirementsSubmittedAt: awaitingRequirements ? undefined : new Date()
+    }
+  });
+};
+
+// Start a subscription and place its first order. The subscription is saved
+// first so the order never points at one that does not exist, and removed
+// again when the first charge fails.
+const startSubscription = async ({ gig, buyer, pricing, requirements, questionnaire }) => {
+  const now = new Date();
+  const subscription = new Subscription({
+    gig: gig._id,
+    buyer,
+    seller: gig.seller,
+    interval: gig.billingInterval,
+    amount: pricing.amount,
+    deliveryDays: pricing.deliveryDays,
+    revisions: pricing.revisions,
+    package: pricing.package,
+    extras: pricing.extras || [],
+    requirements,
+    currentPeriodStart: now,
+    currentPeriodEnd: addInterval(now, gig.billingInterval)
+  });
+  subscription.nextRenewalAt = subscription.currentPeriodEnd;
+  await subscription.save();
+
+  let order;
+  try {
+    order = await placePeriodOrder(subscription, gig, questionnaire);
+  } catch (error) {
+    await Subscription.deleteOne({ _id: subscription._id });
+    throw error;
+  }
+
+  subscription.orders.push(order._id);
+  await Subscription.updateOne({ _id: subscription._id }, { $push: { orders: order._id } });
+
+  return { subscription, order };
+};
+
+// Stop renewals. Only applies while the subscription is in one of `statuses`,
+// so it cannot overwrite a change made in the meantime. Returns the updated
+// subscription, or null when it had already moved on.
+const cancelSubscription = (subscription, { role, reason, statuses = ['active', 'past_due', 'paused'] }) =>
+  Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: { $in: statuses } },
+    {
+      $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: role, cancellationReason: reason },
+      $unset: { nextRenewalAt: 1 }
+    },
+    { new: true }
+  );
+
+// The answers from the last period carry over to the next one
+const copyQuestionnaire = async (subscription) => {
+  const lastOrder = await Order.findById(subscription.orders[subscription.orders.length - 1]).select('questionnaire');
+  if (!lastOrder) return [];
+  return lastOrder.questionnaire.map(question => {
+    const { _id, ...copy } = question.toObject();
+    return copy;
+  });
+};
+
+// Charge the next period and place its order. A failed charge is retried
+// every few hours until the grace period runs out, then the subscription is
+// cancelled. Every write checks the subscription is still renewing, so a
+// pause or cancel that lands during the renewal wins; an order charged in the
+// meantime is cancelled and refunded. Returns the new order, or null when the
+// renewal did not happen.
+const renewSubscription = async (subscription) => {
+  const now = new Date();
+
+  // Push the renewal time forward before charging so no other run picks
+  // the same subscription up in the meantime
+  const claimed = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: { $in: RENEWING_STATUSES }, nextRenewalAt: subscription.nextRenewalAt },
+    { $set: { nextRenewalAt: new Date(now.getTime() + getRenewalRetryHours() * HOUR_MS) } },
+    { new: true }
+  );
+  if (!claimed) return null;
+  subscription = claimed;
+
+  const gig = await Gig.findById(subscription.gig);
+  if (!gig || gig.status !== 'active' || !gig.billingInterval) {
+    await cancelSubscription(subscription, { role: 'system', reason: 'The gig is no longer available', statuses: RENEWING_STATUSES });
+    return null;
+  }
+
+  const questionnaire = await copyQuestionnaire(subscription);
+
+  // The buyer may have paused or cancelled since the claim
+  const current = await Subscription.findById(subscription._id).select('status');
+  if (!current || !RENEWING_STATUSES.includes(current.status)) return null;
+
+  let order;
+  try {
+    order = await placePeriodOrder(subscription, gig, questionnaire);
+  } catch (error) {
+    if (!(error instanceof PaymentError)) throw error;
+
+    const graceUntil = subscription.graceUntil ||
+      new Date(subscription.currentPeriodEnd.getTime() + getGracePeriodDays() * DAY_MS);
+
+    if (now >= graceUntil) {
+      await cancelSubscription(subscription, { role: 'system', reason: `Renewal payment failed: ${error.message}`, statuses: RENEWING_STATUSES });
+      return null;
+    }
+
+    // The last retry happens when the grace period ends
+    const retryAt = new Date(now.getTime() + getRenewalRetryHours() * HOUR_MS);
+    await Subscription.updateOne(
+      { _id: subscription._id, status: { $in: RENEWING_STATUSES } },
+      {
+        $set: {
+          status: 'past_due',
+          lastFailureReason: error.message,
+          lastFailedAt: now,
+          graceUntil,
+          nextRenewalAt: retryAt < graceUntil ? retryAt : graceUntil
+        },
+        $inc: { failedAttempts: 1 }
+      }
+    );
+    return null;
+  }
+
+  const currentPeriodStart = subscription.currentPeriodEnd;
+  const currentPeriodEnd = addInterval(currentPeriodStart, subscription.interval);
+  const renewed = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: { $in: RENEWING_STATUSES } },
+    {
+      $push: { orders: order._id },
+      $inc: { periodCount: 1 },
+      $set: { currentPeriodStart, currentPeriodEnd, nextRenewalAt: currentPeriodEnd, status: 'active', failedAttempts: 0 },
+      $unset: { graceUntil: 1 }
+    },
+    { new: true }
+  );
+
+  if (!renewed) {
+    // Paused or cancelled while the charge went through
+    await transitionOrder(order, 'cancelled', { role: 'system', reason: 'The subscription was stopped during its renewal' });
+    return null;
+  }
+
+  return order;
+};
+
+module.exports = {
+  RENEWING_STATUSES,
+  SubscriptionError,
+  getRenewalRetryHours,
+  getGracePeriodDays,
+  addInterval,
+  startSubscription,
+  renewSubscription,
+  cancelSubscription
+};